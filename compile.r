@@ -588,10 +588,12 @@ sw_js_web <- sw_js
 writeLines(sw_js_web, sw_js_path, sep = "\n")
 message("  Modified shinylive-sw.js: enabled caching with version ", cache_version)
 
-# Create Electron version with caching disabled (Electron uses variable ports)
-sw_js_electron <- sw_js  # Keep useCaching = false
+# Create Electron version with caching enabled: the local server keeps its port across
+# runs, so Cache Storage survives restarts (the server falls back to shinylive-sw.js when
+# it could not get its usual port)
+sw_js_electron <- gsub('var useCaching = false;', 'var useCaching = true;', sw_js, fixed = TRUE)
 writeLines(sw_js_electron, './site/shinylive-sw-electron.js', sep = "\n")
-message("  Created shinylive-sw-electron.js: caching disabled for Electron")
+message("  Created shinylive-sw-electron.js: caching enabled for Electron")
 
 # ---- Step 4: build root index.html -------------------------------------------
 source("www/r/shiny-helper.r")
@@ -660,20 +662,33 @@ message("  Generated index.html and index-electron.html")
 
 
 # ---- Step 5: Generate manifests ----------------------------------------------
-# Generate manifests for FreeSurfer brain models
-freesurfer_models_dir <- "assets/app-data/freesurfer-models"
-if (dir.exists(freesurfer_models_dir)) {
-  model_dirs <- list.dirs(freesurfer_models_dir, full.names = FALSE, recursive = FALSE)
-  model_dirs <- model_dirs[!startsWith(model_dirs, ".")]
+# Generate one manifest per dataset under assets/app-data/<category>/<name>/
+# (e.g. freesurfer-models/fsaverage, bids-examples/NSD-electrodes), plus
+# assets/app-data/catalog.json indexing all of them by category.
+# A dataset may carry a one-line `description.txt` (not listed in its manifest).
+app_data_dir <- "assets/app-data"
+if (dir.exists(app_data_dir)) {
+  category_dirs <- list.dirs(app_data_dir, full.names = FALSE, recursive = FALSE)
+  category_dirs <- category_dirs[!startsWith(category_dirs, ".")]
   
-  if (length(model_dirs) > 0) {
-    message("Generating brain model manifests...")
+  # Get version as YYYY.MM.DD
+  build_version <- format(Sys.Date(), "%Y.%m.%d")
+  
+  catalog <- list()
+  
+  for (category in category_dirs) {
+    category_path <- file.path(app_data_dir, category)
+    model_dirs <- list.dirs(category_path, full.names = FALSE, recursive = FALSE)
+    model_dirs <- model_dirs[!startsWith(model_dirs, ".")]
     
-    # Get version as YYYY.MM.DD
-    build_version <- format(Sys.Date(), "%Y.%m.%d")
+    if (length(model_dirs) == 0) {
+      next
+    }
+    message(sprintf("Generating %s manifests...", category))
     
+    entries <- list()
     for (model_name in model_dirs) {
-      model_path <- file.path(freesurfer_models_dir, model_name)
+      model_path <- file.path(category_path, model_name)
       
       # Get all files recursively
       all_files <- list.files(
@@ -684,62 +699,103 @@ if (dir.exists(freesurfer_models_dir)) {
         include.dirs = FALSE
       )
       
+      description_path <- file.path(model_path, "description.txt")
+      all_files <- all_files[all_files != description_path]
+      description <- ""
+      if (file.exists(description_path)) {
+        description <- trimws(paste(readLines(description_path, warn = FALSE), collapse = " "))
+      }
+      
       if (length(all_files) == 0) {
         message(sprintf("  Skipping %s (no files found)", model_name))
         next
       }
       
-      # Build file list with relative paths and sizes
+      # Build file list with relative paths, sizes, and content digests
+      # (sha256 of the file contents so the Electron app can use them as validators)
       file_list <- lapply(all_files, function(file_path) {
         rel_path <- sub(paste0("^", model_path, "/"), "", file_path)
         file_info <- file.info(file_path)
         list(
           path = rel_path,
           size = as.integer(file_info$size),
-          digest = dipsaus::digest(file_path)
+          digest = digest::digest(file_path, algo = "sha256", file = TRUE)
         )
       })
       
       # Create manifest
       manifest <- list(
         name = model_name,
-        path = sprintf("freesurfer-models/%s", model_name),
+        path = sprintf("%s/%s", category, model_name),
         version = build_version,
         cache_key = paste0("rave-", model_name, "-v", build_version),
+        digest_algo = "sha256",
         files = file_list
       )
       
       manifest_digest <- dipsaus::digest(manifest)
       manifest$digest <- manifest_digest
       
-      
-      # check existing manifest
+      total_size <- sum(sapply(file_list, function(x) x$size))
       manifest_filename <- paste0(model_name, "_manifest.json")
-      manifest_path <- file.path("assets/app-data/freesurfer-models", manifest_filename)
+      manifest_path <- file.path(category_path, manifest_filename)
+      
+      # check existing manifest (its version is kept in the catalog when unchanged)
+      unchanged <- FALSE
       if(file.exists(manifest_path)) {
         try({
           existing_manifest <- dipsaus::read_json(manifest_path)
           if(identical(existing_manifest$digest, manifest_digest)) {
-            message(sprintf("  Skipping %s (unchanged)", model_name))
-            next
+            manifest$version <- existing_manifest$version
+            unchanged <- TRUE
           }
         })
       }
       
+      entries[[model_name]] <- list(
+        key = manifest$path,
+        name = model_name,
+        category = category,
+        path = manifest$path,
+        manifest = sprintf("%s/%s", category, manifest_filename),
+        version = manifest$version,
+        files = length(file_list),
+        size = total_size,
+        description = description
+      )
+      
+      if (unchanged) {
+        message(sprintf("  Skipping %s (unchanged)", model_name))
+        next
+      }
+      
       # Write manifest to assets directory
-      dir.create(dirname(manifest_path), showWarnings = FALSE, recursive = TRUE)
       writeLines(
         jsonlite::toJSON(manifest, auto_unbox = TRUE, pretty = TRUE),
         manifest_path
       )
       
-      total_size <- sum(sapply(file_list, function(x) x$size))
       message(sprintf("  Generated %s: %d files, %.2f MB", 
                       manifest_filename, 
                       length(file_list), 
                       total_size / (1024^2)))
     }
+    
+    if (length(entries) > 0) {
+      catalog[[category]] <- entries
+    }
   }
+  
+  # Write the catalog (the Electron app resolves manifests by "<category>/<name>")
+  writeLines(
+    jsonlite::toJSON(
+      list(version = build_version, categories = catalog),
+      auto_unbox = TRUE, pretty = TRUE
+    ),
+    file.path(app_data_dir, "catalog.json")
+  )
+  message(sprintf("Catalog: %d categories, %d manifests",
+                  length(catalog), sum(lengths(catalog))))
 }
 
 
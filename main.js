@@ -3,7 +3,7 @@ if (process.env.PATH && !process.env.ORIGINAL_PATH) {
   process.env.ORIGINAL_PATH = process.env.PATH;
 }
 
-const { app, BrowserWindow, protocol, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, protocol, ipcMain, dialog, session } = require('electron');
 const path = require('path');
 const fs = require('fs');
 
@@ -13,7 +13,11 @@ const StaticServerPlugin = require('./src/plugins/static-server-plugin');
 const RPlugin = require('./src/plugins/r-plugin');
 const ConfigManager = require('./src/config/config-manager');
 const WindowManager = require('./src/window/window-manager');
+const SaveManager = require('./src/window/save-manager');
 const PortManager = require('./src/utils/port-manager');
+const NetworkManager = require('./src/utils/network-manager');
+const CacheManager = require('./src/utils/cache-manager');
+const OfflineBundle = require('./src/utils/offline-bundle');
 const { wrapHandler } = require('./src/utils/ipc-helpers');
 
 // Global instances
@@ -21,6 +25,8 @@ const pluginManager = new PluginManager();
 const configManager = new ConfigManager();
 const windowManager = new WindowManager();
 const portManager = new PortManager();
+const networkManager = new NetworkManager();
+const saveManager = new SaveManager(configManager);
 
 let staticServerPlugin;
 let rPlugin;
@@ -51,12 +57,11 @@ function getIconPath() {
 // Setup command line switches before app is ready
 function setupCommandLineSwitches() {
   app.commandLine.appendSwitch('max-http-header-size', '80000');
-  app.commandLine.appendSwitch('ignore-certificate-errors');
+  // The windows' HTTP caches are kept on disk (persistent partitions); CacheWarmer fills them
   app.commandLine.appendSwitch('disk-cache-size', '10737418240');
   app.commandLine.appendSwitch('js-flags', '--max-old-space-size=8192 --wasm-max-mem-pages=65536');
   app.commandLine.appendSwitch('enable-features', 'SharedArrayBuffer,WebAssemblyThreads');
   app.commandLine.appendSwitch('enable-experimental-web-platform-features');
-  app.commandLine.appendSwitch('http-cache', 'memory');
   app.commandLine.appendSwitch('enable-parallel-downloading');
   app.commandLine.appendSwitch('max-active-webgl-contexts', '16');
   app.commandLine.appendSwitch('renderer-process-limit', '100');
@@ -95,17 +100,23 @@ function setupLaunchpadIPC() {
         throw new Error(raveResult.error || 'Failed to start RAVE');
       }
       
-      // Create window pointing to RAVE server
-      const window = windowManager.createAppWindow(__dirname, raveResult.port, sessionId, type);
+      // Serve RAVE through the static server's reverse proxy (one origin, web security on)
+      const sessionProxy = staticServerPlugin.getSessionProxy();
+      const { path: sessionPath } = sessionProxy.register(sessionId, raveResult.port);
+      const port = staticServerPlugin.getPort();
+      const window = windowManager.createAppWindow(__dirname, port, sessionId, type, sessionPath);
       
       // Handle window close - terminate R session
       window.on('closed', () => {
+        sessionProxy.unregister(sessionId);
         rPlugin.sessionManager.terminateSession(sessionId);
       });
       
       return { success: true, sessionId, port: raveResult.port };
     } else {
       // WASM type - use static server
+      // Stop warming so the window's own requests don't compete with it
+      staticServerPlugin.getCacheWarmer().stop();
       const port = staticServerPlugin.getPort();
       const window = windowManager.createAppWindow(__dirname, port, sessionId, type);
       return { success: true, sessionId, port };
@@ -249,6 +260,126 @@ function setupLaunchpadIPC() {
   }));
 }
 
+// Offline bundle export / import from the command line (no windows are opened):
+//   --export-bundle=<file> [--bundle-manifests=<key>,<key>,...] [--no-json-cache]
+//   --import-bundle=<file>
+// Returns true if a bundle command was given (the app exits when it is done)
+async function runBundleCommand() {
+  const exportPath = app.commandLine.getSwitchValue('export-bundle');
+  const importPath = app.commandLine.getSwitchValue('import-bundle');
+  if (!exportPath && !importPath) {
+    return false;
+  }
+  
+  const cacheManager = new CacheManager();
+  cacheManager.init(configManager.get('appDataMirrors') || undefined, networkManager);
+  cacheManager.setBasePath(__dirname);
+  const bundle = new OfflineBundle(cacheManager);
+  let lastPercent = -1;
+  const onProgress = ({ phase, doneBytes, totalBytes }) => {
+    const percent = totalBytes > 0 ? Math.floor(doneBytes / totalBytes * 100) : 100;
+    if (percent !== lastPercent) {
+      lastPercent = percent;
+      console.log(`${phase === 'export' ? 'Exporting' : 'Importing'}: ${percent}%`);
+    }
+  };
+  
+  let exitCode = 0;
+  try {
+    let result;
+    if (exportPath) {
+      const manifests = app.commandLine.getSwitchValue('bundle-manifests');
+      result = await bundle.exportBundle(path.resolve(exportPath), {
+        manifests: manifests ? manifests.split(',').map(name => name.trim()).filter(Boolean) : null,
+        includeJsonCache: !app.commandLine.hasSwitch('no-json-cache'),
+        onProgress
+      });
+    } else {
+      result = await bundle.importBundle(path.resolve(importPath), { onProgress });
+      // Files that failed verification were not imported
+      exitCode = result.skipped.length > 0 ? 2 : 0;
+    }
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.error(`Offline bundle ${exportPath ? 'export' : 'import'} failed:`, error.message);
+    exitCode = 1;
+  }
+  cacheManager.saveIndex();
+  app.exit(exitCode);
+  return true;
+}
+
+// Setup IPC handlers for saving app outputs to the file system
+function setupFileIPC() {
+  // Save bytes or text from an app window (native save dialog, remembered folders)
+  ipcMain.handle('plugin:files:save', wrapHandler(async (event, options) => {
+    return await saveManager.saveFile(BrowserWindow.fromWebContents(event.sender), options);
+  }));
+  
+  // Browser downloads of app windows (e.g., "Export viewer") go through the save manager
+  saveManager.attachDownloadHandler(session.fromPartition('persist:shinylive'));
+  saveManager.attachDownloadHandler(session.fromPartition('persist:rave'));
+}
+
+// Local server origins that hold IndexedDB data in a partition; Chromium names the folders
+// after the origin, e.g. "IndexedDB/http_localhost_8123.indexeddb.leveldb"
+function listStoredAppOrigins(ses) {
+  let names;
+  try {
+    names = fs.readdirSync(path.join(ses.storagePath, 'IndexedDB'));
+  } catch (error) {
+    return [];
+  }
+  const origins = new Set();
+  for (const name of names) {
+    const match = name.match(/^http_localhost_(\d+)\.indexeddb\./);
+    if (match) {
+      origins.add(`http://localhost:${match[1]}`);
+    }
+  }
+  return [...origins];
+}
+
+// Keep the local server's port across runs so WASM app windows keep their origin (IndexedDB,
+// localStorage and service worker caches of the 'persist:shinylive' partition), and clear
+// storage left behind under origins that will not be used again
+async function setupAppOrigin(port, stableOrigin) {
+  const appSession = session.fromPartition('persist:shinylive');
+  const preferredPort = configManager.get('serverPort');
+  // Random ports used by earlier runs while the preferred port was taken
+  const fallbackPorts = configManager.get('fallbackServerPorts') || [];
+  
+  try {
+    if (preferredPort === null) {
+      // Earlier versions used a random port every run: nothing stored there is reachable anymore
+      const oldOrigins = listStoredAppOrigins(appSession).filter(origin => origin !== `http://localhost:${port}`);
+      for (const origin of oldOrigins) {
+        await appSession.clearStorageData({ origin });
+      }
+      if (oldOrigins.length > 0) {
+        console.log(`Cleared storage of ${oldOrigins.length} app origin(s) left by earlier versions: ${oldOrigins.join(', ')}`);
+      }
+      // A random fallback port is not adopted: the next run picks a port again
+      if (stableOrigin) {
+        configManager.set('serverPort', port);
+        console.log(`Local server port ${port} will be reused in later runs`);
+      }
+    } else if (stableOrigin) {
+      for (const fallbackPort of fallbackPorts) {
+        await appSession.clearStorageData({ origin: `http://localhost:${fallbackPort}` });
+      }
+      configManager.set('fallbackServerPorts', []);
+    } else {
+      // Only this run uses the port: never adopt it, clear its storage once the preferred port is back
+      configManager.set('fallbackServerPorts', [...new Set([...fallbackPorts, port])]);
+    }
+  } catch (error) {
+    console.error('Failed to clear storage of previous app origins:', error);
+  }
+  
+  await configManager.save().catch(() => {});
+}
+
 // Initialize application
 async function initialize() {
   try {
@@ -257,19 +388,56 @@ async function initialize() {
     // Initialize config manager
     await configManager.init();
     
+    // Proxy, extra CA bundle, and per-host trust for downloads (see "network" in config.json)
+    networkManager.init(configManager);
+    const proxyConfig = networkManager.getSessionProxyConfig();
+    if (proxyConfig) {
+      // Windows (and the cache warmer) use their own partitions, each with its own proxy settings
+      const partitions = ['persist:shinylive', 'persist:rave', 'persist:launchpad'];
+      for (const ses of [session.defaultSession, ...partitions.map(name => session.fromPartition(name))]) {
+        await ses.setProxy(proxyConfig);
+      }
+    }
+    
+    if (await runBundleCommand()) {
+      return;
+    }
+    
     // Create and register plugins
     staticServerPlugin = new StaticServerPlugin();
     
     pluginManager.registerPlugin('static-server', staticServerPlugin);
     
     // Initialize static server plugin first (creates cacheManager)
-    await pluginManager.initPlugin('static-server', __dirname);
+    // "appDataMirrors" in config.json lists remote base URLs in order of preference
+    // "serverPort" in config.json: port of the local server, kept across runs (see setupAppOrigin).
+    // The first run takes a free port from the port manager's fixed range: a port from the
+    // ephemeral range is likely held by some outgoing connection in a later run
+    const preferredPort = configManager.get('serverPort') ?? await portManager.allocatePort().catch(() => null);
+    await pluginManager.initPlugin('static-server', __dirname, configManager.get('appDataMirrors') || undefined, networkManager, {
+      preferredPort
+    });
+    // R sessions share the range
+    portManager.reservePort(staticServerPlugin.getPort());
+    await setupAppOrigin(staticServerPlugin.getPort(), staticServerPlugin.hasStableOrigin());
     
     // Get cacheManager from static server plugin for use by r-plugin
     const cacheManager = staticServerPlugin.getCacheManager();
+    // "appDataCacheQuota" in config.json: bytes or a size such as "20GB" (0 = unlimited)
+    if (configManager.get('appDataCacheQuota') !== null) {
+      cacheManager.setQuota(configManager.get('appDataCacheQuota'));
+    }
+    // "appDataUpdateCheckHours" in config.json: how often updated manifests are checked for (0 = never)
+    // "appDataAutoUpdate": true also downloads and applies them; otherwise the launchpad is told
+    // ('plugin:cache:updatesAvailable') and the user decides when to update
+    const updateCheckHours = configManager.get('appDataUpdateCheckHours');
+    cacheManager.startUpdateChecks(updateCheckHours !== null ? updateCheckHours * 60 * 60 * 1000 : undefined, {
+      apply: configManager.get('appDataAutoUpdate') === true,
+      onUpdates: (updates) => windowManager.sendToLaunchpad('plugin:cache:updatesAvailable', updates)
+    });
     
     // Create r-plugin with access to cacheManager
-    rPlugin = new RPlugin(configManager, portManager, cacheManager);
+    rPlugin = new RPlugin(configManager, portManager, cacheManager, networkManager, windowManager);
     pluginManager.registerPlugin('r-plugin', rPlugin);
     
     // Initialize R plugin
@@ -280,6 +448,7 @@ async function initialize() {
     
     // Setup launchpad IPC handlers
     setupLaunchpadIPC();
+    setupFileIPC();
     
     // Register custom protocol
     protocol.registerFileProtocol('app', (request, callback) => {
@@ -324,6 +493,55 @@ app.whenReady().then(initialize).catch((error) => {
   app.quit();
 });
 
+// Certificates rejected by Chromium are only accepted for hosts trusted in the "network" config
+// (per-host "allowInsecure", or a chain that contains a configured CA)
+app.on('certificate-error', (event, webContents, url, error, certificate, callback) => {
+  if (networkManager.isCertificateTrusted(url, certificate)) {
+    event.preventDefault();
+    callback(true);
+    return;
+  }
+  console.warn(`Rejected certificate for ${url}: ${error}`);
+  callback(false);
+});
+
+// Session proxy rules cannot carry credentials: an authenticating proxy gets those of the
+// configured proxy URL. The same window challenged again for the same URL within a few seconds
+// means they were rejected, so that request is cancelled. Each partition has its own auth cache
+// and proxies expire credentials, so later challenges are answered again.
+const PROXY_AUTH_RETRY_WINDOW = 10 * 1000;
+const MAX_PROXY_AUTH_ATTEMPTS = 100;
+const proxyAuthAttempts = new Map(); // "webContents host:port url" -> time of the last answer
+app.on('login', (event, webContents, details, authInfo, callback) => {
+  if (!authInfo.isProxy) {
+    return;
+  }
+  const credentials = networkManager.getProxyCredentials(authInfo.host, authInfo.port);
+  if (!credentials) {
+    return;
+  }
+  event.preventDefault();
+
+  // Oldest first: drop answers outside the retry window, and keep the map bounded
+  const now = Date.now();
+  for (const [key, answeredAt] of proxyAuthAttempts) {
+    if (now - answeredAt < PROXY_AUTH_RETRY_WINDOW && proxyAuthAttempts.size < MAX_PROXY_AUTH_ATTEMPTS) {
+      break;
+    }
+    proxyAuthAttempts.delete(key);
+  }
+
+  const attempt = `${webContents ? webContents.id : '-'} ${authInfo.host}:${authInfo.port} ${details.url}`;
+  if (proxyAuthAttempts.has(attempt)) {
+    proxyAuthAttempts.delete(attempt);
+    console.warn(`Proxy ${authInfo.host}:${authInfo.port} rejected the configured credentials for ${details.url}`);
+    callback();
+    return;
+  }
+  proxyAuthAttempts.set(attempt, now);
+  callback(credentials.username, credentials.password);
+});
+
 app.on('activate', () => {
   if (!windowManager.launchpadWindow || windowManager.launchpadWindow.isDestroyed()) {
     const port = staticServerPlugin.getPort();
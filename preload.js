@@ -3,6 +3,61 @@
 
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Bridge to this window's helper R session (see src/plugins/r-plugin/r-bridge.js)
+let bridgePort = null;
+let bridgeOpening = null;
+let bridgeNextId = 1;
+const bridgeRequests = new Map(); // request id -> resolve
+
+// Answer the requests still waiting for a reply
+function failBridgeRequests(error) {
+  for (const resolve of bridgeRequests.values()) {
+    resolve({ success: false, value: null, output: '', messages: [], warnings: [], error });
+  }
+  bridgeRequests.clear();
+}
+
+ipcRenderer.on('plugin:r:bridgePort', (event) => {
+  if (bridgePort) {
+    bridgePort.close();
+    failBridgeRequests('The R bridge was reopened');
+  }
+  bridgePort = event.ports[0];
+  bridgePort.onmessage = (message) => {
+    const resolve = bridgeRequests.get(message.data.id);
+    if (resolve) {
+      bridgeRequests.delete(message.data.id);
+      resolve(message.data);
+    }
+  };
+});
+
+// Open the bridge (once, even when several requests start together)
+function openBridge() {
+  if (!bridgeOpening) {
+    bridgeOpening = ipcRenderer.invoke('plugin:r:openBridge').then((result) => {
+      bridgeOpening = null;
+      return result;
+    });
+  }
+  return bridgeOpening;
+}
+
+// Send a request on the bridge; resolves to { success, value, output, messages, warnings, error }
+async function bridgeRequest(message) {
+  if (!bridgePort) {
+    const opened = await openBridge();
+    if (!opened.success) {
+      return { success: false, value: null, output: '', messages: [], warnings: [], error: opened.error.message };
+    }
+  }
+  return new Promise((resolve) => {
+    const id = bridgeNextId++;
+    bridgeRequests.set(id, resolve);
+    bridgePort.postMessage({ id, ...message });
+  });
+}
+
 // Expose protected methods that allow the renderer process to use
 // ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld(
@@ -46,7 +101,7 @@ contextBridge.exposeInMainWorld(
       // Create R session
       createSession: (sessionId) => ipcRenderer.invoke('plugin:r:createSession', sessionId),
       
-      // Execute R code
+      // Execute R code ({ success, value, stdout, messages, warnings, error, errorCall, timing })
       execute: (sessionId, code, timeout) => ipcRenderer.invoke('plugin:r:execute', sessionId, code, timeout),
       
       // Get session status
@@ -93,13 +148,44 @@ contextBridge.exposeInMainWorld(
       // Listen for installation progress
       onInstallProgress: (callback) => {
         ipcRenderer.on('plugin:r:installProgress', (event, data) => callback(data));
+      },
+      
+      // Helper R session of this window (native R next to webR); started on first use, ends with the window
+      bridge: {
+        // Start the session ahead of the first request
+        open: () => openBridge(),
+        
+        // Evaluate R code; resolves to { success, value, output, messages, warnings, error } (value as JSON)
+        eval: (code, options = {}) => bridgeRequest({ type: 'eval', code, timeout: options.timeout }),
+        
+        // Call an R function ("name" or "pkg::name") with JSON-able arguments (named object or array)
+        call: (fn, args, options = {}) => bridgeRequest({ type: 'call', fn, args, timeout: options.timeout }),
+        
+        // Stop the session
+        close: () => {
+          if (bridgePort) {
+            bridgePort.close();
+            bridgePort = null;
+          }
+          failBridgeRequests('The R bridge was closed');
+          return ipcRenderer.invoke('plugin:r:closeBridge');
+        }
       }
     },
 
     // Static Server Plugin APIs
     server: {
       // Get server port
-      getPort: () => ipcRenderer.invoke('plugin:server:getPort')
+      getPort: () => ipcRenderer.invoke('plugin:server:getPort'),
+      
+      // Pick a local folder and serve it read-only to this window ({ token, name, path, url }, or null)
+      mountFolder: (options) => ipcRenderer.invoke('plugin:server:mountFolder', options),
+      
+      // Stop serving a folder mounted by this window
+      unmountFolder: (token) => ipcRenderer.invoke('plugin:server:unmountFolder', token),
+      
+      // Folders mounted by this window
+      listMounts: () => ipcRenderer.invoke('plugin:server:listMounts')
     },
 
     // Cache Management APIs
@@ -107,17 +193,104 @@ contextBridge.exposeInMainWorld(
       // Get cache statistics (size, file count)
       getStats: () => ipcRenderer.invoke('plugin:cache:getStats'),
       
+      // Check the cache index against the disk in the background; resolves to fresh statistics
+      rebuildIndex: () => ipcRenderer.invoke('plugin:cache:rebuildIndex'),
+      
       // Get cache directory path
       getCacheDir: () => ipcRenderer.invoke('plugin:cache:getCacheDir'),
       
       // Clear all cached data
       clearCache: () => ipcRenderer.invoke('plugin:cache:clearCache'),
       
+      // Clear one namespace of the JSON cache (e.g., "prerequisites"), or all of it
+      clearJsonCache: (namespace = null) => ipcRenderer.invoke('plugin:cache:clearJsonCache', namespace),
+      
       // Ensure a manifest's files are cached
       ensureManifest: (manifestName) => ipcRenderer.invoke('plugin:cache:ensureManifest', manifestName),
       
       // Check if a specific file is cached
-      isFileCached: (relativePath) => ipcRenderer.invoke('plugin:cache:isFileCached', relativePath)
+      isFileCached: (relativePath) => ipcRenderer.invoke('plugin:cache:isFileCached', relativePath),
+      
+      // App-data catalog: every manifest by "<category>/<name>" key, with size, version and description
+      getCatalog: (refresh = false) => ipcRenderer.invoke('plugin:cache:getCatalog', refresh),
+      
+      // Per-model inventory (cached %, bytes on disk, version, last use)
+      getInventory: () => ipcRenderer.invoke('plugin:cache:getInventory'),
+      
+      // Delete the cached files of one model
+      deleteManifest: (manifestName) => ipcRenderer.invoke('plugin:cache:deleteManifest', manifestName),
+      
+      // Compare local manifests with the mirrors (one manifest, or all known ones)
+      checkUpdates: (manifestName) => ipcRenderer.invoke('plugin:cache:checkUpdates', manifestName),
+      
+      // Download the changed files of a manifest and switch to its new version
+      updateManifest: (manifestName) => ipcRenderer.invoke('plugin:cache:updateManifest', manifestName),
+      
+      // Export cached models (and the JSON cache) into an offline bundle; asks where to save it
+      exportBundle: (manifestNames) => ipcRenderer.invoke('plugin:cache:exportBundle', manifestNames),
+      
+      // Import an offline bundle (asks for the file); files are checked against their digests
+      importBundle: () => ipcRenderer.invoke('plugin:cache:importBundle'),
+      
+      // Listen for offline bundle progress ({ phase, doneBytes, totalBytes, file })
+      onBundleProgress: (callback) => {
+        ipcRenderer.on('plugin:cache:bundleProgress', (event, data) => callback(data));
+      },
+      
+      // Cache quota, usage, and the files that would be evicted next
+      getQuotaStatus: () => ipcRenderer.invoke('plugin:cache:getQuotaStatus'),
+      
+      // Remote mirrors: health and which files each one served
+      getMirrorStatus: () => ipcRenderer.invoke('plugin:cache:getMirrorStatus'),
+      
+      // Verify cached files against manifest digests (all models, or one model)
+      verify: (manifestName) => ipcRenderer.invoke('plugin:cache:verify', manifestName),
+      
+      // Download a manifest's files in the background (returns the job; its id is the catalog key)
+      prefetch: (manifestName) => ipcRenderer.invoke('plugin:cache:prefetch', manifestName),
+      
+      // Pause, resume, or cancel a background download
+      pausePrefetch: (jobId) => ipcRenderer.invoke('plugin:cache:pausePrefetch', jobId),
+      resumePrefetch: (jobId) => ipcRenderer.invoke('plugin:cache:resumePrefetch', jobId),
+      cancelPrefetch: (jobId) => ipcRenderer.invoke('plugin:cache:cancelPrefetch', jobId),
+      
+      // List background downloads of this session
+      getPrefetchJobs: () => ipcRenderer.invoke('plugin:cache:getPrefetchJobs'),
+      
+      // Listen for download progress ({ job, file }: bytes, ETA, failures)
+      onPrefetchProgress: (callback) => {
+        ipcRenderer.on('plugin:cache:prefetchProgress', (event, data) => callback(data));
+      },
+      
+      // Warm caches with the packages and assets of every app's preload manifest
+      warmApps: () => ipcRenderer.invoke('plugin:cache:warmApps'),
+      
+      // Stop warming (requests in flight are aborted)
+      stopWarming: () => ipcRenderer.invoke('plugin:cache:stopWarming'),
+      
+      // Warming status ({ status, apps, total, done, failed, bytes })
+      getWarmStatus: () => ipcRenderer.invoke('plugin:cache:getWarmStatus'),
+      
+      // Listen for warming progress (same shape as getWarmStatus)
+      onWarmProgress: (callback) => {
+        ipcRenderer.on('plugin:cache:warmProgress', (event, data) => callback(data));
+      },
+      
+      // Listen for updates found by the background check (checkUpdates results of outdated manifests)
+      onUpdatesAvailable: (callback) => {
+        ipcRenderer.on('plugin:cache:updatesAvailable', (event, data) => callback(data));
+      }
+    },
+
+    // File APIs (saving app outputs)
+    files: {
+      // Save data ({ data, encoding, filename, filters, folderKey, dialog }); resolves to { path, size } or null
+      save: (options) => ipcRenderer.invoke('plugin:files:save', options),
+      
+      // Listen for browser download progress ({ id, filename, path, state, done, receivedBytes, totalBytes })
+      onDownloadProgress: (callback) => {
+        ipcRenderer.on('plugin:files:downloadProgress', (event, data) => callback(data));
+      }
     },
 
     // App APIs
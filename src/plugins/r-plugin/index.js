@@ -2,22 +2,27 @@ const RDetector = require('./r-detector');
 const RSessionManager = require('./r-session-manager');
 const ShellSessionManager = require('./shell-session-manager');
 const RAVEInstaller = require('./rave-installer');
+const RBridge = require('./r-bridge');
 const { wrapHandler } = require('../../utils/ipc-helpers');
 
 /**
  * R Plugin for managing R sessions and execution
  */
 class RPlugin {
-  constructor(configManager, portManager, cacheManager) {
+  constructor(configManager, portManager, cacheManager, networkManager = null, windowManager = null) {
     this.name = 'r-plugin';
     this.configManager = configManager;
     this.portManager = portManager;
     this.cacheManager = cacheManager;
+    this.networkManager = networkManager;
     this.detector = new RDetector(configManager);
-    this.sessionManager = new RSessionManager(portManager, this.detector);
-    this.shellSessionManager = new ShellSessionManager();
+    // R sessions and installer steps inherit the proxy and CA bundle settings
+    this.sessionManager = new RSessionManager(portManager, this.detector, networkManager, configManager?.cachePath);
+    this.shellSessionManager = new ShellSessionManager(networkManager, configManager?.cachePath);
     // Pass sessionManager and shellSessionManager for command execution
     this.installer = new RAVEInstaller(this.sessionManager, this.shellSessionManager);
+    // Helper R sessions for WASM app windows (windowManager tells them apart from other pages)
+    this.bridge = new RBridge(this.sessionManager, windowManager);
     this.onStatusChangedCallback = null;
   }
 
@@ -96,6 +101,16 @@ class RPlugin {
       return this.sessionManager.getAllSessions();
     }));
 
+    // Open this window's bridge to a helper R session (the port arrives on 'plugin:r:bridgePort')
+    ipcMain.handle('plugin:r:openBridge', wrapHandler(async (event) => {
+      return await this.bridge.open(event.sender);
+    }));
+
+    // Close this window's bridge and its R session
+    ipcMain.handle('plugin:r:closeBridge', wrapHandler(async (event) => {
+      return this.bridge.close(event.sender.id);
+    }));
+
     // Start RAVE application
     ipcMain.handle('plugin:r:startRAVE', wrapHandler(async (event, sessionId) => {
       return await this.sessionManager.startRAVE(sessionId);
@@ -135,7 +150,8 @@ class RPlugin {
       const timeout = this.installer.getInstallTimeout();
 
       try {
-        const result = await this.sessionManager.execute(sessionId, installScript, timeout);
+        // Streamed, so the console window shows the installation as it runs
+        const result = await this.sessionManager.execute(sessionId, installScript, timeout, { stream: true });
         
         if (result.success && result.output.includes('INSTALLATION_COMPLETE')) {
           // Clean up session
@@ -294,6 +310,7 @@ class RPlugin {
   cleanup() {
     console.log('RPlugin cleaning up...');
     this.detector.stopDetection();
+    this.bridge.closeAll();
     this.sessionManager.terminateAll();
     this.shellSessionManager.terminateAll();
     this.installer.abort();
@@ -0,0 +1,233 @@
+const { MessageChannelMain } = require('electron');
+
+// Default time an eval / call may take before the helper session is restarted
+const DEFAULT_TIMEOUT = 30000;
+
+// R function names accepted by call(): `name` or `pkg::name`
+const FUNCTION_NAME = /^([A-Za-z][A-Za-z0-9._]*::)?([A-Za-z]|\.[A-Za-z._])[A-Za-z0-9._]*$/;
+
+/**
+ * Bridge from WASM app windows to native R helper sessions
+ * Each window gets its own R session (started on first use) and a MessagePort to talk to it:
+ * the renderer posts `{ id, type: 'eval', code }` or `{ id, type: 'call', fn, args }` and
+ * receives `{ id, success, value, output, messages, warnings, error }` (see
+ * RSessionManager.execute). Arguments travel as JSON too; code and calls run in an
+ * environment that persists between requests.
+ * Requests of a window run one at a time; a session that timed out, crashed or was
+ * terminated (e.g., before an installation) is restarted on the next request.
+ * The session is shut down when the window closes or the renderer closes the port.
+ * Only WASM app windows get a bridge: other pages share the app origin and the preload
+ * (launchpad, proxied R-Shiny sessions) but must not run native R.
+ */
+class RBridge {
+  /**
+   * @param {RSessionManager} sessionManager - Session manager that runs the helper sessions
+   * @param {WindowManager} windowManager - Window manager that knows the WASM app windows
+   */
+  constructor(sessionManager, windowManager) {
+    this.sessionManager = sessionManager;
+    this.windowManager = windowManager;
+    this.bridges = new Map(); // webContents id -> { sessionId, port, queue, restart, starting, ready }
+  }
+
+  /**
+   * Open the bridge of a window and send it a fresh MessagePort ('plugin:r:bridgePort')
+   * Reopening (e.g., after a reload) keeps the R session and replaces the port.
+   * @param {Electron.WebContents} webContents - Window that asked for the bridge
+   * @returns {Promise<{sessionId: string}>}
+   */
+  async open(webContents) {
+    if (!this.windowManager || !this.windowManager.isWasmAppWindow(webContents)) {
+      throw new Error('The R bridge is only available to WASM app windows');
+    }
+    const id = webContents.id;
+    let bridge = this.bridges.get(id);
+    if (!bridge) {
+      bridge = {
+        sessionId: `bridge-${id}-${Date.now()}`,
+        port: null,
+        queue: Promise.resolve(), // Tail of the request queue
+        restart: false, // Set after a timeout: the session may still be busy
+        starting: false,
+        ready: null // Promise of the running session (see _ensureSession)
+      };
+      this.bridges.set(id, bridge);
+      webContents.once('destroyed', () => this.close(id));
+      console.log(`[R bridge ${bridge.sessionId}] Opened for window ${id}`);
+    }
+
+    await this._ensureSession(bridge);
+
+    if (bridge.port) {
+      bridge.port.close();
+    }
+    const { port1, port2 } = new MessageChannelMain();
+    bridge.port = port1;
+    port1.on('message', (event) => this._onMessage(bridge, port1, event.data));
+    port1.on('close', () => {
+      if (bridge.port === port1) {
+        this.close(id);
+      }
+    });
+    port1.start();
+    webContents.postMessage('plugin:r:bridgePort', { sessionId: bridge.sessionId }, [port2]);
+    return { sessionId: bridge.sessionId };
+  }
+
+  /**
+   * Close the bridge of a window and terminate its R session
+   * @param {number} id - webContents id
+   * @returns {boolean} - True if the window had a bridge
+   */
+  close(id) {
+    const bridge = this.bridges.get(id);
+    if (!bridge) {
+      return false;
+    }
+    this.bridges.delete(id);
+    if (bridge.port) {
+      const port = bridge.port;
+      bridge.port = null;
+      port.close();
+    }
+    this.sessionManager.terminateSession(bridge.sessionId);
+    console.log(`[R bridge ${bridge.sessionId}] Closed`);
+    return true;
+  }
+
+  /**
+   * Close every bridge (app quit)
+   */
+  closeAll() {
+    for (const id of [...this.bridges.keys()]) {
+      this.close(id);
+    }
+  }
+
+  /**
+   * Make sure the bridge's R session is running, (re)starting it when needed
+   * @param {object} bridge - The bridge
+   * @returns {Promise<void>}
+   */
+  _ensureSession(bridge) {
+    const { status } = this.sessionManager.getSessionStatus(bridge.sessionId);
+    if (bridge.ready && !bridge.restart && (bridge.starting || status === 'running')) {
+      return bridge.ready;
+    }
+
+    if (status !== null || bridge.restart) {
+      console.log(`[R bridge ${bridge.sessionId}] Restarting R session`);
+      this.sessionManager.terminateSession(bridge.sessionId);
+    }
+    bridge.restart = false;
+    bridge.starting = true;
+    bridge.ready = (async () => {
+      const result = await this.sessionManager.createSession(bridge.sessionId, null, { headless: true });
+      if (!result.success) {
+        throw new Error(`Failed to start R helper session: ${result.error}`);
+      }
+      // Values only come back through the RPC channel, which needs jsonlite
+      const init = await this.sessionManager.execute(bridge.sessionId,
+        '.rave_bridge_env <- new.env(parent = globalenv())\nTRUE');
+      if (init.value !== true) {
+        this.sessionManager.terminateSession(bridge.sessionId);
+        throw new Error(init.success ? 'The R package "jsonlite" is not installed' : init.error);
+      }
+    })();
+    const ready = bridge.ready;
+    ready.then(() => {
+      bridge.starting = false;
+    }, () => {
+      bridge.starting = false;
+      if (bridge.ready === ready) {
+        bridge.ready = null;
+      }
+    });
+    return ready;
+  }
+
+  /**
+   * Queue a request from the renderer and post its reply
+   * @param {object} bridge - The bridge
+   * @param {MessagePortMain} port - Port the request came from
+   * @param {object} message - { id, type, code | fn, args, timeout }
+   */
+  _onMessage(bridge, port, message) {
+    if (!message || message.id === undefined) {
+      return;
+    }
+    bridge.queue = bridge.queue.then(async () => {
+      const startedAt = Date.now();
+      let reply;
+      try {
+        reply = { id: message.id, ...(await this._run(bridge, message)) };
+      } catch (err) {
+        reply = { id: message.id, success: false, value: null, output: '', messages: [], warnings: [], error: err.message };
+      }
+      console.log(`[R bridge ${bridge.sessionId}] ${message.type} ${reply.success ? 'ok' : 'failed'} ${Date.now() - startedAt}ms`);
+      if (bridge.port === port) {
+        port.postMessage(reply);
+      }
+    });
+  }
+
+  /**
+   * Run one request in the bridge's R session
+   * @param {object} bridge - The bridge
+   * @param {object} message - Request
+   * @returns {Promise<object>} - { success, value, output, messages, warnings, error }
+   */
+  async _run(bridge, message) {
+    const code = this._wrapRequest(message);
+    const timeout = Number(message.timeout) > 0 ? Number(message.timeout) : DEFAULT_TIMEOUT;
+
+    await this._ensureSession(bridge);
+    const result = await this.sessionManager.execute(bridge.sessionId, code, timeout);
+    if (result.timing.elapsedMs === null) {
+      // R did not answer: it may still be evaluating (or be gone); start over with a clean session
+      bridge.restart = true;
+      throw new Error(result.error === 'Execution timeout'
+        ? `R did not answer within ${timeout / 1000} seconds; the helper session will be restarted`
+        : result.error);
+    }
+    return {
+      success: result.success,
+      value: result.value,
+      output: result.stdout,
+      messages: result.messages,
+      warnings: result.warnings,
+      error: result.error
+    };
+  }
+
+  /**
+   * Build the R code of a request
+   * The request is passed base64-encoded, so no R string escaping is involved. Values are
+   * returned invisibly: `output` only holds what the code printed.
+   * @param {object} message - { type: 'eval', code } or { type: 'call', fn, args }
+   * @returns {string}
+   */
+  _wrapRequest(message) {
+    const encode = (value) => Buffer.from(value, 'utf8').toString('base64');
+    const decode = (value) => `rawToChar(jsonlite::base64_dec("${encode(value)}"))`;
+
+    if (message.type === 'eval') {
+      if (typeof message.code !== 'string') {
+        throw new Error('eval needs R code as a string');
+      }
+      return `invisible(eval(parse(text = ${decode(message.code)}, encoding = "UTF-8"), envir = .rave_bridge_env))`;
+    }
+    if (message.type === 'call') {
+      if (typeof message.fn !== 'string' || !FUNCTION_NAME.test(message.fn)) {
+        throw new Error(`Invalid R function name: ${message.fn}`);
+      }
+      const args = JSON.stringify(message.args === undefined ? {} : message.args, (key, value) =>
+        ArrayBuffer.isView(value) ? Array.from(value) : value);
+      return `invisible(do.call(eval(quote(${message.fn}), envir = .rave_bridge_env), ` +
+        `as.list(jsonlite::fromJSON(${decode(args)}, simplifyVector = TRUE)), envir = .rave_bridge_env))`;
+    }
+    throw new Error(`Unknown bridge request: ${message.type}`);
+  }
+}
+
+module.exports = RBridge;
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Time R gets to start and connect back after the bootstrap script was written
+const CONNECT_TIMEOUT = 30000;
+
+// Bytes of the length prefix of a frame (unsigned, big endian)
+const HEADER_SIZE = 4;
+
+/**
+ * R side of the protocol, sourced by the session once after R starts
+ * Connects back to the channel, introduces itself with the token and defines
+ * `.rave_rpc$serve()`, which reads one request frame, evaluates its code at top level
+ * (printing visible values like the console does) and writes one response frame.
+ * Only base R is used until the hello frame is sent; requests need jsonlite.
+ * @param {number} port - Port of the channel
+ * @param {string} token - Token the session introduces itself with
+ * @returns {string}
+ */
+function bootstrapScript(port, token) {
+  return `local({
+  con <- socketConnection(host = "127.0.0.1", port = ${port}L, blocking = TRUE, open = "r+b", timeout = 86400)
+  read_exactly <- function(n) {
+    chunks <- list()
+    got <- 0L
+    while (got < n) {
+      chunk <- readBin(con, "raw", n = n - got)
+      if (!length(chunk)) stop("RPC connection closed")
+      chunks[[length(chunks) + 1L]] <- chunk
+      got <- got + length(chunk)
+    }
+    do.call(c, chunks)
+  }
+  read_frame <- function() {
+    size <- readBin(read_exactly(4L), "integer", size = 4L, endian = "big")
+    text <- rawToChar(read_exactly(size))
+    Encoding(text) <- "UTF-8"
+    text
+  }
+  write_frame <- function(json) {
+    bytes <- charToRaw(enc2utf8(json))
+    writeBin(length(bytes), con, size = 4L, endian = "big")
+    writeBin(bytes, con)
+    flush(con)
+  }
+  has_jsonlite <- requireNamespace("jsonlite", quietly = TRUE)
+  write_frame(sprintf('{"type":"hello","token":"%s","pid":%d,"jsonlite":%s,"version":"%s"}',
+    "${token}", Sys.getpid(), tolower(has_jsonlite), as.character(getRversion())))
+  if (!has_jsonlite) {
+    close(con)
+    return(invisible())
+  }
+
+  to_json <- function(x) {
+    jsonlite::toJSON(x, auto_unbox = TRUE, digits = NA, null = "null", na = "null", force = TRUE)
+  }
+  serve <- function() {
+    request <- jsonlite::fromJSON(read_frame(), simplifyVector = FALSE)
+    started <- proc.time()[["elapsed"]]
+    value <- NULL
+    messages <- list()
+    warnings <- list()
+    error <- NULL
+    stdout_lines <- character()
+    out <- textConnection("stdout_lines", "w", local = TRUE)
+    sink(out)
+    tryCatch(
+      withCallingHandlers({
+        for (expr in parse(text = request$code, keep.source = FALSE, encoding = "UTF-8")) {
+          result <- withVisible(eval(expr, envir = globalenv()))
+          value <- result$value
+          if (result$visible) print(result$value)
+        }
+      }, message = function(m) {
+        messages[[length(messages) + 1L]] <<- sub("\\n$", "", conditionMessage(m))
+        invokeRestart("muffleMessage")
+      }, warning = function(w) {
+        warnings[[length(warnings) + 1L]] <<- conditionMessage(w)
+        invokeRestart("muffleWarning")
+      }),
+      error = function(e) {
+        call <- conditionCall(e)
+        error <<- list(message = conditionMessage(e),
+          call = if (is.null(call)) NULL else paste(deparse(call), collapse = "\\n"))
+        value <<- NULL
+      },
+      finally = {
+        sink()
+        close(out)
+      }
+    )
+    value_json <- tryCatch(to_json(value), error = function(e) {
+      warnings[[length(warnings) + 1L]] <<- paste("The value cannot be converted to JSON:", conditionMessage(e))
+      "null"
+    })
+    response <- to_json(list(
+      type = "response",
+      id = request$id,
+      stdout = paste(stdout_lines, collapse = "\\n"),
+      messages = messages,
+      warnings = warnings,
+      error = error,
+      elapsed = round((proc.time()[["elapsed"]] - started) * 1000)
+    ))
+    write_frame(paste0('{"value":', value_json, ",", substring(response, 2L)))
+    invisible()
+  }
+  assign(".rave_rpc", list(serve = serve), envir = globalenv())
+  invisible()
+})`;
+}
+
+/**
+ * Framed request / response channel to one R session
+ * Frames are UTF-8 JSON documents with a 4-byte length prefix, sent over a loopback socket
+ * that the session opens after running bootstrapScript. Requests carry code and an id;
+ * responses carry the id, the value (as JSON), stdout, messages, warnings, the error and
+ * the evaluation time. The session reads one request each time `.rave_rpc$serve()` is
+ * written to its stdin (see RSessionManager.execute), so the console stays free for
+ * blocking commands such as start_rave().
+ */
+class RRpcChannel {
+  constructor() {
+    this.token = crypto.randomBytes(16).toString('hex');
+    this.server = null;
+    this.socket = null;
+    this.hello = null; // First frame of the session: { pid, jsonlite, version }
+    this.buffer = Buffer.alloc(0);
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, timeoutId }
+    this.onHello = null; // Set while waitForConnection waits
+    this.closed = false;
+  }
+
+  /**
+   * Start listening on a random loopback port
+   * @returns {Promise<number>} - Port (pass it to bootstrapScript)
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this._onConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  /**
+   * R code that connects the session to this channel
+   * @returns {string}
+   */
+  getBootstrapScript() {
+    return bootstrapScript(this.server.address().port, this.token);
+  }
+
+  /**
+   * Wait for the session to connect and introduce itself
+   * @param {number} [timeout=30000] - Milliseconds to wait
+   * @returns {Promise<object>} - The hello frame
+   */
+  waitForConnection(timeout = CONNECT_TIMEOUT) {
+    if (this.hello) {
+      return Promise.resolve(this.hello);
+    }
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.onHello = null;
+        reject(new Error('R did not connect to the RPC channel'));
+      }, timeout);
+      this.onHello = (err, hello) => {
+        clearTimeout(timeoutId);
+        this.onHello = null;
+        err ? reject(err) : resolve(hello);
+      };
+    });
+  }
+
+  /**
+   * Send a request; the caller then asks the session to serve it
+   * @param {string} code - R code
+   * @param {number} timeout - Milliseconds to wait for the response
+   * @returns {Promise<object>} - Response frame
+   */
+  request(code, timeout) {
+    if (this.closed || !this.socket) {
+      return Promise.reject(new Error('RPC channel is closed'));
+    }
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        // A late response is dropped (no pending entry)
+        this.pending.delete(id);
+        reject(new Error('Execution timeout'));
+      }, timeout);
+      this.pending.set(id, { resolve, reject, timeoutId });
+      this._writeFrame({ type: 'request', id, code });
+    });
+  }
+
+  /**
+   * Close the channel; pending requests fail
+   * @param {string} [reason='RPC channel is closed'] - Error message for pending requests
+   */
+  close(reason = 'RPC channel is closed') {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    for (const { reject, timeoutId } of this.pending.values()) {
+      clearTimeout(timeoutId);
+      reject(new Error(reason));
+    }
+    this.pending.clear();
+    if (this.onHello) {
+      this.onHello(new Error(reason));
+    }
+    if (this.socket) {
+      this.socket.destroy();
+    }
+    if (this.server) {
+      this.server.close();
+    }
+  }
+
+  /**
+   * Accept the session's connection (others are dropped once the token doesn't match)
+   * @param {net.Socket} socket - Incoming connection
+   */
+  _onConnection(socket) {
+    if (this.socket || this.closed) {
+      socket.destroy();
+      return;
+    }
+    let buffer = Buffer.alloc(0);
+    const onData = (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      const frames = this._readFrames(buffer);
+      buffer = frames.rest;
+      if (frames.messages.length === 0) {
+        return;
+      }
+      const hello = frames.messages[0];
+      if (!hello || hello.type !== 'hello' || hello.token !== this.token) {
+        socket.destroy();
+        return;
+      }
+      // The session is connected: stop accepting connections and switch to responses
+      socket.removeListener('data', onData);
+      this.socket = socket;
+      this.server.close();
+      this.hello = { pid: hello.pid, jsonlite: hello.jsonlite, version: hello.version };
+      socket.on('data', (chunk) => this._onData(chunk));
+      socket.on('close', () => this.close('R session closed the RPC channel'));
+      socket.on('error', () => {});
+      if (this.onHello) {
+        this.onHello(null, this.hello);
+      }
+      if (frames.rest.length > 0) {
+        this._onData(Buffer.alloc(0), frames.rest);
+      }
+    };
+    socket.on('data', onData);
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Collect response frames
+   * @param {Buffer} chunk - Data from the session
+   * @param {Buffer} [initial] - Data left over from the handshake
+   */
+  _onData(chunk, initial = null) {
+    this.buffer = Buffer.concat([initial || this.buffer, chunk]);
+    const { messages, rest } = this._readFrames(this.buffer);
+    this.buffer = rest;
+    for (const message of messages) {
+      const pending = message && this.pending.get(message.id);
+      if (!pending) {
+        continue;
+      }
+      clearTimeout(pending.timeoutId);
+      this.pending.delete(message.id);
+      pending.resolve(message);
+    }
+  }
+
+  /**
+   * Split complete frames off a buffer
+   * @param {Buffer} buffer - Received data
+   * @returns {{messages: Array<object|null>, rest: Buffer}} - Parsed frames (null if not JSON)
+   */
+  _readFrames(buffer) {
+    const messages = [];
+    let offset = 0;
+    while (buffer.length - offset >= HEADER_SIZE) {
+      const size = buffer.readUInt32BE(offset);
+      if (buffer.length - offset - HEADER_SIZE < size) {
+        break;
+      }
+      const text = buffer.toString('utf8', offset + HEADER_SIZE, offset + HEADER_SIZE + size);
+      offset += HEADER_SIZE + size;
+      try {
+        messages.push(JSON.parse(text));
+      } catch (err) {
+        console.error('Ignoring malformed RPC frame from R:', err.message);
+        messages.push(null);
+      }
+    }
+    return { messages, rest: buffer.subarray(offset) };
+  }
+
+  /**
+   * Write a frame to the session
+   * @param {object} message - Frame content
+   */
+  _writeFrame(message) {
+    const body = Buffer.from(JSON.stringify(message), 'utf8');
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt32BE(body.length);
+    this.socket.write(Buffer.concat([header, body]));
+  }
+}
+
+module.exports = {
+  RRpcChannel,
+  bootstrapScript
+};
@@ -2,6 +2,9 @@ const { spawn } = require('child_process');
 const { dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { RRpcChannel } = require('./r-rpc');
 
 /**
  * Helper function to find icon path
@@ -27,10 +30,18 @@ function getIconPath() {
  * R Session Manager for managing multiple R sessions
  */
 class RSessionManager {
-  constructor(portManager, detector) {
+  /**
+   * @param {PortManager} portManager - Allocates the sessions' ports
+   * @param {RDetector} detector - Provides the R executable
+   * @param {NetworkManager} [networkManager] - Proxy and CA bundle settings passed to R
+   * @param {string} [cachePath] - Directory for the combined CA bundle
+   */
+  constructor(portManager, detector, networkManager = null, cachePath = null) {
     this.portManager = portManager;
     this.detector = detector;
-    this.sessions = new Map(); // sessionId -> { process, rPath, port, status, output }
+    this.networkManager = networkManager;
+    this.cachePath = cachePath;
+    this.sessions = new Map(); // sessionId -> { process, rPath, port, status, output, rpc, rpcReady }
     this.consoleOutputCallbacks = new Map(); // sessionId -> callback(data)
   }
 
@@ -73,10 +84,12 @@ class RSessionManager {
       // Allocate port for this session
       const port = await this.portManager.allocatePort();
 
-      // Spawn R process
+      // Spawn R process (package downloads go through the configured proxy)
+      const networkEnv = this.networkManager ? this.networkManager.getChildEnv(this.cachePath) : {};
       const rProcess = spawn(rPath, ['--vanilla', '--quiet', '--interactive'], {
         windowsHide: true,
-        stdio: ['pipe', 'pipe', 'pipe']
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: { ...process.env, ...networkEnv }
       });
 
       const session = {
@@ -87,7 +100,9 @@ class RSessionManager {
         output: '',
         stderr: '',
         pendingCommands: [],
-        headless
+        headless,
+        rpc: null, // RRpcChannel (see _startRpc)
+        rpcReady: null
       };
 
       // Handle stdout
@@ -119,6 +134,9 @@ class RSessionManager {
       rProcess.on('exit', (code, signal) => {
         console.log(`R Session ${sessionId} exited with code ${code}, signal ${signal}`);
         session.status = 'crashed';
+        if (session.rpc) {
+          session.rpc.close('R session exited');
+        }
         
         // Show dialog to user (unless headless)
         if (!session.headless) {
@@ -126,6 +144,11 @@ class RSessionManager {
         }
       });
 
+      // Writes after R exited fail asynchronously (EPIPE); the exit handler reports the session
+      rProcess.stdin.on('error', (err) => {
+        console.error(`R Session ${sessionId} stdin error:`, err.message);
+      });
+
       // Handle process errors
       rProcess.on('error', (err) => {
         console.error(`R Session ${sessionId} error:`, err);
@@ -133,6 +156,7 @@ class RSessionManager {
       });
 
       this.sessions.set(sessionId, session);
+      session.rpcReady = this._startRpc(sessionId, session);
 
       return { success: true, port, error: null };
     } catch (err) {
@@ -176,21 +200,171 @@ class RSessionManager {
 
   /**
    * Execute R code in a session
+   * The code runs through the session's RPC channel (see r-rpc.js): its value comes back as
+   * JSON, and printed output, messages, warnings and the error are kept apart. Without the
+   * channel (jsonlite missing, bootstrap failed) the console protocol is used: output is
+   * read from stdout up to an end marker and `value` is null.
+   * RPC output only reaches the console window once the call returns, so long-running code
+   * whose progress should be visible (e.g., package installation) can ask for `stream`,
+   * which always uses the console protocol.
    * @param {string} sessionId - Session ID
    * @param {string} code - R code to execute
    * @param {number} timeout - Timeout in milliseconds (default 30000)
-   * @returns {Promise<{success: boolean, output: string|null, error: string|null}>}
+   * @param {Object} [options]
+   * @param {boolean} [options.stream=false] - Stream output to the console window while the code runs
+   * @returns {Promise<{success: boolean, value: *, output: string|null, stdout: string|null,
+   *   messages: string[], warnings: string[], error: string|null, errorCall: string|null,
+   *   timing: {elapsedMs: number|null, totalMs: number}}>} - `success` is false when the code
+   *   raised an error, timed out or could not be run; `output` is the same as `stdout`
    */
-  async execute(sessionId, code, timeout = 30000) {
+  async execute(sessionId, code, timeout = 30000, options = {}) {
+    const { stream = false } = options;
+    const startedAt = Date.now();
     const session = this.sessions.get(sessionId);
     if (!session) {
-      return { success: false, output: null, error: 'Session not found' };
+      return this._failure('Session not found', startedAt);
     }
 
     if (session.status !== 'running') {
-      return { success: false, output: null, error: `Session status: ${session.status}` };
+      return this._failure(`Session status: ${session.status}`, startedAt);
+    }
+
+    const rpc = await session.rpcReady;
+    if (this.sessions.get(sessionId) !== session || session.status !== 'running') {
+      // Terminated or crashed while connecting
+      return this._failure('Session not found', startedAt);
+    }
+    if (!rpc || stream) {
+      return this._executeScript(session, code, timeout, startedAt);
+    }
+    if (rpc.closed) {
+      return this._failure('R session closed the RPC channel', startedAt);
+    }
+
+    let response;
+    try {
+      const request = rpc.request(code, timeout);
+      // The session serves one request per call
+      session.process.stdin.write('.rave_rpc$serve()\n');
+      response = await request;
+    } catch (err) {
+      return this._failure(err.message, startedAt);
     }
 
+    const result = {
+      success: !response.error,
+      value: response.error ? null : response.value,
+      output: response.stdout,
+      stdout: response.stdout,
+      messages: response.messages || [],
+      warnings: response.warnings || [],
+      error: response.error ? response.error.message : null,
+      errorCall: response.error ? response.error.call : null,
+      timing: { elapsedMs: response.elapsed, totalMs: Date.now() - startedAt }
+    };
+    this._forwardToConsole(sessionId, result);
+    return result;
+  }
+
+  /**
+   * Connect a new session to an RPC channel
+   * @param {string} sessionId - Session ID
+   * @param {object} session - The session
+   * @returns {Promise<RRpcChannel|null>} - Null when the console protocol has to be used
+   */
+  async _startRpc(sessionId, session) {
+    const rpc = new RRpcChannel();
+    session.rpc = rpc; // Closed with the session, also while it is still connecting
+    // Sourced from a file: the script is longer than R accepts on one console line
+    const scriptPath = path.join(os.tmpdir(), `rave-rpc-${crypto.randomBytes(8).toString('hex')}.R`);
+    try {
+      await rpc.listen();
+      await fs.promises.writeFile(scriptPath, rpc.getBootstrapScript(), { mode: 0o600 });
+      session.process.stdin.write(`source(${JSON.stringify(scriptPath)})\n`);
+      const hello = await rpc.waitForConnection();
+      if (!hello.jsonlite) {
+        rpc.close();
+        session.rpc = null;
+        console.warn(`R Session ${sessionId}: jsonlite is not installed, using the console protocol`);
+        return null;
+      }
+      console.log(`R Session ${sessionId}: RPC channel connected (R ${hello.version}, pid ${hello.pid})`);
+      return rpc;
+    } catch (err) {
+      rpc.close();
+      session.rpc = null;
+      console.warn(`R Session ${sessionId}: RPC channel unavailable (${err.message}), using the console protocol`);
+      return null;
+    } finally {
+      // R has read the script once it connected (or gave up); it holds the channel token
+      fs.promises.rm(scriptPath, { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Result of an execution that did not run
+   * @param {string} error - Error message
+   * @param {number} startedAt - Start time (ms)
+   * @returns {object} - See execute
+   */
+  _failure(error, startedAt) {
+    return {
+      success: false,
+      value: null,
+      output: null,
+      stdout: null,
+      messages: [],
+      warnings: [],
+      error,
+      errorCall: null,
+      timing: { elapsedMs: null, totalMs: Date.now() - startedAt }
+    };
+  }
+
+  /**
+   * Show what an RPC execution printed in the session's console window
+   * (R captured the output, so it did not stream through stdout)
+   * @param {string} sessionId - Session ID
+   * @param {object} result - Result of execute
+   */
+  _forwardToConsole(sessionId, result) {
+    const callback = this.consoleOutputCallbacks.get(sessionId);
+    if (!callback) {
+      return;
+    }
+    if (result.stdout) {
+      callback({ sessionId, type: 'stdout', message: result.stdout + '\n' });
+    }
+    const conditions = [
+      ...result.messages,
+      ...result.warnings.map(warning => `Warning: ${warning}`),
+      ...(result.error ? [`Error: ${result.error}`] : [])
+    ];
+    if (conditions.length > 0) {
+      callback({ sessionId, type: 'stderr', message: conditions.join('\n') + '\n' });
+    }
+  }
+
+  /**
+   * Execute R code through the console (sessions without an RPC channel, or `stream`)
+   * Writes the code to stdin followed by an end marker and collects stdout up to the marker.
+   * @param {object} session - The session
+   * @param {string} code - R code to execute
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {number} startedAt - Start time (ms)
+   * @returns {Promise<object>} - See execute (`value` is null, stderr is reported as `error`)
+   */
+  _executeScript(session, code, timeout, startedAt) {
+    const finish = (fields) => ({
+      value: null,
+      messages: [],
+      warnings: [],
+      errorCall: null,
+      ...fields,
+      stdout: fields.output,
+      timing: { elapsedMs: null, totalMs: Date.now() - startedAt }
+    });
+
     return new Promise((resolve) => {
       // Clear previous output
       session.output = '';
@@ -222,11 +396,11 @@ class RSessionManager {
           // Extract output before marker
           const output = session.output.split(marker)[0].trim();
           
-          resolve({
+          resolve(finish({
             success: true,
             output,
             error: session.stderr || null
-          });
+          }));
         }
       };
 
@@ -235,11 +409,11 @@ class RSessionManager {
       // Set timeout
       timeoutId = setTimeout(() => {
         cleanup();
-        resolve({
+        resolve(finish({
           success: false,
           output: session.output,
           error: 'Execution timeout'
-        });
+        }));
       }, timeout);
 
       // Write code to R process
@@ -247,11 +421,11 @@ class RSessionManager {
         session.process.stdin.write(codeWithMarker + '\n');
       } catch (err) {
         cleanup();
-        resolve({
+        resolve(finish({
           success: false,
           output: null,
           error: err.message
-        });
+        }));
       }
     });
   }
@@ -282,6 +456,10 @@ class RSessionManager {
     const session = this.sessions.get(sessionId);
     if (!session) return;
 
+    if (session.rpc) {
+      session.rpc.close('R session terminated');
+    }
+
     // Kill the R process
     if (session.process && !session.process.killed) {
       session.process.kill();
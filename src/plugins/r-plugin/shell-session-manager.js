@@ -7,9 +7,15 @@ const fs = require('fs');
  * Similar architecture to RSessionManager but for shell/Rscript execution
  */
 class ShellSessionManager {
-  constructor() {
+  /**
+   * @param {NetworkManager} [networkManager] - Proxy and CA settings exported to commands
+   * @param {string} [cachePath] - Directory for the combined CA bundle
+   */
+  constructor(networkManager = null, cachePath = null) {
     this.sessions = new Map(); // sessionId -> session object
     this.outputCallbacks = new Map(); // sessionId -> callback function
+    this.networkManager = networkManager;
+    this.cachePath = cachePath;
   }
 
   /**
@@ -63,7 +69,8 @@ class ShellSessionManager {
     }
 
     const timeout = options.timeout || 30 * 60 * 1000; // 30 minutes default
-    const env = { ...process.env, ...options.env };
+    const networkEnv = this.networkManager ? this.networkManager.getChildEnv(this.cachePath) : {};
+    const env = { ...process.env, ...networkEnv, ...options.env };
     
     // For macOS shell commands that may need sudo, open Terminal.app
     // This provides familiar password prompt experience without automation complexity
@@ -89,18 +96,25 @@ class ShellSessionManager {
       let setupScript = '#!/bin/bash\n\n';
       setupScript += '# RAVE environment setup - automatically sourced\n\n';
       
-      // Add environment variables to the setup script
+      // Add environment variables to the setup script (single-quoted: proxy URLs may hold credentials)
+      const quote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
       const envVars = [];
       for (const [key, value] of Object.entries(env)) {
-        if (key !== 'PATH' && key !== 'NONINTERACTIVE') {
-          setupScript += `export ${key}="${value}"\n`;
+        if (key !== 'PATH' && key !== 'NONINTERACTIVE' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+          setupScript += `export ${key}=${quote(value)}\n`;
           envVars.push(key);
         }
       }
       
       // Handle PATH separately
       if (env.PATH) {
-        setupScript += `export PATH="${env.PATH}:$PATH"\n`;
+        setupScript += `export PATH=${quote(env.PATH)}:"$PATH"\n`;
+      }
+      
+      // sudo resets the environment; keep the proxy and CA bundle settings for the command
+      const networkVars = Object.keys(networkEnv);
+      if (networkVars.length > 0) {
+        setupScript += `sudo() { command sudo --preserve-env=${networkVars.join(',')} "$@"; }\n`;
       }
       
       // Write setup script
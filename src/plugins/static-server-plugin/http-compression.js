@@ -0,0 +1,179 @@
+/**
+ * HTTP compression helpers for the static server
+ * Negotiates `Accept-Encoding` (brotli / gzip) and produces compressed
+ * sidecar files for text-like content
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+// Supported encodings in order of preference, with their sidecar extensions
+const ENCODINGS = {
+  br: '.br',
+  gzip: '.gz'
+};
+
+// Files smaller than this are not worth compressing
+const MIN_COMPRESS_SIZE = 1024;
+
+// Extensions of formats that are already compressed (brain volumes, archives, media)
+const COMPRESSED_EXTENSIONS = [
+  '.gz', '.mgz', '.tgz', '.br', '.zip', '.zst', '.xz', '.bz2', '.7z',
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.ico', '.icns',
+  '.woff', '.woff2', '.mp3', '.mp4', '.webm', '.ogg', '.pdf'
+];
+
+// Content types that benefit from compression
+const COMPRESSIBLE_TYPE = /^(text\/|application\/(javascript|json|xml|wasm|x-javascript|ld\+json|manifest\+json)|image\/svg\+xml)/i;
+
+/**
+ * Check whether a file should be compressed for transfer
+ * @param {string} filePath - Path of the file (used for its extension)
+ * @param {string} mimeType - Content type of the file
+ * @param {number} size - Size of the file in bytes
+ * @returns {boolean}
+ */
+function isCompressible(filePath, mimeType, size) {
+  if (size < MIN_COMPRESS_SIZE) {
+    return false;
+  }
+  const lowerPath = filePath.toLowerCase();
+  if (COMPRESSED_EXTENSIONS.some(ext => lowerPath.endsWith(ext))) {
+    return false;
+  }
+  return COMPRESSIBLE_TYPE.test(mimeType || '');
+}
+
+/**
+ * Pick the best supported encoding from an `Accept-Encoding` header
+ * @param {string} header - Value of Accept-Encoding
+ * @returns {string|null} - 'br', 'gzip', or null for identity
+ */
+function negotiateEncoding(header) {
+  if (!header) {
+    return null;
+  }
+
+  const accepted = new Map();
+  for (const item of header.split(',')) {
+    const [rawName, ...params] = item.trim().split(';');
+    const name = rawName.trim().toLowerCase();
+    if (!name) {
+      continue;
+    }
+    let q = 1;
+    for (const param of params) {
+      const [key, value] = param.trim().split('=');
+      if (key === 'q') {
+        q = parseFloat(value);
+        if (isNaN(q)) q = 0;
+      }
+    }
+    accepted.set(name, q);
+  }
+
+  let best = null;
+  let bestQ = 0;
+  for (const encoding of Object.keys(ENCODINGS)) {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : (accepted.get('*') || 0);
+    // Strictly greater keeps the preference order on ties
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+/**
+ * Create a compression transform stream
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {zlib.BrotliCompress|zlib.Gzip}
+ */
+function _createCompressor(encoding) {
+  if (encoding === 'br') {
+    return zlib.createBrotliCompress({
+      params: {
+        // Quality 11 is far too slow for on-demand compression of large webR bundles
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 6,
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT
+      }
+    });
+  }
+  return zlib.createGzip({ level: 6 });
+}
+
+/**
+ * Compress a file into a sidecar (written to a temporary file, then renamed)
+ * @param {string} srcPath - Source file
+ * @param {string} destPath - Destination sidecar file
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {Promise<string>} - The destination path
+ */
+function compressFile(srcPath, destPath, encoding) {
+  return new Promise((resolve, reject) => {
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    const tmpPath = `${destPath}.${process.pid}.${Date.now()}.tmp`;
+
+    pipeline(
+      fs.createReadStream(srcPath),
+      _createCompressor(encoding),
+      fs.createWriteStream(tmpPath),
+      (err) => {
+        if (err) {
+          fs.unlink(tmpPath, () => {});
+          reject(err);
+          return;
+        }
+        fs.rename(tmpPath, destPath, (renameErr) => {
+          if (renameErr) {
+            fs.unlink(tmpPath, () => {});
+            reject(renameErr);
+          } else {
+            resolve(destPath);
+          }
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Compress in-memory content
+ * @param {Buffer} buffer - Content to compress
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {Promise<Buffer>}
+ */
+function compressBuffer(buffer, encoding) {
+  return new Promise((resolve, reject) => {
+    const callback = (err, result) => (err ? reject(err) : resolve(result));
+    if (encoding === 'br') {
+      zlib.brotliCompress(buffer, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 6 }
+      }, callback);
+    } else {
+      zlib.gzip(buffer, { level: 6 }, callback);
+    }
+  });
+}
+
+/**
+ * Derive the entity tag of an encoded representation
+ * @param {string} etag - Entity tag of the identity representation
+ * @param {string} encoding - Content encoding
+ * @returns {string}
+ */
+function encodedTag(etag, encoding) {
+  return etag.replace(/"$/, `-${encoding}"`);
+}
+
+module.exports = {
+  ENCODINGS,
+  isCompressible,
+  negotiateEncoding,
+  compressFile,
+  compressBuffer,
+  encodedTag
+};
@@ -0,0 +1,120 @@
+/**
+ * HTTP conditional request helpers for the static server
+ * Builds validators (ETag / Last-Modified) and evaluates
+ * `If-None-Match` / `If-Modified-Since` to answer 304 Not Modified
+ */
+
+const crypto = require('crypto');
+
+// Headers that a 304 response must not carry (it has no body)
+const BODY_HEADERS = ['Content-Type', 'Content-Length', 'Content-Range', 'Content-Encoding'];
+
+/**
+ * Build a strong entity tag from file stats (size + modification time)
+ * @param {fs.Stats} stats - File stats
+ * @returns {string} - Quoted entity tag
+ */
+function statTag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Build a strong entity tag from a content digest
+ * @param {string} digest - Hex/base64 digest (e.g., a manifest file digest)
+ * @returns {string} - Quoted entity tag
+ */
+function digestTag(digest) {
+  return `"${String(digest).replace(/"/g, '')}"`;
+}
+
+/**
+ * Build a strong entity tag by hashing in-memory content
+ * @param {Buffer|string} content - Content to hash
+ * @returns {string} - Quoted entity tag
+ */
+function contentTag(content) {
+  const hash = crypto.createHash('sha1').update(content).digest('base64').replace(/=+$/, '');
+  return `"${hash}"`;
+}
+
+/**
+ * Add ETag / Last-Modified headers for the given validators
+ * @param {Object} headers - Response headers (modified in place)
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {Object} - The same headers object
+ */
+function applyValidators(headers, validators) {
+  if (validators.etag) {
+    headers['ETag'] = validators.etag;
+  }
+  if (validators.lastModified) {
+    headers['Last-Modified'] = validators.lastModified.toUTCString();
+  }
+  return headers;
+}
+
+/**
+ * Weak comparison of an entity tag against an If-None-Match list
+ * @param {string} header - Value of If-None-Match
+ * @param {string} etag - Current entity tag
+ * @returns {boolean}
+ */
+function _matchesAnyTag(header, etag) {
+  if (header.trim() === '*') {
+    return true;
+  }
+  const opaque = etag.replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === opaque);
+}
+
+/**
+ * Check whether a GET/HEAD request can be answered with 304 Not Modified
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110, section 13.2.2)
+ * @param {http.IncomingMessage} req - The request object
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean}
+ */
+function isNotModified(req, validators) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return !!validators.etag && _matchesAnyTag(ifNoneMatch, validators.etag);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince && validators.lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    if (!isNaN(since)) {
+      // HTTP dates have second resolution
+      return Math.floor(validators.lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Send a 304 Not Modified response
+ * @param {http.ServerResponse} res - The response object
+ * @param {Object} headers - Headers of the full response (body headers are dropped)
+ */
+function sendNotModified(res, headers) {
+  const notModifiedHeaders = { ...headers };
+  for (const name of BODY_HEADERS) {
+    delete notModifiedHeaders[name];
+  }
+  res.writeHead(304, notModifiedHeaders);
+  res.end();
+}
+
+module.exports = {
+  statTag,
+  digestTag,
+  contentTag,
+  applyValidators,
+  isNotModified,
+  sendNotModified
+};
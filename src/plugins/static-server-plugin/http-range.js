@@ -0,0 +1,245 @@
+/**
+ * HTTP Range helpers for the static server
+ * Parses `Range` / `If-Range` request headers and writes 206 Partial Content
+ * responses (single range or multipart/byteranges)
+ */
+
+const crypto = require('crypto');
+
+// Requests with more ranges than this are served in full instead
+const MAX_RANGES = 50;
+
+/**
+ * Parse a `Range` header against a representation of known size
+ * @param {string} header - Value of the Range header (e.g., "bytes=0-1023")
+ * @param {number} size - Size of the representation in bytes
+ * @returns {Array<{start: number, end: number}>|null|-1} - Sorted, merged ranges
+ *   (inclusive ends), null if the header should be ignored, or -1 if unsatisfiable
+ */
+function parseRange(header, size) {
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) {
+    // Unknown range unit - ignore and serve the full representation
+    return null;
+  }
+
+  const specs = match[1].split(',');
+  if (specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+  for (const rawSpec of specs) {
+    const spec = rawSpec.trim();
+    if (!spec) {
+      continue;
+    }
+
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      // Syntactically invalid - the whole header is ignored
+      return null;
+    }
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // Suffix range: last N bytes
+      const suffixLength = parseInt(parts[2], 10);
+      if (suffixLength === 0) {
+        continue;
+      }
+      start = Math.max(size - suffixLength, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+      if (parts[2] !== '' && parseInt(parts[2], 10) < start) {
+        return null;
+      }
+    }
+
+    if (start >= size) {
+      continue;
+    }
+    ranges.push({ start, end });
+  }
+
+  if (ranges.length === 0) {
+    return -1;
+  }
+
+  // Merge overlapping or adjacent ranges so clients can't request the same bytes repeatedly
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (let i = 1; i < ranges.length; i++) {
+    const last = merged[merged.length - 1];
+    const current = ranges[i];
+    if (current.start <= last.end + 1) {
+      last.end = Math.max(last.end, current.end);
+    } else {
+      merged.push(current);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Check whether an `If-Range` precondition allows a partial response
+ * @param {http.IncomingMessage} req - The request object
+ * @param {Object} validators - Current validators of the representation
+ * @param {string} [validators.etag] - Strong entity tag, if any
+ * @param {Date} [validators.lastModified] - Last modification time, if any
+ * @returns {boolean} - True if the Range header should be honored
+ */
+function isIfRangeSatisfied(req, validators = {}) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // Entity tag - only strong comparison is allowed for If-Range
+    return !!validators.etag && !value.startsWith('W/') && value === validators.etag;
+  }
+
+  // HTTP-date - must exactly match the (second-resolution) modification time
+  const since = Date.parse(value);
+  if (isNaN(since) || !validators.lastModified) {
+    return false;
+  }
+  return Math.floor(validators.lastModified.getTime() / 1000) === Math.floor(since / 1000);
+}
+
+/**
+ * Pipe a sequence of streams into the response one after another
+ * @param {Array<{prefix: string|null, open: Function}>} parts - Parts to write
+ * @param {string|null} suffix - Trailing text after the last part
+ * @param {http.ServerResponse} res - The response object
+ */
+function _pipeSequentially(parts, suffix, res) {
+  let index = 0;
+
+  const next = () => {
+    if (res.destroyed) {
+      return;
+    }
+    if (index >= parts.length) {
+      res.end(suffix || undefined);
+      return;
+    }
+
+    const part = parts[index++];
+    if (part.prefix) {
+      res.write(part.prefix);
+    }
+
+    const stream = part.open();
+    stream.on('error', (streamErr) => {
+      console.error('Stream error:', streamErr);
+      res.destroy(streamErr);
+    });
+    stream.on('end', next);
+    stream.pipe(res, { end: false });
+  };
+
+  res.on('close', () => {
+    index = parts.length;
+  });
+
+  next();
+}
+
+/**
+ * Send a representation, honoring Range / If-Range when present
+ * @param {http.IncomingMessage} req - The request object
+ * @param {http.ServerResponse} res - The response object
+ * @param {Object} options
+ * @param {number} options.size - Total size of the representation in bytes
+ * @param {Object} options.headers - Headers for a full 200 response (Content-Length is set here)
+ * @param {Function} options.openStream - (start, end) => Readable for an inclusive byte range
+ * @param {Object} [options.validators] - { etag, lastModified } used to evaluate If-Range
+ */
+function sendWithRanges(req, res, { size, headers, openStream, validators = {} }) {
+  const isHead = req.method === 'HEAD';
+  const rangeHeader = req.headers.range;
+  let ranges = null;
+
+  if (rangeHeader && (req.method === 'GET' || isHead) && isIfRangeSatisfied(req, validators)) {
+    ranges = parseRange(rangeHeader, size);
+  }
+
+  if (ranges === -1) {
+    const errorHeaders = { ...headers, 'Content-Range': `bytes */${size}`, 'Content-Length': 0 };
+    delete errorHeaders['Content-Type'];
+    res.writeHead(416, errorHeaders);
+    res.end();
+    return;
+  }
+
+  // Full response
+  if (!ranges) {
+    res.writeHead(200, { ...headers, 'Content-Length': size });
+    if (isHead || size === 0) {
+      res.end();
+      return;
+    }
+    _pipeSequentially([{ prefix: null, open: () => openStream(0, size - 1) }], null, res);
+    return;
+  }
+
+  // Single range
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.writeHead(206, {
+      ...headers,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': end - start + 1
+    });
+    if (isHead) {
+      res.end();
+      return;
+    }
+    _pipeSequentially([{ prefix: null, open: () => openStream(start, end) }], null, res);
+    return;
+  }
+
+  // Multiple ranges - multipart/byteranges
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const contentType = headers['Content-Type'] || 'application/octet-stream';
+  const parts = ranges.map(({ start, end }, i) => ({
+    prefix: `${i === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`,
+    open: () => openStream(start, end),
+    length: end - start + 1
+  }));
+  const suffix = `\r\n--${boundary}--\r\n`;
+  const contentLength = parts.reduce(
+    (total, part) => total + Buffer.byteLength(part.prefix) + part.length,
+    Buffer.byteLength(suffix)
+  );
+
+  res.writeHead(206, {
+    ...headers,
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': contentLength
+  });
+  if (isHead) {
+    res.end();
+    return;
+  }
+  _pipeSequentially(parts, suffix, res);
+}
+
+module.exports = {
+  parseRange,
+  isIfRangeSatisfied,
+  sendWithRanges
+};
@@ -0,0 +1,326 @@
+/**
+ * HTTP router for the static server
+ * Plugins register method + path handlers and middleware (see StaticServerPlugin.getRouter);
+ * requests no route matches fall through to static file serving. Paths below `/api/` are
+ * API routes: their errors (including 404 / 405) are answered as JSON. Upgrade requests
+ * (WebSockets) are routed separately (see HttpRouter.upgrade).
+ */
+
+// Paths below this prefix are API routes (JSON errors, never served as static files)
+const API_PREFIX = '/api/';
+
+// Methods a path served by the static fallback accepts
+const STATIC_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Error with an HTTP status code; throw it from a handler to answer with that status
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message (sent to the client)
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether a path is an API route
+ * @param {string} pathname - Request path
+ * @returns {boolean}
+ */
+function isApiPath(pathname) {
+  return pathname.startsWith(API_PREFIX);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {*} body - Value to serialize
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, statusCode, body, headers = {}) {
+  const content = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(content),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(res.req && res.req.method === 'HEAD' ? undefined : content);
+}
+
+/**
+ * Send an error response: JSON (`{ error }`) on API routes, plain text otherwise
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} [headers] - Extra headers (e.g., Allow)
+ */
+function sendError(req, res, statusCode, message, headers = {}) {
+  if (res.headersSent) {
+    // Too late for a status code; make sure the client sees a failed response
+    res.destroy();
+    return;
+  }
+  const pathname = req.pathname || req.url.split('?')[0];
+  if (isApiPath(pathname)) {
+    sendJson(res, statusCode, { error: message }, headers);
+    return;
+  }
+  res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+  res.end(req.method === 'HEAD' ? undefined : message);
+}
+
+/**
+ * Compile a path pattern into a matcher
+ * Segments starting with `:` capture one path segment; a trailing `*` captures the rest
+ * of the path (as `params['*']`). Captured values are URL-decoded.
+ * @param {string} pattern - Pattern such as "/api/cache/:name" or "/app-data/*"
+ * @returns {function} - (pathname) => params object, or null when it doesn't match
+ */
+function compilePattern(pattern) {
+  const segments = pattern.split('/').slice(1);
+  const wildcard = segments[segments.length - 1] === '*';
+  if (wildcard) {
+    segments.pop();
+  }
+
+  return (pathname) => {
+    const parts = pathname.split('/').slice(1);
+    if (wildcard ? parts.length <= segments.length : parts.length !== segments.length) {
+      return null;
+    }
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+      if (segments[i].startsWith(':')) {
+        if (!parts[i]) {
+          return null;
+        }
+        params[segments[i].slice(1)] = decodeURIComponent(parts[i]);
+      } else if (segments[i] !== parts[i]) {
+        return null;
+      }
+    }
+    if (wildcard) {
+      params['*'] = decodeURIComponent(parts.slice(segments.length).join('/'));
+    }
+    return params;
+  };
+}
+
+/**
+ * Method + path router with middleware
+ * Handlers are `(req, res) => void | Promise`, middleware is `(req, res, next) => void | Promise`
+ * (not calling `next` ends the chain). Before they run, `req.pathname` (raw path),
+ * `req.query` (URLSearchParams) and `req.params` (pattern captures) are set.
+ */
+class HttpRouter {
+  constructor() {
+    this.routes = []; // { method, pattern, match, handler }
+    this.middleware = []; // { prefix, handler }
+    this.upgrades = []; // { pattern, match, handler }
+  }
+
+  /**
+   * Add middleware, optionally only for paths below a prefix
+   * @param {string|function} prefix - Path prefix (e.g., "/api/"), or the middleware
+   * @param {function} [handler] - (req, res, next) => void | Promise
+   * @returns {HttpRouter}
+   */
+  use(prefix, handler) {
+    if (typeof prefix === 'function') {
+      handler = prefix;
+      prefix = '/';
+    }
+    this.middleware.push({ prefix, handler });
+    return this;
+  }
+
+  /**
+   * Register a handler for a method and path pattern (see compilePattern)
+   * GET handlers also answer HEAD requests.
+   * @param {string|string[]} method - HTTP method(s), or "*" for any
+   * @param {string} pattern - Path pattern
+   * @param {function} handler - (req, res) => void | Promise
+   * @returns {HttpRouter}
+   */
+  route(method, pattern, handler) {
+    if (!pattern.startsWith('/')) {
+      throw new Error(`Route pattern must start with "/": ${pattern}`);
+    }
+    for (const m of Array.isArray(method) ? method : [method]) {
+      this.routes.push({ method: m.toUpperCase(), pattern, match: compilePattern(pattern), handler });
+    }
+    return this;
+  }
+
+  // Shorthands for route()
+
+  get(pattern, handler) {
+    return this.route('GET', pattern, handler);
+  }
+
+  post(pattern, handler) {
+    return this.route('POST', pattern, handler);
+  }
+
+  put(pattern, handler) {
+    return this.route('PUT', pattern, handler);
+  }
+
+  delete(pattern, handler) {
+    return this.route('DELETE', pattern, handler);
+  }
+
+  /**
+   * Register a handler for upgrade requests (e.g., WebSockets) on a path pattern
+   * @param {string} pattern - Path pattern (see compilePattern)
+   * @param {function} handler - (req, socket, head) => void | Promise; req.params is set
+   * @returns {HttpRouter}
+   */
+  upgrade(pattern, handler) {
+    this.upgrades.push({ pattern, match: compilePattern(pattern), handler });
+    return this;
+  }
+
+  /**
+   * Remove the handlers registered for a pattern
+   * @param {string} pattern - Path pattern passed to route()
+   * @param {string} [method] - Only remove the handler of this method
+   */
+  unroute(pattern, method = null) {
+    this.routes = this.routes.filter(route =>
+      route.pattern !== pattern || (method !== null && route.method !== method.toUpperCase()));
+  }
+
+  /**
+   * Handle a request: run matching middleware, then the matching route, else the fallback
+   * Paths that no route matches are served by the fallback (GET / HEAD only); unmatched
+   * API paths get a JSON 404.
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {function} fallback - (req, res) => void | Promise, serves static files
+   */
+  async handle(req, res, fallback) {
+    const [pathname, search = ''] = req.url.split('?');
+    req.pathname = pathname;
+    req.query = new URLSearchParams(search);
+    req.params = {};
+
+    try {
+      const middleware = this.middleware.filter(entry => pathname.startsWith(entry.prefix));
+      for (const entry of middleware) {
+        let proceed = false;
+        await entry.handler(req, res, () => { proceed = true; });
+        if (!proceed) {
+          return;
+        }
+      }
+
+      const { route, params, allowed } = this._match(req.method, pathname);
+      if (route) {
+        req.params = params;
+        await route.handler(req, res);
+        return;
+      }
+      if (allowed.length > 0) {
+        sendError(req, res, 405, 'Method not allowed', { Allow: allowed.join(', ') });
+        return;
+      }
+      if (isApiPath(pathname)) {
+        sendError(req, res, 404, 'Not found');
+        return;
+      }
+      if (!STATIC_METHODS.includes(req.method)) {
+        sendError(req, res, 405, 'Method not allowed', { Allow: STATIC_METHODS.join(', ') });
+        return;
+      }
+      await fallback(req, res);
+    } catch (err) {
+      if (err instanceof URIError) {
+        sendError(req, res, 400, 'Malformed URL');
+        return;
+      }
+      if (!err.statusCode) {
+        console.error(`Error handling ${req.method} ${pathname}:`, err);
+      }
+      sendError(req, res, err.statusCode || 500, err.statusCode ? err.message : 'Internal server error');
+    }
+  }
+
+  /**
+   * Handle an upgrade request ('upgrade' event of the HTTP server)
+   * Requests no upgrade route matches are refused with 404.
+   * @param {http.IncomingMessage} req - Request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  async handleUpgrade(req, socket, head) {
+    const [pathname, search = ''] = req.url.split('?');
+    req.pathname = pathname;
+    req.query = new URLSearchParams(search);
+    
+    const refuse = (status) => {
+      socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    };
+    
+    try {
+      for (const entry of this.upgrades) {
+        const params = entry.match(pathname);
+        if (params) {
+          req.params = params;
+          await entry.handler(req, socket, head);
+          return;
+        }
+      }
+      refuse('404 Not Found');
+    } catch (err) {
+      if (err instanceof URIError) {
+        refuse('400 Bad Request');
+        return;
+      }
+      console.error(`Error handling upgrade of ${pathname}:`, err);
+      refuse(err.statusCode === 404 ? '404 Not Found' : '500 Internal Server Error');
+    }
+  }
+
+  /**
+   * Find the route for a request
+   * @param {string} method - Request method
+   * @param {string} pathname - Request path
+   * @returns {{route: object|null, params: object|null, allowed: string[]}} - `allowed` lists the
+   *   methods of routes matching the path when none matches the method
+   */
+  _match(method, pathname) {
+    const allowed = new Set();
+    for (const route of this.routes) {
+      const params = route.match(pathname);
+      if (!params) {
+        continue;
+      }
+      if (route.method === '*' || route.method === method || (method === 'HEAD' && route.method === 'GET')) {
+        return { route, params, allowed: [] };
+      }
+      allowed.add(route.method);
+      if (route.method === 'GET') {
+        allowed.add('HEAD');
+      }
+    }
+    return { route: null, params: null, allowed: [...allowed] };
+  }
+}
+
+module.exports = {
+  API_PREFIX,
+  HttpError,
+  HttpRouter,
+  isApiPath,
+  sendJson,
+  sendError
+};
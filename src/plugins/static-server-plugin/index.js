@@ -1,9 +1,40 @@
 const http = require('http');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { BrowserWindow, dialog, session } = require('electron');
 const { lookup } = require('mime-types');
 const { wrapHandler } = require('../../utils/ipc-helpers');
 const CacheManager = require('../../utils/cache-manager');
+const OfflineBundle = require('../../utils/offline-bundle');
+const CacheWarmer = require('../../utils/cache-warmer');
+const { sendWithRanges } = require('./http-range');
+const { HttpError, HttpRouter, sendError, sendJson } = require('./http-router');
+const { UserDataMounts } = require('./user-data-mounts');
+const { SessionProxy } = require('./session-proxy');
+const {
+  statTag,
+  digestTag,
+  contentTag,
+  applyValidators,
+  isNotModified,
+  sendNotModified
+} = require('./http-conditional');
+const {
+  ENCODINGS,
+  isCompressible,
+  negotiateEncoding,
+  compressFile,
+  compressBuffer,
+  encodedTag
+} = require('./http-compression');
+
+// Larger files are served uncompressed rather than compressed on demand
+const MAX_ON_DEMAND_COMPRESS_SIZE = 256 * 1024 * 1024;
+
+// Session partition of WASM app windows (see WindowManager.createAppWindow)
+const APP_PARTITION = 'persist:shinylive';
 
 /**
  * Static Server Plugin for serving WASM app files
@@ -13,22 +44,42 @@ class StaticServerPlugin {
     this.name = 'static-server';
     this.server = null;
     this.port = null;
+    this.stableOrigin = false; // Listening on the preferred port (same origin as previous runs)
     this.basePath = null;
     this.cacheManager = new CacheManager();
+    this.cacheWarmer = null;
+    this.router = new HttpRouter(); // Routes tried before static files (see getRouter)
+    this.userDataMounts = new UserDataMounts();
+    this.sessionProxy = new SessionProxy(); // Native R Shiny sessions under /r-sessions/<token>/
+    this.pendingCompressions = new Map(); // sidecarPath -> Promise
   }
 
   /**
    * Initialize the plugin
    * @param {string} basePath - Base path for the application
-   * @param {string} remoteBaseUrl - Base URL for downloading assets
+   * @param {string|string[]} remoteBaseUrl - Base URL for downloading assets, or an ordered mirror list
+   * @param {NetworkManager} [networkManager] - Proxy and TLS settings for downloads
+   * @param {object} [options]
+   * @param {number|null} [options.preferredPort] - Port to listen on so app windows keep their
+   *   origin across runs; a random port is used when it is taken (or not given)
    */
-  async init(basePath, remoteBaseUrl = 'https://rave.wiki/rave-wasm') {
+  async init(basePath, remoteBaseUrl = 'https://rave.wiki/rave-wasm', networkManager = null, { preferredPort = null } = {}) {
     this.basePath = basePath;
     
     // Initialize cache manager for lazy-loading app-data
-    this.cacheManager.init(remoteBaseUrl);
+    this.cacheManager.init(remoteBaseUrl, networkManager);
+    this.cacheManager.setBasePath(basePath);
+    this._registerRoutes();
+    
+    this.port = await this._createServer(preferredPort);
+    this.stableOrigin = !!preferredPort && this.port === preferredPort;
     
-    this.port = await this._createServer();
+    // Warms the app windows' HTTP cache from the apps' preload manifests
+    this.cacheWarmer = new CacheWarmer(this.cacheManager, {
+      basePath,
+      port: this.port,
+      session: session.fromPartition(APP_PARTITION)
+    });
     console.log(`StaticServerPlugin initialized on port ${this.port}`);
   }
 
@@ -41,6 +92,10 @@ class StaticServerPlugin {
   async _handleAppDataRequest(filePath, req, res) {
     // Remove leading /app-data/ to get relative path
     const relativePath = filePath.replace(/^\/app-data\//, '');
+    // Only files are served; there is no listing of app-data directories
+    if (relativePath === '' || relativePath.endsWith('/')) {
+      throw new HttpError(404, 'File not found');
+    }
     
     // Always use cache for app-data (never use bundled site/app-data)
     // This ensures consistent behavior between dev and production
@@ -48,63 +103,250 @@ class StaticServerPlugin {
     // Check if file exists in cache
     const cachedPath = this.cacheManager.getCachedFilePath(relativePath);
     if (fs.existsSync(cachedPath)) {
-      this._serveFile(cachedPath, res);
-      return;
+      // Cached copies are checked against the manifest digest once per session;
+      // a corrupt file is quarantined and fetched again below
+      if (await this.cacheManager.ensureVerified(relativePath)) {
+        this.cacheManager.touchFile(relativePath);
+        this._serveFile(cachedPath, req, res, relativePath);
+        return;
+      }
+      console.warn(`Cached ${relativePath} failed verification, downloading again...`);
     }
     
-    // File not cached - try to download it
+    // File not cached - download it and stream the bytes to the client while they arrive
+    let task;
     try {
       console.log(`Cache miss for ${relativePath}, downloading...`);
-      await this.cacheManager.downloadFile(relativePath);
-      
-      if (fs.existsSync(cachedPath)) {
-        this._serveFile(cachedPath, res);
-      } else {
-        res.writeHead(404);
-        res.end('File not found after download attempt');
-      }
+      task = this.cacheManager.startDownload(relativePath);
+      await task.waitForResponse();
     } catch (err) {
       console.error(`Failed to download ${relativePath}:`, err);
-      res.writeHead(404);
-      res.end(`File not found: ${relativePath}`);
+      // 404 only when no mirror has the file; otherwise the remote is unreachable or failing
+      if (err.notFound) {
+        sendError(req, res, 404, `File not found: ${relativePath}`);
+      } else {
+        sendError(req, res, 502, `Failed to download ${relativePath}: ${err.message}`, { 'Retry-After': '30' });
+      }
+      return;
+    }
+    
+    this._serveDownload(task, req, res);
+  }
+
+  /**
+   * Serve a file that is still being downloaded into the cache (tee mode)
+   * The response tails the cache's temporary file, so several clients can share
+   * one upstream download. If the download fails the connection is aborted.
+   * @param {DownloadTask} task - The ongoing download
+   * @param {http.IncomingMessage} req - The request object
+   * @param {http.ServerResponse} res - The response object
+   */
+  _serveDownload(task, req, res) {
+    const mimeType = lookup(task.destPath) || 'application/octet-stream';
+    const headers = {
+      'Content-Type': mimeType,
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp',
+      'Cache-Control': 'no-cache' // See _serveFile
+    };
+    
+    // Unknown length: stream the whole file without range support
+    if (task.totalSize === null) {
+      res.writeHead(200, headers);
+      if (req.method === 'HEAD') {
+        res.end();
+        return;
+      }
+      const stream = task.createReadStream();
+      stream.on('error', (streamErr) => {
+        console.error('Stream error:', streamErr);
+        res.destroy(streamErr);
+      });
+      stream.pipe(res);
+      return;
     }
+    
+    // No entity tag: the bytes are only checked against the manifest digest once the
+    // download completes, so a client must not keep them under the digest's tag
+    headers['Accept-Ranges'] = 'bytes';
+    sendWithRanges(req, res, {
+      size: task.totalSize,
+      headers,
+      openStream: (start, end) => task.createReadStream(start, end)
+    });
   }
 
   /**
    * Serve a file with appropriate headers
    * @param {string} fullPath - Full path to the file
+   * @param {http.IncomingMessage} req - The request object
    * @param {http.ServerResponse} res - The response object
+   * @param {string} [relativePath] - Path relative to app-data, used to look up the manifest digest
    */
-  _serveFile(fullPath, res) {
+  _serveFile(fullPath, req, res, relativePath = null) {
     fs.stat(fullPath, (err, stats) => {
       if (err) {
-        res.writeHead(404);
-        res.end('File not found');
+        sendError(req, res, 404, 'File not found');
         return;
       }
       
       const mimeType = lookup(fullPath) || 'application/octet-stream';
       const headers = {
         'Content-Type': mimeType,
-        'Content-Length': stats.size,
         'Cross-Origin-Opener-Policy': 'same-origin',
         'Cross-Origin-Embedder-Policy': 'require-corp',
         'Accept-Ranges': 'bytes',
-        'Cache-Control': 'public, max-age=31536000, immutable' // Cache app-data for 1 year
+        'Cache-Control': 'no-cache' // Files change in place when a manifest is updated; revalidation is a cheap 304
       };
       
-      res.writeHead(200, headers);
+      // Prefer the manifest digest as entity tag so it survives re-downloads
+      const digest = relativePath ? this.cacheManager.getFileDigest(relativePath, stats.size) : null;
+      const etag = digest ? digestTag(digest) : null;
       
-      const readStream = fs.createReadStream(fullPath, { highWaterMark: 1024 * 1024 });
-      readStream.pipe(res);
+      this._sendFile(fullPath, stats, headers, req, res, etag);
+    });
+  }
+
+  /**
+   * Stream a file from disk, honoring conditional, Range and Accept-Encoding requests
+   * @param {string} fullPath - Full path to the file
+   * @param {fs.Stats} stats - Stats of the file
+   * @param {Object} headers - Response headers (without Content-Length)
+   * @param {http.IncomingMessage} req - The request object
+   * @param {http.ServerResponse} res - The response object
+   * @param {string} [etag] - Entity tag to use instead of the stat-based one
+   * @param {object} [options]
+   * @param {boolean} [options.compress=true] - Negotiate Accept-Encoding for compressible content
+   */
+  async _sendFile(fullPath, stats, headers, req, res, etag = null, { compress = true } = {}) {
+    const validators = {
+      etag: etag || statTag(stats),
+      lastModified: stats.mtime
+    };
+    let filePath = fullPath;
+    let size = stats.size;
+    
+    if (compress && isCompressible(fullPath, headers['Content-Type'], stats.size)) {
+      headers['Vary'] = 'Accept-Encoding';
       
-      readStream.on('error', (streamErr) => {
-        console.error('Stream error:', streamErr);
-        if (!res.headersSent) {
-          res.writeHead(500);
+      // Range requests address the identity representation, so only compress full responses
+      const encoding = req.headers.range ? null : negotiateEncoding(req.headers['accept-encoding']);
+      if (encoding) {
+        try {
+          const variant = await this._getCompressedVariant(fullPath, stats, encoding, validators.etag);
+          if (variant) {
+            filePath = variant.path;
+            size = variant.size;
+            validators.etag = encodedTag(validators.etag, encoding);
+            headers['Content-Encoding'] = encoding;
+          }
+        } catch (err) {
+          console.error(`Failed to compress ${fullPath}, serving uncompressed:`, err);
         }
-        res.end();
-      });
+      }
+    }
+    
+    applyValidators(headers, validators);
+    
+    if (isNotModified(req, validators)) {
+      sendNotModified(res, headers);
+      return;
+    }
+    
+    sendWithRanges(req, res, {
+      size,
+      headers,
+      validators,
+      // Use streaming for better performance on large files (1MB chunks)
+      openStream: (start, end) => fs.createReadStream(filePath, { start, end, highWaterMark: 1024 * 1024 })
+    });
+  }
+
+  /**
+   * Find or create a compressed variant of a file
+   * Precompressed sidecars next to the file (e.g., shinylive.js.br) are used when
+   * they are at least as new as the file; otherwise the file is compressed once into
+   * the sidecar cache, keyed by its path and entity tag
+   * @param {string} fullPath - Full path to the file
+   * @param {fs.Stats} stats - Stats of the file
+   * @param {string} encoding - 'br' or 'gzip'
+   * @param {string} etag - Entity tag of the identity representation
+   * @returns {Promise<{path: string, size: number}|null>}
+   */
+  async _getCompressedVariant(fullPath, stats, encoding, etag) {
+    const extension = ENCODINGS[encoding];
+    
+    // Precompressed sidecar shipped with the site or the mirror
+    try {
+      const sidecarStats = await fs.promises.stat(fullPath + extension);
+      if (sidecarStats.isFile() && sidecarStats.mtimeMs >= stats.mtimeMs) {
+        return { path: fullPath + extension, size: sidecarStats.size };
+      }
+    } catch (err) {
+      // No precompressed sidecar
+    }
+    
+    const sidecarDir = this.cacheManager.getCompressedCacheDir();
+    if (!sidecarDir || stats.size > MAX_ON_DEMAND_COMPRESS_SIZE) {
+      return null;
+    }
+    
+    const key = crypto.createHash('sha1').update(`${fullPath}\n${etag}`).digest('hex');
+    const sidecarPath = path.join(sidecarDir, key.slice(0, 2), key + extension);
+    
+    if (!fs.existsSync(sidecarPath)) {
+      // Share one compression job between concurrent requests
+      if (!this.pendingCompressions.has(sidecarPath)) {
+        const job = compressFile(fullPath, sidecarPath, encoding)
+          .finally(() => this.pendingCompressions.delete(sidecarPath));
+        this.pendingCompressions.set(sidecarPath, job);
+      }
+      await this.pendingCompressions.get(sidecarPath);
+    }
+    
+    const sidecarStats = await fs.promises.stat(sidecarPath);
+    return { path: sidecarPath, size: sidecarStats.size };
+  }
+
+  /**
+   * Send in-memory content, honoring conditional, Range and Accept-Encoding requests
+   * The entity tag is derived from the content itself (e.g., the rewritten app.json)
+   * @param {string|Buffer} content - Content to send
+   * @param {Object} headers - Response headers (without Content-Length)
+   * @param {http.IncomingMessage} req - The request object
+   * @param {http.ServerResponse} res - The response object
+   */
+  async _sendBuffer(content, headers, req, res) {
+    let buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const validators = { etag: contentTag(buffer) };
+    
+    if (isCompressible('', headers['Content-Type'], buffer.length)) {
+      headers['Vary'] = 'Accept-Encoding';
+      
+      const encoding = req.headers.range ? null : negotiateEncoding(req.headers['accept-encoding']);
+      if (encoding) {
+        try {
+          buffer = await compressBuffer(buffer, encoding);
+          validators.etag = encodedTag(validators.etag, encoding);
+          headers['Content-Encoding'] = encoding;
+        } catch (err) {
+          console.error('Failed to compress response, serving uncompressed:', err);
+        }
+      }
+    }
+    
+    applyValidators(headers, validators);
+    
+    if (isNotModified(req, validators)) {
+      sendNotModified(res, headers);
+      return;
+    }
+    
+    sendWithRanges(req, res, {
+      size: buffer.length,
+      headers,
+      validators,
+      openStream: (start, end) => Readable.from([buffer.subarray(start, end + 1)])
     });
   }
 
@@ -139,149 +381,155 @@ class StaticServerPlugin {
     }
   }
 
+  /**
+   * Serve a file from assets/ (launchpad) or site/ (WASM apps)
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  _serveStatic(req, res) {
+    let filePath = req.pathname;
+    
+    // Default to index.html
+    if (filePath === '/') {
+      filePath = '/index.html';
+    }
+    
+    // Try assets folder first (for launchpad.html, etc.), then site folder
+    let fullPath = path.join(this.basePath, 'assets', filePath);
+    if (!fs.existsSync(fullPath)) {
+      fullPath = path.join(this.basePath, 'site', filePath);
+    }
+    
+    // For Electron: serve shinylive-sw-electron.js instead of shinylive-sw.js
+    // This version caches in the service worker, which only pays off when the origin
+    // (and with it Cache Storage) is the same as in previous runs
+    if (filePath === '/shinylive-sw.js' && this.stableOrigin) {
+      const electronSwPath = path.join(this.basePath, 'site', 'shinylive-sw-electron.js');
+      if (fs.existsSync(electronSwPath)) {
+        fullPath = electronSwPath;
+      }
+    }
+    
+    // For Electron: serve index-electron.html instead of index.html at root
+    // This version hides the "download offline app" message
+    if (filePath === '/index.html') {
+      const electronIndexPath = path.join(this.basePath, 'site', 'index-electron.html');
+      if (fs.existsSync(electronIndexPath)) {
+        fullPath = electronIndexPath;
+      }
+    }
+    
+    // Check if file exists first
+    fs.stat(fullPath, (err, stats) => {
+      if (err) {
+        sendError(req, res, 404, 'File not found');
+        return;
+      }
+      
+      // Check if this is an app.json file that needs modification
+      const isAppJson = filePath.endsWith('/app.json');
+      
+      // Set appropriate content type
+      const mimeType = lookup(fullPath) || 'application/octet-stream';
+      const headers = {
+        'Content-Type': mimeType,
+        'Cross-Origin-Opener-Policy': 'same-origin',
+        'Cross-Origin-Embedder-Policy': 'require-corp',
+        'Service-Worker-Allowed': '/',
+        'Accept-Ranges': 'bytes'
+      };
+      
+      // Service workers must be checked first: they end with .js but need to check for updates
+      if (fullPath.endsWith('-sw.js') || fullPath.includes('service-worker') || 
+          fullPath.includes('shinylive-sw')) {
+        // Revalidated on every load (cheap thanks to ETag / 304)
+        headers['Cache-Control'] = 'public, max-age=0, must-revalidate';
+        headers['Service-Worker-Allowed'] = '/';
+        headers['Content-Type'] = 'application/javascript';
+        // Add CORS headers for module service workers
+        headers['Access-Control-Allow-Origin'] = '*';
+        headers['Cross-Origin-Resource-Policy'] = 'cross-origin';
+      } else if (fullPath.endsWith('.wasm') || fullPath.endsWith('.data') || 
+          fullPath.endsWith('.js') || fullPath.endsWith('.css') ||
+          fullPath.includes('/packages/') || fullPath.includes('/webr/')) {
+        // Aggressive caching for WASM and static assets
+        headers['Cache-Control'] = 'public, max-age=31536000, immutable'; // 1 year cache
+      } else if (isAppJson) {
+        // app.json files are dynamically modified - always revalidate against the content ETag
+        headers['Cache-Control'] = 'no-cache';
+      } else if (fullPath.endsWith('.html')) {
+        // HTML pages are revalidated on every load
+        headers['Cache-Control'] = 'no-cache';
+      } else {
+        // Other files - short cache
+        headers['Cache-Control'] = 'public, max-age=3600'; // 1 hour
+      }
+      
+      // Handle app.json files specially - read, modify, and send
+      if (isAppJson) {
+        fs.readFile(fullPath, 'utf8', (readErr, content) => {
+          if (readErr) {
+            console.error('Error reading app.json:', readErr);
+            sendError(req, res, 500, 'Error reading file');
+            return;
+          }
+          
+          const modifiedContent = this._modifyAppJson(content);
+          this._sendBuffer(modifiedContent, headers, req, res);
+        });
+        return;
+      }
+      
+      this._sendFile(fullPath, stats, headers, req, res);
+    });
+  }
+
   /**
    * Create HTTP server
+   * @param {number|null} [preferredPort] - Port to try first (falls back to a random port)
    * @returns {Promise<number>} - The port number
    */
-  _createServer() {
-    return new Promise((resolve) => {
-      this.server = http.createServer(async (req, res) => {
+  _createServer(preferredPort = null) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
         // Enable keep-alive for connection reuse
         res.setHeader('Connection', 'keep-alive');
         res.setHeader('Keep-Alive', 'timeout=600');
         
-        // Parse the URL and remove query string
-        let filePath = req.url.split('?')[0];
-        
-        // Default to index.html
-        if (filePath === '/') {
-          filePath = '/index.html';
-        }
-        
-        // Check if this is an app-data request (lazy-loaded content)
-        if (filePath.startsWith('/app-data/')) {
-          await this._handleAppDataRequest(filePath, req, res);
-          return;
-        }
-        
-        // Try assets folder first (for launchpad.html, etc.), then site folder
-        let fullPath = path.join(this.basePath, 'assets', filePath);
-        if (!fs.existsSync(fullPath)) {
-          fullPath = path.join(this.basePath, 'site', filePath);
-        }
-        
-        // For Electron: serve shinylive-sw-electron.js instead of shinylive-sw.js
-        // This version has caching disabled since Electron uses variable ports
-        if (filePath === '/shinylive-sw.js') {
-          const electronSwPath = path.join(this.basePath, 'site', 'shinylive-sw-electron.js');
-          if (fs.existsSync(electronSwPath)) {
-            fullPath = electronSwPath;
-          }
-        }
-        
-        // For Electron: serve index-electron.html instead of index.html at root
-        // This version hides the "download offline app" message
-        if (filePath === '/index.html') {
-          const electronIndexPath = path.join(this.basePath, 'site', 'index-electron.html');
-          if (fs.existsSync(electronIndexPath)) {
-            fullPath = electronIndexPath;
-          }
-        }
-        
-        // Check if file exists first
-        fs.stat(fullPath, (err, stats) => {
-          if (err) {
-            res.writeHead(404);
-            res.end('File not found');
-            return;
-          }
-          
-          // Check if this is an app.json file that needs modification
-          const isAppJson = filePath.endsWith('/app.json');
-          
-          // Set appropriate content type
-          const mimeType = lookup(fullPath) || 'application/octet-stream';
-          const headers = {
-            'Content-Type': mimeType,
-            'Cross-Origin-Opener-Policy': 'same-origin',
-            'Cross-Origin-Embedder-Policy': 'require-corp',
-            'Service-Worker-Allowed': '/'
-          };
-          
-          // For app.json files, we need to read, modify, and send
-          // so we can't set Content-Length upfront
-          if (!isAppJson) {
-            headers['Content-Length'] = stats.size;
-          }
-          headers['Accept-Ranges'] = 'bytes';
-          
-          // Aggressive caching for WASM and static assets
-          if (fullPath.endsWith('.wasm') || fullPath.endsWith('.data') || 
-              fullPath.endsWith('.js') || fullPath.endsWith('.css') ||
-              fullPath.includes('/packages/') || fullPath.includes('/webr/')) {
-            headers['Cache-Control'] = 'public, max-age=31536000, immutable'; // 1 year cache
-          } else if (fullPath.endsWith('-sw.js') || fullPath.includes('service-worker') || 
-                     fullPath.includes('shinylive-sw')) {
-            // Service workers need to check for updates
-            headers['Cache-Control'] = 'public, max-age=0, must-revalidate';
-            headers['Service-Worker-Allowed'] = '/';
-            headers['Content-Type'] = 'application/javascript';
-            // Add CORS headers for module service workers
-            headers['Access-Control-Allow-Origin'] = '*';
-            headers['Cross-Origin-Resource-Policy'] = 'cross-origin';
-          } else if (isAppJson) {
-            // app.json files should not be cached as they're dynamically modified
-            headers['Cache-Control'] = 'no-cache, no-store, must-revalidate';
-          } else {
-            // HTML and other files - short cache
-            headers['Cache-Control'] = 'public, max-age=3600'; // 1 hour
-          }
-          
-          // Handle app.json files specially - read, modify, and send
-          if (isAppJson) {
-            fs.readFile(fullPath, 'utf8', (readErr, content) => {
-              if (readErr) {
-                console.error('Error reading app.json:', readErr);
-                res.writeHead(500);
-                res.end('Error reading file');
-                return;
-              }
-              
-              const modifiedContent = this._modifyAppJson(content);
-              headers['Content-Length'] = Buffer.byteLength(modifiedContent, 'utf8');
-              res.writeHead(200, headers);
-              res.end(modifiedContent);
-            });
-            return;
-          }
-          
-          res.writeHead(200, headers);
-          
-          // Use streaming for better performance on large files
-          const readStream = fs.createReadStream(fullPath, { highWaterMark: 1024 * 1024 }); // 1MB chunks
-          readStream.pipe(res);
-          
-          readStream.on('error', (streamErr) => {
-            console.error('Stream error:', streamErr);
-            if (!res.headersSent) {
-              res.writeHead(500);
-            }
-            res.end();
-          });
-        });
+        // Registered routes first, then files from assets/ and site/
+        this.router.handle(req, res, () => this._serveStatic(req, res));
       });
       
+      // WebSockets (e.g., Shiny's connection to a proxied R session)
+      this.server.on('upgrade', (req, socket, head) => this.router.handleUpgrade(req, socket, head));
+      
       // Increase server timeout and max header size for large file uploads
       this.server.timeout = 600000; // 10 minutes
       this.server.maxHeadersCount = 100;
       this.server.maxConnections = 1000; // Allow more concurrent connections
       this.server.keepAliveTimeout = 600000; // Keep connections alive for reuse
       
-      this.server.listen(0, 'localhost', () => {
-        const port = this.server.address().port;
-        console.log(`Local server running on http://localhost:${port}`);
-        resolve(port);
-      });
+      const listen = (port) => {
+        const onListening = () => {
+          this.server.removeListener('error', onError);
+          const actualPort = this.server.address().port;
+          console.log(`Local server running on http://localhost:${actualPort}`);
+          resolve(actualPort);
+        };
+        const onError = (err) => {
+          this.server.removeListener('listening', onListening);
+          if (port !== 0 && (err.code === 'EADDRINUSE' || err.code === 'EACCES')) {
+            console.warn(`Port ${port} is not available (${err.code}), using a random port; app storage of previous runs is not reachable this time`);
+            listen(0);
+          } else {
+            reject(err);
+          }
+        };
+        this.server.once('listening', onListening);
+        this.server.once('error', onError);
+        this.server.listen(port, 'localhost');
+      };
+      listen(preferredPort || 0);
     });
   }
 
@@ -293,6 +541,15 @@ class StaticServerPlugin {
     return this.port;
   }
 
+  /**
+   * Whether the server listens on its preferred port, i.e. app windows have the same
+   * origin (and storage) as in previous runs
+   * @returns {boolean}
+   */
+  hasStableOrigin() {
+    return this.stableOrigin;
+  }
+
   /**
    * Get cache manager instance
    * @returns {CacheManager}
@@ -301,6 +558,88 @@ class StaticServerPlugin {
     return this.cacheManager;
   }
 
+  /**
+   * Get the reverse proxy for native R Shiny sessions
+   * @returns {SessionProxy}
+   */
+  getSessionProxy() {
+    return this.sessionProxy;
+  }
+
+  /**
+   * Get the HTTP router
+   * Plugins register handlers on it (e.g., `router.get('/api/my-plugin/:id', handler)`);
+   * requests that no route matches are served from assets/ and site/
+   * @returns {HttpRouter}
+   */
+  getRouter() {
+    return this.router;
+  }
+
+  /**
+   * Register the server's own routes
+   */
+  _registerRoutes() {
+    // Lazy-loaded app-data, served from (and downloaded into) the cache
+    this.router.get('/app-data/*', (req, res) => this._handleAppDataRequest(req.pathname, req, res));
+    
+    this.router.get('/api/cache/stats', (req, res) => {
+      sendJson(res, 200, this.cacheManager.getCacheStats());
+    });
+    
+    // Local folders mounted read-only by a window (see plugin:server:mountFolder); the token
+    // in the path is the only access control (see user-data-mounts.js)
+    const serveUserData = (req, res) => this._handleUserDataRequest(req, res);
+    this.router.get('/user-data/:token', serveUserData);
+    this.router.get('/user-data/:token/*', serveUserData);
+    
+    // Native R Shiny sessions, including their WebSockets
+    this.sessionProxy.mount(this.router);
+  }
+
+  /**
+   * Serve a file of a mounted folder, or list a directory as JSON
+   * ({ name, entries: [{ name, type, size, mtime }] })
+   * @param {http.IncomingMessage} req - The request object (params: token, *)
+   * @param {http.ServerResponse} res - The response object
+   */
+  async _handleUserDataRequest(req, res) {
+    const { fullPath } = this.userDataMounts.resolve(req.params.token, req.params['*'] || '');
+    
+    let stats;
+    try {
+      stats = await fs.promises.stat(fullPath);
+    } catch (err) {
+      throw new HttpError(404, 'File not found');
+    }
+    
+    if (stats.isDirectory()) {
+      sendJson(res, 200, {
+        name: path.basename(fullPath),
+        entries: await this.userDataMounts.listDirectory(fullPath)
+      });
+      return;
+    }
+    
+    const headers = {
+      'Content-Type': lookup(fullPath) || 'application/octet-stream',
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp',
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'no-cache' // The user may change files while they are mounted
+    };
+    // User files are not compressed: that would copy them into the shared compressed cache
+    await this._sendFile(fullPath, stats, headers, req, res, null, { compress: false });
+  }
+
+  /**
+   * Get cache warmer instance
+   * @returns {CacheWarmer}
+   */
+  getCacheWarmer() {
+    return this.cacheWarmer;
+  }
+
   /**
    * Register IPC handlers
    * @param {ipcMain} ipcMain - Electron ipcMain
@@ -310,11 +649,50 @@ class StaticServerPlugin {
       return this.port;
     }));
     
+    // Read-only folder mounts; each belongs to the window that picked the folder and
+    // is removed when that window goes away
+    const mountOwners = new Set(); // webContents ids with a 'destroyed' listener
+    
+    ipcMain.handle('plugin:server:mountFolder', wrapHandler(async (event, { title } = {}) => {
+      const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: title || 'Choose a Folder',
+        properties: ['openDirectory']
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return null;
+      }
+      
+      const contents = event.sender;
+      const owner = contents.id;
+      if (!mountOwners.has(owner)) {
+        mountOwners.add(owner);
+        contents.once('destroyed', () => {
+          mountOwners.delete(owner);
+          this.userDataMounts.unmountOwner(owner);
+        });
+      }
+      const mount = this.userDataMounts.mount(result.filePaths[0], owner);
+      return { ...mount, url: `http://localhost:${this.port}${mount.path}` };
+    }));
+    
+    ipcMain.handle('plugin:server:unmountFolder', wrapHandler(async (event, token) => {
+      return this.userDataMounts.unmount(token, event.sender.id);
+    }));
+    
+    ipcMain.handle('plugin:server:listMounts', wrapHandler(async (event) => {
+      return this.userDataMounts.list(event.sender.id)
+        .map(mount => ({ ...mount, url: `http://localhost:${this.port}${mount.path}` }));
+    }));
+    
     // Cache management IPC handlers
     ipcMain.handle('plugin:cache:getStats', wrapHandler(async () => {
       return this.cacheManager.getCacheStats();
     }));
     
+    ipcMain.handle('plugin:cache:rebuildIndex', wrapHandler(async () => {
+      return this.cacheManager.rebuildIndex();
+    }));
+    
     ipcMain.handle('plugin:cache:getCacheDir', wrapHandler(async () => {
       return this.cacheManager.getCacheDir();
     }));
@@ -324,6 +702,10 @@ class StaticServerPlugin {
       return { success: true };
     }));
     
+    ipcMain.handle('plugin:cache:clearJsonCache', wrapHandler(async (event, namespace = null) => {
+      return this.cacheManager.clearJsonCache(namespace);
+    }));
+    
     ipcMain.handle('plugin:cache:ensureManifest', wrapHandler(async (event, manifestName) => {
       const manifest = await this.cacheManager.loadManifest(manifestName, this.basePath);
       if (manifest) {
@@ -333,15 +715,148 @@ class StaticServerPlugin {
       return { success: false, error: 'Manifest not found' };
     }));
     
+    // Background prefetch (progress is broadcast on 'plugin:cache:prefetchProgress')
+    const scheduler = this.cacheManager.getScheduler();
+    scheduler.on('progress', (progress) => {
+      for (const window of BrowserWindow.getAllWindows()) {
+        if (!window.isDestroyed()) {
+          window.webContents.send('plugin:cache:prefetchProgress', progress);
+        }
+      }
+    });
+    
+    ipcMain.handle('plugin:cache:prefetch', wrapHandler(async (event, manifestName) => {
+      const manifest = await this.cacheManager.loadManifest(manifestName, this.basePath);
+      if (!manifest) {
+        throw new Error(`Manifest not found: ${manifestName}`);
+      }
+      const job = await this.cacheManager.prefetchManifest(manifest);
+      return scheduler.getJob(job.id);
+    }));
+    
+    ipcMain.handle('plugin:cache:pausePrefetch', wrapHandler(async (event, jobId) => {
+      return await scheduler.pause(jobId);
+    }));
+    
+    ipcMain.handle('plugin:cache:resumePrefetch', wrapHandler(async (event, jobId) => {
+      return scheduler.resume(jobId);
+    }));
+    
+    ipcMain.handle('plugin:cache:cancelPrefetch', wrapHandler(async (event, jobId) => {
+      return await scheduler.cancel(jobId);
+    }));
+    
+    ipcMain.handle('plugin:cache:getPrefetchJobs', wrapHandler(async () => {
+      return scheduler.getJobs();
+    }));
+    
+    // Cache warming from preload manifests (progress is broadcast on 'plugin:cache:warmProgress')
+    this.cacheWarmer.on('progress', (status) => {
+      for (const window of BrowserWindow.getAllWindows()) {
+        if (!window.isDestroyed()) {
+          window.webContents.send('plugin:cache:warmProgress', status);
+        }
+      }
+    });
+    
+    ipcMain.handle('plugin:cache:warmApps', wrapHandler(async () => {
+      // Don't wait for the run; progress arrives through the broadcast
+      this.cacheWarmer.start();
+      return this.cacheWarmer.getStatus();
+    }));
+    
+    ipcMain.handle('plugin:cache:stopWarming', wrapHandler(async () => {
+      return await this.cacheWarmer.stop();
+    }));
+    
+    ipcMain.handle('plugin:cache:getWarmStatus', wrapHandler(async () => {
+      return this.cacheWarmer.getStatus();
+    }));
+    
     ipcMain.handle('plugin:cache:isFileCached', wrapHandler(async (event, relativePath) => {
       return this.cacheManager.isFileCached(relativePath);
     }));
+    
+    ipcMain.handle('plugin:cache:getCatalog', wrapHandler(async (event, refresh) => {
+      return await this.cacheManager.getCatalog({ refresh: !!refresh });
+    }));
+    
+    ipcMain.handle('plugin:cache:getInventory', wrapHandler(async () => {
+      return await this.cacheManager.getInventory();
+    }));
+    
+    ipcMain.handle('plugin:cache:deleteManifest', wrapHandler(async (event, manifestName) => {
+      return await this.cacheManager.deleteManifestFiles(manifestName);
+    }));
+    
+    ipcMain.handle('plugin:cache:checkUpdates', wrapHandler(async (event, manifestName) => {
+      if (manifestName) {
+        return [await this.cacheManager.checkManifestUpdate(manifestName)];
+      }
+      return await this.cacheManager.checkForUpdates();
+    }));
+    
+    ipcMain.handle('plugin:cache:updateManifest', wrapHandler(async (event, manifestName) => {
+      return await this.cacheManager.updateManifest(manifestName);
+    }));
+    
+    // Offline bundles (progress is broadcast on 'plugin:cache:bundleProgress')
+    const bundle = new OfflineBundle(this.cacheManager);
+    const sendBundleProgress = (progress) => {
+      for (const window of BrowserWindow.getAllWindows()) {
+        if (!window.isDestroyed()) {
+          window.webContents.send('plugin:cache:bundleProgress', progress);
+        }
+      }
+    };
+    
+    ipcMain.handle('plugin:cache:exportBundle', wrapHandler(async (event, manifestNames) => {
+      const date = new Date().toISOString().slice(0, 10);
+      const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Export Offline Bundle',
+        defaultPath: `rave-offline-bundle-${date}.tar`,
+        filters: [{ name: 'Offline bundle', extensions: ['tar'] }]
+      });
+      if (result.canceled || !result.filePath) {
+        return null;
+      }
+      return await bundle.exportBundle(result.filePath, {
+        manifests: manifestNames && manifestNames.length > 0 ? manifestNames : null,
+        onProgress: sendBundleProgress
+      });
+    }));
+    
+    ipcMain.handle('plugin:cache:importBundle', wrapHandler(async (event) => {
+      const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Import Offline Bundle',
+        properties: ['openFile'],
+        filters: [{ name: 'Offline bundle', extensions: ['tar'] }]
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return null;
+      }
+      return await bundle.importBundle(result.filePaths[0], { onProgress: sendBundleProgress });
+    }));
+    
+    ipcMain.handle('plugin:cache:getQuotaStatus', wrapHandler(async () => {
+      return await this.cacheManager.getQuotaStatus();
+    }));
+    
+    ipcMain.handle('plugin:cache:getMirrorStatus', wrapHandler(async () => {
+      return this.cacheManager.getMirrorStatus();
+    }));
+    
+    ipcMain.handle('plugin:cache:verify', wrapHandler(async (event, manifestName) => {
+      return await this.cacheManager.verifyCache(manifestName ? [manifestName] : null);
+    }));
   }
 
   /**
    * Cleanup on app quit
    */
   cleanup() {
+    this.cacheManager.stopUpdateChecks();
+    this.cacheManager.saveIndex();
     if (this.server) {
       this.server.close();
       console.log('Static server closed');
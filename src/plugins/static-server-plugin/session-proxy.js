@@ -0,0 +1,316 @@
+/**
+ * Reverse proxy for native R Shiny (RAVE) sessions
+ * Each session is served under a random `/r-sessions/<token>/` path of the static server,
+ * so R Shiny windows load from the same origin as everything else and can keep web security
+ * enabled. HTTP requests and Shiny's WebSocket are forwarded to the session's local port;
+ * responses get the same security headers, redirects and cookies are rewritten to the
+ * session path, and every request is logged.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const { HttpError, sendError } = require('./http-router');
+
+// URL prefix of proxied sessions
+const SESSION_PREFIX = '/r-sessions/';
+
+// Headers that apply to one connection only and are not forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+// Security headers set on every proxied response (replacing the session's own)
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'SAMEORIGIN',
+  'Referrer-Policy': 'same-origin',
+  'Cross-Origin-Resource-Policy': 'same-origin'
+};
+
+/**
+ * Registry of proxied R sessions
+ */
+class SessionProxy {
+  constructor() {
+    this.targets = new Map(); // token -> { token, sessionId, port, sockets }
+  }
+
+  /**
+   * Mount the proxy routes on a router
+   * @param {HttpRouter} router - Router of the static server
+   */
+  mount(router) {
+    // Shiny resolves its URLs relative to the page, so the session root needs a trailing slash
+    router.route('*', `${SESSION_PREFIX}:token`, (req, res) => {
+      const target = this._getTarget(req.params.token);
+      const search = req.url.slice(req.pathname.length);
+      res.writeHead(301, { Location: `${SESSION_PREFIX}${target.token}/${search}` });
+      res.end();
+    });
+    router.route('*', `${SESSION_PREFIX}:token/*`, (req, res) => this._proxyRequest(req, res));
+    router.upgrade(`${SESSION_PREFIX}:token/*`, (req, socket, head) => this._proxyUpgrade(req, socket, head));
+  }
+
+  /**
+   * Start proxying a session
+   * @param {string} sessionId - R session ID
+   * @param {number} port - Local port the session's Shiny server listens on
+   * @returns {{token: string, path: string}} - `path` is the session's root on the static server
+   */
+  register(sessionId, port) {
+    this.unregister(sessionId);
+    const target = {
+      token: crypto.randomBytes(16).toString('hex'),
+      sessionId,
+      port,
+      sockets: new Set() // Open WebSocket connections (client and upstream sockets)
+    };
+    this.targets.set(target.token, target);
+    console.log(`[R session ${sessionId}] Proxied at ${SESSION_PREFIX}${target.token}/ -> 127.0.0.1:${port}`);
+    return { token: target.token, path: `${SESSION_PREFIX}${target.token}/` };
+  }
+
+  /**
+   * Stop proxying a session and close its WebSockets
+   * @param {string} sessionId - R session ID
+   * @returns {boolean} - True if the session was proxied
+   */
+  unregister(sessionId) {
+    for (const target of this.targets.values()) {
+      if (target.sessionId === sessionId) {
+        this.targets.delete(target.token);
+        for (const socket of target.sockets) {
+          socket.destroy();
+        }
+        console.log(`[R session ${sessionId}] Proxy removed`);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Look up a proxied session
+   * @param {string} token - Session token
+   * @returns {object}
+   * @throws {HttpError} - 404 when no session is proxied under the token
+   */
+  _getTarget(token) {
+    const target = this.targets.get(token);
+    if (!target) {
+      throw new HttpError(404, 'R session not found');
+    }
+    return target;
+  }
+
+  /**
+   * Path and query of a request below the session root
+   * @param {http.IncomingMessage} req - Request
+   * @param {object} target - The session
+   * @returns {string}
+   */
+  _upstreamPath(req, target) {
+    return req.url.slice(SESSION_PREFIX.length + target.token.length) || '/';
+  }
+
+  /**
+   * Request headers for the session (hop-by-hop headers removed, forwarding headers added)
+   * @param {http.IncomingMessage} req - Request
+   * @param {object} target - The session
+   * @returns {Object}
+   */
+  _upstreamHeaders(req, target) {
+    const headers = {};
+    for (const [name, value] of Object.entries(req.headers)) {
+      if (!HOP_BY_HOP_HEADERS.includes(name)) {
+        headers[name] = value;
+      }
+    }
+    headers['host'] = `127.0.0.1:${target.port}`;
+    headers['x-forwarded-host'] = req.headers.host || '';
+    headers['x-forwarded-proto'] = 'http';
+    headers['x-forwarded-prefix'] = `${SESSION_PREFIX}${target.token}`;
+    return headers;
+  }
+
+  /**
+   * Response headers for the client: hop-by-hop headers removed, redirects and cookies
+   * rewritten to the session path, security headers applied
+   * @param {Object} upstreamHeaders - Headers of the session's response
+   * @param {object} target - The session
+   * @returns {Object}
+   */
+  _responseHeaders(upstreamHeaders, target) {
+    const prefix = `${SESSION_PREFIX}${target.token}`;
+    const headers = {};
+    for (const [name, value] of Object.entries(upstreamHeaders)) {
+      if (HOP_BY_HOP_HEADERS.includes(name)) {
+        continue;
+      }
+      if (name === 'location') {
+        headers[name] = this._rewriteLocation(value, target);
+      } else if (name === 'set-cookie') {
+        headers[name] = value.map(cookie => this._rewriteCookie(cookie, prefix));
+      } else {
+        headers[name] = value;
+      }
+    }
+    for (const name of Object.keys(SECURITY_HEADERS)) {
+      delete headers[name.toLowerCase()];
+    }
+    return { ...headers, ...SECURITY_HEADERS };
+  }
+
+  /**
+   * Point a redirect at the session path
+   * @param {string} location - Location header of the session
+   * @param {object} target - The session
+   * @returns {string}
+   */
+  _rewriteLocation(location, target) {
+    const prefix = `${SESSION_PREFIX}${target.token}`;
+    const origin = new RegExp(`^https?://(127\\.0\\.0\\.1|localhost):${target.port}(?=/|$)`, 'i');
+    const local = location.replace(origin, '');
+    if (local !== location && !local.startsWith('/')) {
+      return `${prefix}/${local}`;
+    }
+    return local.startsWith('/') && !local.startsWith('//') ? prefix + local : local;
+  }
+
+  /**
+   * Scope a cookie to the session path, so sessions don't overwrite each other's cookies
+   * @param {string} cookie - Set-Cookie value
+   * @param {string} prefix - Session path prefix
+   * @returns {string}
+   */
+  _rewriteCookie(cookie, prefix) {
+    const parts = cookie.split(';').filter(part => !/^\s*(path|domain)\s*=/i.test(part));
+    const pathPart = cookie.match(/;\s*path\s*=\s*([^;]*)/i);
+    const cookiePath = pathPart ? pathPart[1].trim() : '/';
+    parts.push(` Path=${prefix}${cookiePath.startsWith('/') ? cookiePath : '/'}`);
+    return parts.join(';');
+  }
+
+  /**
+   * Forward an HTTP request to the session
+   * @param {http.IncomingMessage} req - Request (params: token, *)
+   * @param {http.ServerResponse} res - Response
+   */
+  _proxyRequest(req, res) {
+    const target = this._getTarget(req.params.token);
+    const upstreamPath = this._upstreamPath(req, target);
+    const startedAt = Date.now();
+
+    return new Promise((resolve) => {
+      const upstream = http.request({
+        host: '127.0.0.1',
+        port: target.port,
+        method: req.method,
+        path: upstreamPath,
+        headers: this._upstreamHeaders(req, target)
+      }, (upstreamRes) => {
+        res.writeHead(upstreamRes.statusCode, this._responseHeaders(upstreamRes.headers, target));
+        upstreamRes.pipe(res);
+        upstreamRes.on('end', resolve);
+        upstreamRes.on('error', () => {
+          res.destroy();
+          resolve();
+        });
+      });
+
+      upstream.on('error', (err) => {
+        console.error(`[R session ${target.sessionId}] ${req.method} ${upstreamPath} failed: ${err.message}`);
+        sendError(req, res, 502, 'R session is not responding');
+        resolve();
+      });
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          upstream.destroy();
+        }
+        console.log(`[R session ${target.sessionId}] ${req.method} ${upstreamPath} ${res.statusCode} ${Date.now() - startedAt}ms`);
+      });
+
+      req.pipe(upstream);
+    });
+  }
+
+  /**
+   * Forward an upgrade request (Shiny's WebSocket) to the session and pipe both directions
+   * @param {http.IncomingMessage} req - Request (params: token, *)
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  _proxyUpgrade(req, socket, head) {
+    const target = this._getTarget(req.params.token);
+    const upstreamPath = this._upstreamPath(req, target);
+    const startedAt = Date.now();
+
+    // Keep Connection / Upgrade / Sec-WebSocket-* as sent; only the Host changes
+    const lines = [`${req.method} ${upstreamPath} HTTP/${req.httpVersion}`];
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+      if (req.rawHeaders[i].toLowerCase() !== 'host') {
+        lines.push(`${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}`);
+      }
+    }
+    lines.push(`Host: 127.0.0.1:${target.port}`);
+
+    let connected = false;
+    let closed = false;
+    const upstream = net.connect(target.port, '127.0.0.1', () => {
+      connected = true;
+      upstream.write(lines.join('\r\n') + '\r\n\r\n');
+      if (head && head.length > 0) {
+        upstream.write(head);
+      }
+      socket.pipe(upstream).pipe(socket);
+      console.log(`[R session ${target.sessionId}] WebSocket ${upstreamPath} opened`);
+    });
+
+    target.sockets.add(socket);
+    target.sockets.add(upstream);
+    const close = () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      target.sockets.delete(socket);
+      target.sockets.delete(upstream);
+      socket.destroy();
+      upstream.destroy();
+      if (!connected) {
+        return;
+      }
+      console.log(`[R session ${target.sessionId}] WebSocket ${upstreamPath} closed after ${Date.now() - startedAt}ms ` +
+        `(${socket.bytesRead} bytes sent, ${socket.bytesWritten} bytes received)`);
+    };
+    upstream.on('error', (err) => {
+      console.error(`[R session ${target.sessionId}] WebSocket ${upstreamPath} failed: ${err.message}`);
+      if (!connected && !socket.destroyed) {
+        // Nothing was forwarded yet, so the client can still get an HTTP answer
+        closed = true;
+        target.sockets.delete(socket);
+        target.sockets.delete(upstream);
+        socket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return;
+      }
+      close();
+    });
+    socket.on('error', close);
+    upstream.on('close', close);
+    socket.on('close', close);
+  }
+}
+
+module.exports = {
+  SESSION_PREFIX,
+  SessionProxy
+};
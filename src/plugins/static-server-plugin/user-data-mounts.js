@@ -0,0 +1,163 @@
+/**
+ * Read-only mounts of local folders for the static server
+ * A folder the user picked is served under `/user-data/<token>/`, where the token is random
+ * and belongs to the window that mounted it (see StaticServerPlugin._registerRoutes).
+ * The token is the only access control: the HTTP route does not check which window asks,
+ * so any page on the app origin that learns a token can read the folder, including R Shiny
+ * sessions proxied under `/r-sessions/`, which share the origin. The owner only decides who
+ * may list and unmount a folder, and the folder is unmounted when the owner's window closes.
+ * Paths cannot leave the mounted folder through `..`; symbolic links inside it are followed
+ * (FreeSurfer subject folders often link to shared subjects such as fsaverage).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http-router');
+
+// URL prefix of mounted folders
+const USER_DATA_PREFIX = '/user-data/';
+
+/**
+ * Registry of mounted folders, keyed by token
+ */
+class UserDataMounts {
+  constructor() {
+    this.mounts = new Map(); // token -> { token, root, name, owner, mountedAt }
+  }
+
+  /**
+   * Mount a folder
+   * @param {string} root - Absolute path of the folder
+   * @param {number} owner - Id of the webContents the mount belongs to
+   * @returns {object} - Mount info (see _describe)
+   */
+  mount(root, owner) {
+    const stats = fs.statSync(root);
+    if (!stats.isDirectory()) {
+      throw new Error(`Not a directory: ${root}`);
+    }
+    const mount = {
+      token: crypto.randomBytes(16).toString('hex'),
+      root: path.resolve(root),
+      name: path.basename(root),
+      owner,
+      mountedAt: Date.now()
+    };
+    this.mounts.set(mount.token, mount);
+    console.log(`Mounted ${mount.root} at ${USER_DATA_PREFIX}${mount.token}/`);
+    return this._describe(mount);
+  }
+
+  /**
+   * Unmount a folder
+   * @param {string} token - Mount token
+   * @param {number} [owner] - Only unmount if the mount belongs to this webContents
+   * @returns {boolean} - True if the folder was mounted
+   */
+  unmount(token, owner = null) {
+    const mount = this.mounts.get(token);
+    if (!mount || (owner !== null && mount.owner !== owner)) {
+      return false;
+    }
+    this.mounts.delete(token);
+    console.log(`Unmounted ${mount.root}`);
+    return true;
+  }
+
+  /**
+   * Unmount every folder of a webContents (when its window goes away)
+   * @param {number} owner - webContents id
+   * @returns {number} - Number of folders unmounted
+   */
+  unmountOwner(owner) {
+    let count = 0;
+    for (const mount of [...this.mounts.values()]) {
+      if (mount.owner === owner && this.unmount(mount.token)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * List the folders mounted by a webContents
+   * @param {number} owner - webContents id
+   * @returns {object[]} - Mount infos
+   */
+  list(owner) {
+    return [...this.mounts.values()]
+      .filter(mount => mount.owner === owner)
+      .map(mount => this._describe(mount));
+  }
+
+  /**
+   * Resolve a path inside a mount
+   * @param {string} token - Mount token
+   * @param {string} relativePath - URL-decoded path below the mount (posix, may be empty)
+   * @returns {{mount: object, fullPath: string}}
+   * @throws {HttpError} - 404 for unknown tokens, 403 for paths outside the mount
+   */
+  resolve(token, relativePath) {
+    const mount = this.mounts.get(token);
+    if (!mount) {
+      throw new HttpError(404, 'Folder is not mounted');
+    }
+    if (relativePath.includes('\0')) {
+      throw new HttpError(400, 'Invalid path');
+    }
+    const fullPath = path.resolve(mount.root, ...relativePath.split('/').filter(Boolean));
+    // Not a prefix check on mount.root: that breaks for filesystem roots ("/", "C:\")
+    const inside = path.relative(mount.root, fullPath);
+    if (inside.split(path.sep)[0] === '..' || path.isAbsolute(inside)) {
+      throw new HttpError(403, 'Path is outside the mounted folder');
+    }
+    return { mount, fullPath };
+  }
+
+  /**
+   * List a directory inside a mount
+   * @param {string} fullPath - Directory (see resolve)
+   * @returns {Promise<object[]>} - [{ name, type: 'file' | 'directory', size, mtime }], hidden files excluded
+   */
+  async listDirectory(fullPath) {
+    const entries = await fs.promises.readdir(fullPath);
+    const listing = [];
+    for (const name of entries.sort()) {
+      if (name.startsWith('.')) {
+        continue;
+      }
+      try {
+        const stats = await fs.promises.stat(path.join(fullPath, name));
+        listing.push({
+          name,
+          type: stats.isDirectory() ? 'directory' : 'file',
+          size: stats.isDirectory() ? 0 : stats.size,
+          mtime: stats.mtime.toISOString()
+        });
+      } catch (err) {
+        // Broken symbolic link or removed while listing
+      }
+    }
+    return listing;
+  }
+
+  /**
+   * Mount info for the renderer (the folder's location on disk is not included)
+   * @param {object} mount - The mount
+   * @returns {object} - { token, name, path, mountedAt }; `path` is the URL path of the folder
+   */
+  _describe(mount) {
+    return {
+      token: mount.token,
+      name: mount.name,
+      path: `${USER_DATA_PREFIX}${mount.token}/`,
+      mountedAt: mount.mountedAt
+    };
+  }
+}
+
+module.exports = {
+  USER_DATA_PREFIX,
+  UserDataMounts
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+// Delay before access times are flushed to disk (many files are touched in bursts)
+const SAVE_DELAY = 2000;
+
+/**
+ * Small persistent index of cached app-data files and when they were last used
+ * Stored as JSON ({ version, files: { relativePath: [size, lastAccess, blob?] } }) and
+ * written through a temporary file, so it is never read half-written. Files that are
+ * hard links of the same deduplicated blob share its bytes, so they are counted once.
+ */
+class AccessIndex {
+  /**
+   * @param {string} indexPath - Path of the index file
+   */
+  constructor(indexPath) {
+    this.indexPath = indexPath;
+    this.files = new Map(); // relativePath (posix) -> { size, lastAccess, blob }
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load the index from disk (a missing or corrupt index starts empty)
+   */
+  load() {
+    this.files.clear();
+    try {
+      const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      for (const [relativePath, [size, lastAccess, blob = null]] of Object.entries(data.files || {})) {
+        this.files.set(relativePath, { size, lastAccess, blob });
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`Access index unreadable, starting fresh: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Normalize a path to the index key
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {string}
+   */
+  _key(relativePath) {
+    return relativePath.split(path.sep).join('/');
+  }
+
+  /**
+   * Record that a file was used (served, downloaded, or verified)
+   * @param {string} relativePath - Path relative to app-data
+   * @param {number} [size] - File size (kept from the previous entry if omitted)
+   * @param {number} [time] - Access time (defaults to now)
+   */
+  touch(relativePath, size = null, time = Date.now()) {
+    const key = this._key(relativePath);
+    const entry = this.files.get(key);
+    // A file of another size has been replaced and no longer shares its old blob
+    const same = entry && (size === null || size === entry.size);
+    this.files.set(key, {
+      size: size !== null ? size : (entry ? entry.size : 0),
+      lastAccess: time,
+      blob: same ? entry.blob : null
+    });
+    this._scheduleSave();
+  }
+
+  /**
+   * Record the deduplicated blob a file is a hard link of
+   * @param {string} relativePath - Path relative to app-data
+   * @param {string|null} blob - Blob key (e.g., "sha256:<digest>"), or null if the file is not shared
+   */
+  setBlob(relativePath, blob) {
+    const entry = this.files.get(this._key(relativePath));
+    if (entry && entry.blob !== blob) {
+      entry.blob = blob;
+      this._scheduleSave();
+    }
+  }
+
+  /**
+   * Get the entry of a file
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {{size: number, lastAccess: number, blob: string|null}|null}
+   */
+  get(relativePath) {
+    return this.files.get(this._key(relativePath)) || null;
+  }
+
+  /**
+   * Forget a file
+   * @param {string} relativePath - Path relative to app-data
+   */
+  remove(relativePath) {
+    if (this.files.delete(this._key(relativePath))) {
+      this._scheduleSave();
+    }
+  }
+
+  /**
+   * Forget every file
+   */
+  clear() {
+    this.files.clear();
+    this._scheduleSave();
+  }
+
+  /**
+   * Total size of the indexed files (files sharing a blob are counted once)
+   * @returns {number}
+   */
+  totalSize() {
+    return this.summary().totalSize;
+  }
+
+  /**
+   * File count and sizes of the indexed files
+   * @returns {{fileCount: number, logicalSize: number, totalSize: number, dedupedFiles: number}} -
+   *   logicalSize sums every file, totalSize counts files sharing a blob once
+   */
+  summary() {
+    let logicalSize = 0;
+    let totalSize = 0;
+    let dedupedFiles = 0;
+    const blobs = new Set();
+    for (const entry of this.files.values()) {
+      logicalSize += entry.size;
+      if (entry.blob) {
+        if (blobs.has(entry.blob)) {
+          dedupedFiles++;
+          continue;
+        }
+        blobs.add(entry.blob);
+      }
+      totalSize += entry.size;
+    }
+    return { fileCount: this.files.size, logicalSize, totalSize, dedupedFiles };
+  }
+
+  /**
+   * Entries ordered from least to most recently used
+   * @returns {Array<{relativePath: string, size: number, lastAccess: number, blob: string|null}>}
+   */
+  leastRecentlyUsed() {
+    return Array.from(this.files, ([relativePath, entry]) => ({ relativePath, ...entry }))
+      .sort((a, b) => a.lastAccess - b.lastAccess);
+  }
+
+  /**
+   * Flush pending changes to disk now
+   */
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    const files = {};
+    for (const [relativePath, entry] of this.files) {
+      files[relativePath] = entry.blob
+        ? [entry.size, entry.lastAccess, entry.blob]
+        : [entry.size, entry.lastAccess];
+    }
+    const tmpPath = `${this.indexPath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, files }));
+      fs.renameSync(tmpPath, this.indexPath);
+    } catch (err) {
+      fs.rmSync(tmpPath, { force: true });
+      console.error('Failed to save access index:', err.message);
+    }
+  }
+
+  /**
+   * Save after a short delay, batching bursts of touches
+   */
+  _scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    // Don't keep the process alive just to save the index
+    if (this.saveTimer.unref) {
+      this.saveTimer.unref();
+    }
+  }
+}
+
+module.exports = AccessIndex;
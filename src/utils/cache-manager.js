@@ -1,8 +1,65 @@
 const path = require('path');
 const fs = require('fs');
-const https = require('https');
-const http = require('http');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
 const { app } = require('electron');
+const DownloadTask = require('./download-task');
+const DownloadScheduler = require('./download-scheduler');
+const MirrorPool = require('./mirror-pool');
+const NetworkManager = require('./network-manager');
+const AccessIndex = require('./access-index');
+const { compareVersions } = require('./version-utils');
+const { JSON_CACHE_NAMESPACE, jsonCacheFileName } = require('./json-cache-names');
+
+// Redirect status codes followed by downloads, and how many hops are allowed
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 10;
+
+// How many times an interrupted download is resumed before giving up
+const MAX_RESUME_ATTEMPTS = 5;
+
+// How many times a mirror is retried (with exponential backoff) before failing over to the next one
+const MAX_RETRY_ATTEMPTS = 3;
+const RETRY_BASE_DELAY = 500; // ms, doubled after every attempt
+
+// Idle time after which a stalled request is dropped (and retried)
+const REQUEST_TIMEOUT = 30000;
+
+// Default size limit of the app-data cache (see setQuota)
+const DEFAULT_QUOTA = 20 * 1024 * 1024 * 1024;
+
+// A manifest whose files were served this recently counts as in use and is never evicted
+const IN_USE_WINDOW = 30 * 60 * 1000;
+
+// Free disk space kept in reserve when downloading a manifest
+const DISK_SPACE_MARGIN = 1024 * 1024 * 1024;
+
+// Delay before the quota is enforced after downloads complete
+const QUOTA_CHECK_DELAY = 5000;
+
+// How many times a file whose digest does not match its manifest is re-fetched
+const MAX_VERIFY_ATTEMPTS = 2;
+
+// Index of all app-data manifests by category (relative to app-data)
+const CATALOG_FILE = 'catalog.json';
+
+// Category of manifests referenced by bare name and missing from the catalog
+const LEGACY_MANIFEST_CATEGORY = 'freesurfer-models';
+
+// Default interval between background checks for updated manifests (see startUpdateChecks)
+const DEFAULT_UPDATE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Delay before the first background update check after startup
+const UPDATE_CHECK_DELAY = 60 * 1000;
+
+// Format of JSON cache entries; entries of another format are discarded
+const JSON_CACHE_SCHEMA = 1;
+
+// Namespace of JSON cache entries stored without one
+const DEFAULT_JSON_NAMESPACE = 'default';
+
+// Errors of fs.link() meaning the file system holding the cache has no hard links
+const NO_HARD_LINK_ERRORS = ['EXDEV', 'EPERM', 'ENOTSUP', 'ENOSYS'];
 
 /**
  * Cache Manager for lazy-downloading app data
@@ -24,22 +81,62 @@ class CacheManager {
   constructor() {
     this.cacheDir = null;
     this.manifestCache = new Map(); // Cache loaded manifests
+    this.fileDigests = new Map(); // relativePath -> { digest, size } from loaded manifests
+    this.manifestLookups = new Set(); // Manifest files already probed by getFileDigest
     this.downloadQueue = new Map(); // Track ongoing downloads
-    this.baseUrl = null; // Remote base URL for downloads
+    this.baseUrl = null; // Preferred remote base URL (first mirror)
+    this.mirrors = null; // MirrorPool of remote base URLs
+    this.network = null; // NetworkManager (proxy and TLS settings)
+    this.compressedDir = null; // Sidecar cache for compressed transfer encodings
+    this.quarantineDir = null; // Corrupt files moved out of the cache
+    this.verifiedFiles = new Map(); // relativePath -> "size:mtimeMs" verified this session
+    this.pendingVerifications = new Map(); // relativePath -> Promise<boolean>
+    this.scheduler = new DownloadScheduler(this); // Parallel manifest prefetch
+    this.accessIndex = null; // AccessIndex of cached files and their last use
+    this.indexRebuild = null; // Promise of a background index rebuild (see rebuildIndex)
+    this.indexedAt = null; // When the index was last checked against the disk
+    this.metadataStats = { fileCount: 0, size: 0 }; // Manifests, JSON cache and partial downloads (from the last rebuild)
+    this.quota = DEFAULT_QUOTA; // Cache size limit in bytes (0 = unlimited)
+    this.manifestUse = new Map(); // manifest path -> last time one of its files was used
+    this.quotaTimer = null;
+    this.basePath = null; // Application base path (bundled site/app-data manifests)
+    this.catalog = null; // Map of catalog key ("<category>/<name>") -> entry (see loadCatalog)
+    this.catalogLoading = null; // Promise of a catalog load in progress
+    this.stagingDir = null; // Files of manifest updates, swapped into the cache once complete
+    this.blobsDir = null; // Deduplicated file contents by digest, hard-linked into the cache
+    this.hardLinks = true; // Whether the cache's file system supports hard links (see _storeBlob)
+    this.availableUpdates = new Map(); // manifest path -> { remote, content, diff } from the last check
+    this.pendingUpdates = new Map(); // manifest path -> Promise of an update in progress
+    this.updateTimer = null;
   }
 
   /**
    * Initialize the cache manager
-   * @param {string} baseUrl - Base URL for downloading assets (e.g., https://rave.wiki/rave-wasm)
+   * @param {string|string[]} baseUrl - Base URL for downloading assets (e.g., https://rave.wiki/rave-wasm),
+   *   or an ordered list of mirrors
+   * @param {NetworkManager} [networkManager] - Proxy and TLS settings (defaults to the environment)
    */
-  init(baseUrl) {
+  init(baseUrl, networkManager = null) {
     // Use a consistent cache directory across platforms
     // macOS: ~/Library/Application Support/rave-wasm/app-data
     // Windows: %APPDATA%/rave-wasm/app-data
     // Linux: ~/.config/rave-wasm/app-data
     const userDataPath = app.getPath('appData'); // Gets the per-user app data directory
     this.cacheDir = path.join(userDataPath, 'rave-wasm', 'app-data');
-    this.baseUrl = baseUrl || 'https://rave.wiki/rave-wasm';
+    this.compressedDir = path.join(userDataPath, 'rave-wasm', 'cache', 'compressed');
+    this.quarantineDir = path.join(userDataPath, 'rave-wasm', 'cache', 'quarantine');
+    this.stagingDir = path.join(userDataPath, 'rave-wasm', 'cache', 'staging');
+    this.blobsDir = path.join(userDataPath, 'rave-wasm', 'cache', 'blobs');
+    this.accessIndex = new AccessIndex(path.join(userDataPath, 'rave-wasm', 'cache', 'access-index.json'));
+    this.accessIndex.load();
+    this.mirrors = new MirrorPool(baseUrl);
+    if (networkManager) {
+      this.network = networkManager;
+    } else {
+      this.network = new NetworkManager();
+      this.network.init();
+    }
+    this.baseUrl = this.mirrors.primary;
     
     // Ensure cache directory exists
     if (!fs.existsSync(this.cacheDir)) {
@@ -47,7 +144,28 @@ class CacheManager {
     }
     
     console.log(`CacheManager initialized: ${this.cacheDir}`);
-    console.log(`Remote base URL: ${this.baseUrl}`);
+    console.log(`Remote base URL: ${this.mirrors.getOrder().join(', ')}`);
+    
+    this.pruneJsonCache();
+    
+    // Pick up files added or removed outside the app since the index was saved
+    this.rebuildIndex().catch(err => console.error('Failed to rebuild cache index:', err));
+  }
+
+  /**
+   * Get the status of the remote mirrors (health, and which files each one served)
+   * @returns {object[]}
+   */
+  getMirrorStatus() {
+    return this.mirrors.getStatus();
+  }
+
+  /**
+   * Set the application base path, where bundled manifests live under site/app-data
+   * @param {string} basePath - Base path for the application
+   */
+  setBasePath(basePath) {
+    this.basePath = basePath;
   }
 
   /**
@@ -58,6 +176,14 @@ class CacheManager {
     return this.cacheDir;
   }
 
+  /**
+   * Get the directory holding compressed (.br/.gz) sidecars generated by the static server
+   * @returns {string}
+   */
+  getCompressedCacheDir() {
+    return this.compressedDir;
+  }
+
   /**
    * Get the full path for a cached file
    * @param {string} relativePath - Path relative to app-data (e.g., "freesurfer-models/fsaverage/surf/lh.pial")
@@ -79,384 +205,2589 @@ class CacheManager {
 
   /**
    * Load a manifest file (from bundled assets or cache)
-   * @param {string} manifestName - e.g., "fsaverage_manifest.json"
-   * @param {string} basePath - Base path of the application
+   * @param {string} manifestName - Catalog key (e.g., "bids-examples/NSD-electrodes") or
+   *   manifest file name (e.g., "fsaverage_manifest.json"), see resolveManifestPath
+   * @param {string} [basePath] - Base path of the application (defaults to setBasePath)
    * @returns {Promise<object|null>}
    */
-  async loadManifest(manifestName, basePath) {
+  async loadManifest(manifestName, basePath = this.basePath) {
+    const manifestPath = await this.resolveManifestPath(manifestName);
+    
     // Check cache first
-    if (this.manifestCache.has(manifestName)) {
-      return this.manifestCache.get(manifestName);
+    if (this.manifestCache.has(manifestPath)) {
+      return this.manifestCache.get(manifestPath);
     }
 
-    // Try to load from bundled site/app-data first
-    const bundledPath = path.join(basePath, 'site', 'app-data', 'freesurfer-models', manifestName);
-    const cachedManifestPath = path.join(this.cacheDir, 'freesurfer-models', manifestName);
-    
-    let manifest = null;
-    
-    // Try bundled location
-    if (fs.existsSync(bundledPath)) {
-      try {
-        const content = fs.readFileSync(bundledPath, 'utf8');
-        manifest = JSON.parse(content);
-      } catch (err) {
-        console.error(`Failed to load bundled manifest ${manifestName}:`, err);
-      }
-    }
-    
-    // Try cached location
-    if (!manifest && fs.existsSync(cachedManifestPath)) {
-      try {
-        const content = fs.readFileSync(cachedManifestPath, 'utf8');
-        manifest = JSON.parse(content);
-      } catch (err) {
-        console.error(`Failed to load cached manifest ${manifestName}:`, err);
-      }
-    }
+    // Try bundled site/app-data and the cached copy (which is newer once the manifest was updated)
+    let manifest = this._readLocalManifest(manifestPath, basePath);
     
     // Try to download from remote
     if (!manifest) {
       try {
-        manifest = await this.downloadManifest(manifestName);
+        manifest = await this.downloadManifest(manifestPath);
       } catch (err) {
-        console.error(`Failed to download manifest ${manifestName}:`, err);
+        console.error(`Failed to download manifest ${manifestPath}:`, err);
       }
     }
 
     if (manifest) {
-      this.manifestCache.set(manifestName, manifest);
+      this.manifestCache.set(manifestPath, manifest);
+      this._indexManifest(manifest);
     }
     
     return manifest;
   }
 
   /**
-   * Download a manifest file from remote
-   * @param {string} manifestName 
-   * @returns {Promise<object>}
+   * Read the local copy of a manifest: the bundled one, or the cached one if it is at least as recent
+   * @param {string} manifestPath - Manifest path relative to app-data
+   * @param {string} [basePath] - Base path of the application (defaults to setBasePath)
+   * @returns {object|null}
    */
-  async downloadManifest(manifestName) {
-    const url = `${this.baseUrl}/app-data/freesurfer-models/${manifestName}`;
-    const content = await this._downloadToString(url);
-    const manifest = JSON.parse(content);
-    
-    // Cache the manifest locally
-    const cachedPath = path.join(this.cacheDir, 'freesurfer-models', manifestName);
-    const dir = path.dirname(cachedPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+  _readLocalManifest(manifestPath, basePath = this.basePath) {
+    const bundled = basePath
+      ? this._readJsonFile(path.join(basePath, 'site', 'app-data', manifestPath))
+      : null;
+    const cached = this._readJsonFile(this.getCachedFilePath(manifestPath));
+    if (bundled && cached) {
+      return compareVersions(cached.version, bundled.version) >= 0 ? cached : bundled;
     }
-    fs.writeFileSync(cachedPath, content);
-    
-    return manifest;
+    return bundled || cached;
   }
 
   /**
-   * Download a file to string
-   * @param {string} url 
-   * @returns {Promise<string>}
+   * Read and parse a JSON file
+   * @param {string} filePath - Full path to the file
+   * @returns {object|null} - Parsed content, or null if the file is missing or unreadable
    */
-  _downloadToString(url) {
-    return new Promise((resolve, reject) => {
-      const protocol = url.startsWith('https') ? https : http;
-      
-      protocol.get(url, (res) => {
-        if (res.statusCode === 301 || res.statusCode === 302) {
-          // Follow redirect
-          this._downloadToString(res.headers.location).then(resolve).catch(reject);
-          return;
-        }
-        
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}: ${url}`));
-          return;
-        }
-        
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => resolve(data));
-        res.on('error', reject);
-      }).on('error', reject);
-    });
+  _readJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      console.error(`Failed to load ${filePath}:`, err);
+      return null;
+    }
   }
 
   /**
-   * Download a file from remote to cache
-   * @param {string} relativePath - Path relative to app-data
-   * @param {function} onProgress - Progress callback (received, total) => void
-   * @returns {Promise<string>} - Path to the cached file
+   * Record per-file digests of a manifest for lookup by relative path
+   * Only manifests that declare `digest_algo` are indexed: older manifests
+   * carry digests that do not describe the file contents
+   * @param {object} manifest - The manifest object
    */
-  async downloadFile(relativePath, onProgress = null) {
-    const cachedPath = this.getCachedFilePath(relativePath);
-    
-    // Check if already downloading
-    if (this.downloadQueue.has(relativePath)) {
-      return this.downloadQueue.get(relativePath);
-    }
-    
-    // Check if already cached
-    if (fs.existsSync(cachedPath)) {
-      return cachedPath;
+  _indexManifest(manifest) {
+    if (!manifest || !manifest.digest_algo || !Array.isArray(manifest.files)) {
+      return;
     }
     
-    // Ensure directory exists
-    const dir = path.dirname(cachedPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+    for (const file of manifest.files) {
+      if (file.digest) {
+        const relativePath = path.posix.join(manifest.path, file.path);
+        this.fileDigests.set(relativePath, {
+          digest: file.digest,
+          size: file.size,
+          algo: manifest.digest_algo,
+          manifest: manifest.name
+        });
+      }
     }
+  }
+
+  /**
+   * Get the manifest entry ({ digest, size, algo, manifest }) of a file, if any manifest lists it
+   * Falls back to reading the cached manifest of the model the file belongs to
+   * (e.g., freesurfer-models/fsaverage_manifest.json for freesurfer-models/fsaverage/surf/lh.pial)
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {object|null}
+   */
+  _getDigestEntry(relativePath) {
+    const key = relativePath.split(path.sep).join('/');
     
-    // Create download promise
-    const downloadPromise = new Promise((resolve, reject) => {
-      const url = `${this.baseUrl}/app-data/${relativePath}`;
-      const protocol = url.startsWith('https') ? https : http;
-      
-      console.log(`Downloading: ${url}`);
-      
-      const request = protocol.get(url, (res) => {
-        if (res.statusCode === 301 || res.statusCode === 302) {
-          // Follow redirect
-          const redirectUrl = res.headers.location;
-          this._downloadToFile(redirectUrl, cachedPath, onProgress)
-            .then(() => resolve(cachedPath))
-            .catch(reject);
-          return;
-        }
-        
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}: ${url}`));
-          return;
-        }
-        
-        const totalSize = parseInt(res.headers['content-length'], 10) || 0;
-        let receivedSize = 0;
-        
-        const writeStream = fs.createWriteStream(cachedPath);
-        
-        res.on('data', (chunk) => {
-          receivedSize += chunk.length;
-          if (onProgress && totalSize > 0) {
-            onProgress(receivedSize, totalSize);
+    if (!this.fileDigests.has(key)) {
+      const segments = key.split('/');
+      if (segments.length > 2) {
+        const manifestFile = `${segments[0]}/${segments[1]}_manifest.json`;
+        if (!this.manifestLookups.has(manifestFile)) {
+          this.manifestLookups.add(manifestFile);
+          const manifestPath = this.getCachedFilePath(manifestFile);
+          if (fs.existsSync(manifestPath)) {
+            try {
+              this._indexManifest(JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+            } catch (err) {
+              console.error(`Failed to read manifest ${manifestFile}:`, err);
+            }
           }
-        });
-        
-        res.pipe(writeStream);
-        
-        writeStream.on('finish', () => {
-          console.log(`Downloaded: ${relativePath}`);
-          resolve(cachedPath);
-        });
-        
-        writeStream.on('error', (err) => {
-          fs.unlink(cachedPath, () => {}); // Clean up partial file
-          reject(err);
-        });
-        
-        res.on('error', (err) => {
-          writeStream.close();
-          fs.unlink(cachedPath, () => {}); // Clean up partial file
-          reject(err);
-        });
-      });
-      
-      request.on('error', reject);
-    });
-    
-    // Track the download
-    this.downloadQueue.set(relativePath, downloadPromise);
+        }
+      }
+    }
     
-    try {
-      const result = await downloadPromise;
-      return result;
-    } finally {
-      this.downloadQueue.delete(relativePath);
+    return this.fileDigests.get(key) || null;
+  }
+
+  /**
+   * Get the manifest digest of a file, if any manifest lists it
+   * @param {string} relativePath - Path relative to app-data
+   * @param {number} [size] - Size of the local file; the digest is only returned if it matches
+   * @returns {string|null}
+   */
+  getFileDigest(relativePath, size) {
+    const entry = this._getDigestEntry(relativePath);
+    if (!entry) {
+      return null;
+    }
+    if (typeof size === 'number' && typeof entry.size === 'number' && entry.size !== size) {
+      return null;
     }
+    return entry.digest;
   }
 
   /**
-   * Helper to download to file with redirect support
+   * Download a manifest file from remote
+   * @param {string} manifestName - Catalog key or manifest file name (see resolveManifestPath)
+   * @returns {Promise<object>}
    */
-  _downloadToFile(url, destPath, onProgress) {
-    return new Promise((resolve, reject) => {
-      const protocol = url.startsWith('https') ? https : http;
-      
-      protocol.get(url, (res) => {
-        if (res.statusCode === 301 || res.statusCode === 302) {
-          this._downloadToFile(res.headers.location, destPath, onProgress)
-            .then(resolve)
-            .catch(reject);
-          return;
-        }
-        
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}: ${url}`));
-          return;
-        }
-        
-        const totalSize = parseInt(res.headers['content-length'], 10) || 0;
-        let receivedSize = 0;
-        
-        const writeStream = fs.createWriteStream(destPath);
-        
-        res.on('data', (chunk) => {
-          receivedSize += chunk.length;
-          if (onProgress && totalSize > 0) {
-            onProgress(receivedSize, totalSize);
-          }
-        });
-        
-        res.pipe(writeStream);
-        writeStream.on('finish', resolve);
-        writeStream.on('error', reject);
-        res.on('error', reject);
-      }).on('error', reject);
-    });
+  async downloadManifest(manifestName) {
+    const manifestPath = await this.resolveManifestPath(manifestName);
+    return JSON.parse(await this._downloadMetadata(manifestPath));
   }
 
   /**
-   * Ensure all files from a manifest are cached
-   * @param {object} manifest - The manifest object
-   * @param {function} onProgress - Progress callback (fileIndex, totalFiles, fileName) => void
-   * @returns {Promise<void>}
+   * Download a small metadata file (manifest or catalog) from the mirrors and cache it locally
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {Promise<string>} - File content
    */
-  async ensureManifestCached(manifest, onProgress = null) {
-    if (!manifest || !manifest.files) {
-      return;
+  async _downloadMetadata(relativePath) {
+    const content = await this._fetchMetadata(relativePath);
+    
+    // Cache the file locally
+    const cachedPath = this.getCachedFilePath(relativePath);
+    const dir = path.dirname(cachedPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
     }
+    this._writeFileAtomic(cachedPath, content);
     
-    const totalFiles = manifest.files.length;
-    let downloadedCount = 0;
+    return content;
+  }
+
+  /**
+   * Fetch a small metadata file (manifest or catalog) from the mirrors without caching it
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {Promise<string>} - File content (valid JSON)
+   */
+  async _fetchMetadata(relativePath) {
+    let content = null;
+    let lastError = null;
     
-    for (const file of manifest.files) {
-      const relativePath = path.join(manifest.path, file.path);
-      
-      if (!this.isFileCached(relativePath)) {
-        if (onProgress) {
-          onProgress(downloadedCount, totalFiles, file.path);
+    for (const mirror of this.mirrors.getOrder()) {
+      const url = this.mirrors.resolve(mirror, relativePath);
+      try {
+        content = await this._withRetries(() => this._downloadToString(url), url);
+        this.mirrors.recordSuccess(mirror, relativePath, Buffer.byteLength(content));
+        break;
+      } catch (err) {
+        lastError = err;
+        if (!err.notFound) {
+          this.mirrors.recordFailure(mirror, err);
         }
-        
-        await this.downloadFile(relativePath);
       }
-      
-      downloadedCount++;
     }
-    
-    if (onProgress) {
-      onProgress(totalFiles, totalFiles, 'Complete');
+    if (content === null) {
+      throw lastError;
     }
+    
+    // Parse before returning, so a broken response is never cached
+    JSON.parse(content);
+    return content;
   }
 
+  // ============================================================
+  // Catalog
+  // catalog.json indexes every manifest by category, so datasets are
+  // addressed by "<category>/<name>" keys (generated by compile.r)
+  // ============================================================
+
   /**
-   * Get cache statistics
-   * @returns {object}
+   * Load the app-data catalog
+   * Uses the more recent of bundled site/app-data/catalog.json and the cached copy, and
+   * fetches it from the mirrors if neither exists (or first, when refreshing).
+   * A missing catalog yields an empty one (bare manifest names then refer to freesurfer-models).
+   * @param {object} [options]
+   * @param {boolean} [options.refresh=false] - Fetch the catalog from the mirrors again
+   * @returns {Promise<Map<string, object>>} - Catalog key -> entry
    */
-  getCacheStats() {
-    if (!this.cacheDir || !fs.existsSync(this.cacheDir)) {
-      return { totalSize: 0, fileCount: 0 };
+  async loadCatalog({ refresh = false } = {}) {
+    if (this.catalog && !refresh) {
+      return this.catalog;
     }
-    
-    let totalSize = 0;
-    let fileCount = 0;
-    
-    const walkDir = (dir) => {
-      const files = fs.readdirSync(dir);
-      for (const file of files) {
-        const filePath = path.join(dir, file);
-        const stat = fs.statSync(filePath);
-        if (stat.isDirectory()) {
-          walkDir(filePath);
-        } else {
-          totalSize += stat.size;
-          fileCount++;
-        }
+    if (!this.catalogLoading) {
+      this.catalogLoading = this._loadCatalog(refresh).finally(() => {
+        this.catalogLoading = null;
+      });
+    }
+    return this.catalogLoading;
+  }
+
+  /**
+   * Read the catalog from the first location that has one
+   * @param {boolean} refresh - Try the remote catalog before the local copies
+   * @returns {Promise<Map<string, object>>}
+   */
+  async _loadCatalog(refresh) {
+    const fetchRemote = async () => {
+      try {
+        return JSON.parse(await this._downloadMetadata(CATALOG_FILE));
+      } catch (err) {
+        console.warn(`App-data catalog unavailable: ${err.message}`);
+        return null;
       }
     };
     
-    walkDir(this.cacheDir);
+    let data = refresh ? await fetchRemote() : null;
+    if (!data) {
+      data = this._readJsonFile(this.getCachedFilePath(CATALOG_FILE));
+      if (this.basePath) {
+        const bundled = this._readJsonFile(path.join(this.basePath, 'site', 'app-data', CATALOG_FILE));
+        if (bundled && (!data || compareVersions(data.version, bundled.version) < 0)) {
+          data = bundled;
+        }
+      }
+    }
+    if (!data && !refresh) {
+      data = await fetchRemote();
+    }
     
-    return { totalSize, fileCount };
+    this.catalog = this._parseCatalog(data);
+    console.log(`App-data catalog: ${this.catalog.size} manifest(s)`);
+    return this.catalog;
   }
 
   /**
-   * Clear the cache
+   * Flatten catalog.json ({ version, categories: { category: { name: entry } } }) into a map
+   * @param {object|null} data - Parsed catalog.json
+   * @returns {Map<string, object>} - Catalog key ("<category>/<name>") -> entry
    */
-  clearCache() {
-    if (this.cacheDir && fs.existsSync(this.cacheDir)) {
-      fs.rmSync(this.cacheDir, { recursive: true, force: true });
-      fs.mkdirSync(this.cacheDir, { recursive: true });
-      this.manifestCache.clear();
-      console.log('Cache cleared');
+  _parseCatalog(data) {
+    const entries = new Map();
+    const categories = data && data.categories && typeof data.categories === 'object' ? data.categories : {};
+    
+    for (const [category, manifests] of Object.entries(categories)) {
+      if (!manifests || typeof manifests !== 'object') continue;
+      for (const [name, entry] of Object.entries(manifests)) {
+        const key = `${category}/${name}`;
+        entries.set(key, {
+          key,
+          name,
+          category,
+          path: (entry && entry.path) || key,
+          manifest: (entry && entry.manifest) || `${key}_manifest.json`,
+          version: (entry && entry.version) || null,
+          files: (entry && entry.files) || 0,
+          size: (entry && entry.size) || 0,
+          description: (entry && entry.description) || ''
+        });
+      }
     }
+    
+    return entries;
   }
 
-  // ============================================================
-  // JSON Cache Methods
-  // For caching arbitrary JSON data (e.g., prerequisite check results)
-  // ============================================================
-
   /**
-   * Get the path to the JSON cache file
-   * @param {string} key - Cache key
-   * @returns {string}
+   * List the catalog entries
+   * @param {object} [options]
+   * @param {boolean} [options.refresh=false] - Fetch the catalog from the mirrors again
+   * @returns {Promise<object[]>} - Entries sorted by key
    */
-  _getJsonCachePath(key) {
-    // Sanitize key to be a valid filename
-    const safeKey = key.replace(/[^a-zA-Z0-9_-]/g, '_');
-    return path.join(this.cacheDir, 'json-cache', `${safeKey}.json`);
+  async getCatalog({ refresh = false } = {}) {
+    const catalog = await this.loadCatalog({ refresh });
+    return Array.from(catalog.values()).sort((a, b) => a.key.localeCompare(b.key));
   }
 
   /**
-   * Get cached JSON data
-   * @param {string} key - Cache key
-   * @returns {Object|null}
+   * Resolve a manifest reference to the path of its manifest file
+   * Accepts a catalog key ("bids-examples/NSD-electrodes"), a manifest path
+   * ("freesurfer-models/fsaverage_manifest.json"), or a bare name ("fsaverage" or
+   * "fsaverage_manifest.json") that is looked up in the catalog.
+   * @param {string} manifestName - Manifest reference
+   * @returns {Promise<string>} - Manifest path relative to app-data
    */
-  getJsonCache(key) {
-    const cachePath = this._getJsonCachePath(key);
-    if (fs.existsSync(cachePath)) {
-      try {
-        const content = fs.readFileSync(cachePath, 'utf8');
-        return JSON.parse(content);
-      } catch (err) {
-        console.error(`Failed to read JSON cache for ${key}:`, err);
-        return null;
+  async resolveManifestPath(manifestName) {
+    const key = String(manifestName)
+      .split('\\').join('/')
+      .replace(/^\/+/, '')
+      .replace(/_manifest\.json$/, '');
+    if (!key || key.split('/').some(segment => segment === '..' || segment === '')) {
+      throw new Error(`Invalid manifest name: ${manifestName}`);
+    }
+    
+    const catalog = await this.loadCatalog();
+    if (catalog.has(key)) {
+      return catalog.get(key).manifest;
+    }
+    if (key.includes('/')) {
+      return `${key}_manifest.json`;
+    }
+    for (const entry of catalog.values()) {
+      if (entry.name === key) {
+        return entry.manifest;
       }
     }
-    return null;
+    // Bare names predate the catalog and refer to brain models
+    return `${LEGACY_MANIFEST_CATEGORY}/${key}_manifest.json`;
   }
 
   /**
-   * Set cached JSON data
-   * @param {string} key - Cache key
-   * @param {Object} data - Data to cache
+   * Write a file through a temporary file and a rename, so readers never see it half-written
+   * @param {string} filePath - Destination path
+   * @param {string|Buffer} content - Content to write
    */
-  setJsonCache(key, data) {
-    const cachePath = this._getJsonCachePath(key);
-    const dir = path.dirname(cachePath);
-    
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
+  _writeFileAtomic(filePath, content) {
+    // Unique per write, so concurrent writers never share a temporary file
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
     try {
-      fs.writeFileSync(cachePath, JSON.stringify(data, null, 2));
+      fs.writeFileSync(tmpPath, content);
+      fs.renameSync(tmpPath, filePath);
     } catch (err) {
-      console.error(`Failed to write JSON cache for ${key}:`, err);
+      fs.rmSync(tmpPath, { force: true });
+      throw err;
     }
   }
 
   /**
-   * Remove cached JSON data
-   * @param {string} key - Cache key
+   * Issue a GET request, following redirects (301/302/303/307/308)
+   * @param {string} url - URL to request
+   * @param {Object} headers - Request headers
+   * @param {number} redirectCount - Redirects followed so far
+   * @returns {Promise<{res: http.IncomingMessage, url: string}>} - Final response and its URL
+   */
+  _request(url, headers = {}, redirectCount = 0) {
+    return new Promise((resolve, reject) => {
+      // Goes through the configured proxy and trusts the configured CAs
+      const req = this.network.get(url, { headers }, (res) => {
+        if (REDIRECT_STATUS_CODES.includes(res.statusCode) && res.headers.location) {
+          res.resume();
+          if (redirectCount >= MAX_REDIRECTS) {
+            reject(new Error(`Too many redirects (${MAX_REDIRECTS}): ${url}`));
+            return;
+          }
+          // Location may be relative to the current URL
+          const redirectUrl = new URL(res.headers.location, url).toString();
+          this._request(redirectUrl, headers, redirectCount + 1).then(resolve, reject);
+          return;
+        }
+        resolve({ res, url });
+      });
+      req.on('error', reject);
+      // Also covers a response body that stops arriving
+      req.setTimeout(REQUEST_TIMEOUT, () => {
+        req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT / 1000}s: ${url}`));
+      });
+    });
+  }
+
+  /**
+   * Run a request, retrying transient failures with exponential backoff
+   * Retried: network errors, HTTP 5xx and 429. Anything else is thrown right away.
+   * @param {function} fn - Async function performing one attempt
+   * @param {string} url - URL (for logging)
+   * @param {DownloadTask} [task] - Task whose abort() interrupts the backoff
+   * @returns {Promise<*>} - Result of fn
    */
-  removeJsonCache(key) {
-    const cachePath = this._getJsonCachePath(key);
-    if (fs.existsSync(cachePath)) {
+  async _withRetries(fn, url, task = null) {
+    for (let attempt = 1; ; attempt++) {
       try {
-        fs.unlinkSync(cachePath);
+        return await fn(attempt);
       } catch (err) {
-        console.error(`Failed to remove JSON cache for ${key}:`, err);
+        if (err.aborted || !(err.network || err.retryable) || attempt >= MAX_RETRY_ATTEMPTS) {
+          throw err;
+        }
+        const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+        console.warn(`Request failed (${err.message}), retrying in ${delay}ms: ${url}`);
+        await this._backoff(delay, task);
+      }
+    }
+  }
+
+  /**
+   * Wait before a retry; returns early if the task is aborted
+   * @param {number} delay - Milliseconds to wait
+   * @param {DownloadTask} [task] - Task whose abort() ends the wait
+   * @returns {Promise<void>}
+   */
+  _backoff(delay, task = null) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        if (task) task.removeListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, delay);
+      if (task) task.once('abort', done);
+    });
+  }
+
+  /**
+   * Build the error for an unexpected HTTP status
+   * `notFound` (404/410) makes the caller try the next mirror;
+   * `retryable` (5xx/429) makes it retry the same mirror first.
+   * @param {number} statusCode - HTTP status code
+   * @param {string} url - Requested URL
+   * @returns {Error}
+   */
+  _httpError(statusCode, url) {
+    const err = new Error(`HTTP ${statusCode}: ${url}`);
+    err.statusCode = statusCode;
+    err.notFound = statusCode === 404 || statusCode === 410;
+    err.retryable = statusCode >= 500 || statusCode === 429;
+    return err;
+  }
+
+  /**
+   * Download a file to string
+   * @param {string} url 
+   * @returns {Promise<string>}
+   */
+  async _downloadToString(url) {
+    const networkError = (err) => Object.assign(err, { network: true });
+    let res;
+    try {
+      ({ res } = await this._request(url));
+    } catch (err) {
+      throw networkError(err);
+    }
+    
+    if (res.statusCode !== 200) {
+      res.resume();
+      throw this._httpError(res.statusCode, url);
+    }
+    
+    return new Promise((resolve, reject) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve(data));
+      res.on('aborted', () => reject(networkError(new Error(`Connection aborted: ${url}`))));
+      res.on('error', err => reject(networkError(err)));
+    });
+  }
+
+  /**
+   * Download a file from remote to cache
+   * Concurrent calls for the same path share one upstream download
+   * @param {string} relativePath - Path relative to app-data
+   * @param {function} onProgress - Progress callback (received, total) => void
+   * @returns {Promise<string>} - Path to the cached file
+   */
+  async downloadFile(relativePath, onProgress = null) {
+    const cachedPath = this.getCachedFilePath(relativePath);
+    
+    // Check if already cached
+    if (!this.downloadQueue.has(relativePath) && fs.existsSync(cachedPath)) {
+      return cachedPath;
+    }
+    
+    const task = this.startDownload(relativePath);
+    
+    if (onProgress) {
+      const listener = (received, total) => {
+        if (total > 0) {
+          onProgress(received, total);
+        }
+      };
+      const removeListener = () => task.removeListener('progress', listener);
+      task.on('progress', listener);
+      task.promise.then(removeListener, removeListener);
+    }
+    
+    return task.promise;
+  }
+
+  /**
+   * Start (or join) the download of a file into the cache
+   * The returned task can be streamed from while the file is still downloading
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {DownloadTask}
+   */
+  startDownload(relativePath) {
+    if (this.downloadQueue.has(relativePath)) {
+      return this.downloadQueue.get(relativePath);
+    }
+    
+    const task = new DownloadTask(relativePath, this.getCachedFilePath(relativePath));
+    
+    // Track the download
+    this.downloadQueue.set(relativePath, task);
+    task.promise = this._downloadToFile(task)
+      .finally(() => this.downloadQueue.delete(relativePath));
+    // Failures reach whoever awaits the task; don't report them as unhandled otherwise
+    task.promise.catch(() => {});
+    
+    return task;
+  }
+
+  /**
+   * Get the ongoing download of a file
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {DownloadTask|null}
+   */
+  getActiveDownload(relativePath) {
+    return this.downloadQueue.get(relativePath) || null;
+  }
+
+  /**
+   * Download a file into the task's temporary `.partial` file and rename it into place when complete
+   * Mirrors are tried in order (see MirrorPool); a mirror that keeps failing is marked unhealthy
+   * and the file fails over to the next one. On HTTP errors the partial file is removed; on
+   * network errors (`err.network`) it is kept so a later download can resume it.
+   * @param {DownloadTask} task - The download task to report to
+   * @returns {Promise<string>} - Path to the cached file
+   */
+  async _downloadToFile(task) {
+    fs.mkdirSync(path.dirname(task.tempPath), { recursive: true });
+    
+    // The same content may already be cached for another model or version
+    if (!task.staging && this._materializeBlob(task.relativePath, task.destPath)) {
+      this._removePartial(task);
+      const size = fs.statSync(task.destPath).size;
+      task.markResponse(size, size);
+      this.touchFile(task.relativePath, size);
+      this._storeBlob(task.relativePath);
+      console.log(`Linked: ${task.relativePath} (same content already cached)`);
+      task.markComplete();
+      return task.destPath;
+    }
+    
+    const mirrors = this.mirrors.getOrder();
+    let lastError = null;
+    let notFound = true;
+    
+    for (const mirror of mirrors) {
+      task.url = this.mirrors.resolve(mirror, task.relativePath);
+      try {
+        await this._downloadFromMirror(task.url, task);
+        this.mirrors.recordSuccess(mirror, task.relativePath, task.writtenSize);
+        lastError = null;
+        break;
+      } catch (err) {
+        lastError = err;
+        if (err.aborted) {
+          break;
+        }
+        notFound = notFound && !!err.notFound;
+        // A missing file is not the mirror's fault (it may be partially synced)
+        if (!err.notFound) {
+          this.mirrors.recordFailure(mirror, err);
+        }
+        if (mirror !== mirrors[mirrors.length - 1]) {
+          console.warn(`Download of ${task.relativePath} from ${mirror} failed (${err.message}), trying next mirror...`);
+        }
+      }
+    }
+    
+    if (lastError) {
+      // 404 only if no mirror has the file
+      lastError.notFound = notFound && !lastError.aborted;
+      if (!lastError.network) {
+        this._removePartial(task);
+      }
+      task.markFailed(lastError);
+      throw lastError;
+    }
+    
+    try {
+      fs.renameSync(task.tempPath, task.destPath);
+      fs.rmSync(this._partialMetaPath(task), { force: true });
+      if (!task.staging) {
+        this._markVerified(task.relativePath);
+        this.touchFile(task.relativePath, fs.statSync(task.destPath).size);
+        this._storeBlob(task.relativePath);
+      }
+    } catch (err) {
+      this._removePartial(task);
+      task.markFailed(err);
+      throw err;
+    }
+    
+    console.log(`${task.staging ? 'Staged' : 'Downloaded'}: ${task.relativePath}`);
+    task.markComplete();
+    if (!task.staging) {
+      this._scheduleQuotaCheck();
+    }
+    return task.destPath;
+  }
+
+  /**
+   * Download a file from one mirror into the task's `.partial` file
+   * An existing `.partial` file (e.g., left by a crash or another mirror) is resumed with an
+   * HTTP Range request, and a download interrupted by a network drop is resumed up to
+   * MAX_RESUME_ATTEMPTS times. Errors before any data arrives (connection refused, 5xx)
+   * are retried MAX_RETRY_ATTEMPTS times with exponential backoff. A completed file that
+   * does not match its manifest digest is fetched again (up to MAX_VERIFY_ATTEMPTS times).
+   * @param {string} url - URL to download
+   * @param {DownloadTask} task - The download task to report to
+   * @returns {Promise<void>} - Resolves once the `.partial` file holds the verified file
+   */
+  async _downloadFromMirror(url, task) {
+    let verifyAttempts = 0;
+    let retries = 0;
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this._downloadAttempt(url, task);
+        
+        // Check the complete file against its manifest digest before it enters the cache
+        const check = await this.verifyFile(task.relativePath, task.tempPath, task.expected);
+        if (check.status === 'mismatch') {
+          this._removePartial(task);
+          const err = new Error(`Digest mismatch for ${task.relativePath} (expected ${check.expected}, got ${check.actual})`);
+          err.resumable = ++verifyAttempts < MAX_VERIFY_ATTEMPTS; // Re-fetch from scratch
+          // Clients streaming the download have received the corrupt bytes
+          task.restart(err);
+          throw err;
+        }
+        return;
+      } catch (err) {
+        if (err.aborted) {
+          throw err;
+        }
+        if (err.resumable && attempt < MAX_RESUME_ATTEMPTS) {
+          console.warn(`Download of ${task.relativePath} interrupted (${err.message}), resuming...`);
+          await this._backoff(RETRY_BASE_DELAY * 2 ** (attempt - 1), task);
+          continue;
+        }
+        if ((err.network || err.retryable) && !err.resumable && ++retries < MAX_RETRY_ATTEMPTS) {
+          const delay = RETRY_BASE_DELAY * 2 ** (retries - 1);
+          console.warn(`Download of ${task.relativePath} failed (${err.message}), retrying in ${delay}ms...`);
+          await this._backoff(delay, task);
+          continue;
+        }
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Build the error a task fails with after abort()
+   * The `.partial` file is kept (`network`) but not retried (`resumable`).
+   * @param {DownloadTask} task - The aborted task
+   * @returns {Error}
+   */
+  _abortError(task) {
+    const err = new Error(`Download aborted: ${task.relativePath}`);
+    err.aborted = true;
+    err.network = true;
+    err.resumable = false;
+    return err;
+  }
+
+  /**
+   * Abort the ongoing download of a file
+   * Downloads that are being streamed to a window are left to finish unless `force` is set.
+   * @param {string} relativePath - Path relative to app-data
+   * @param {object} [options]
+   * @param {boolean} [options.force=false] - Abort even if a window is reading the file
+   * @param {boolean} [options.discard=false] - Also remove the `.partial` file
+   * @returns {Promise<boolean>} - True if the download was stopped
+   */
+  async abortDownload(relativePath, { force = false, discard = false } = {}) {
+    const task = this.downloadQueue.get(relativePath);
+    if (!task || (!force && task.hasReaders())) {
+      return false;
+    }
+    task.abort();
+    await task.promise.catch(() => {});
+    const stopped = task.status === 'failed';
+    if (discard && stopped) {
+      this._removePartial(task);
+    }
+    return stopped;
+  }
+
+  /**
+   * Path of the metadata kept next to a `.partial` file (validators used for If-Range)
+   * @param {DownloadTask} task - The download task
+   * @returns {string}
+   */
+  _partialMetaPath(task) {
+    return `${task.tempPath}.json`;
+  }
+
+  /**
+   * Remove a task's `.partial` file and its metadata
+   * @param {DownloadTask} task - The download task
+   */
+  _removePartial(task) {
+    fs.rmSync(task.tempPath, { force: true });
+    fs.rmSync(this._partialMetaPath(task), { force: true });
+  }
+
+  /**
+   * One attempt at downloading into the `.partial` file, resuming from its current size
+   * Rejects with `err.resumable = true` when the download should be retried right away
+   * (e.g., the connection dropped mid-transfer)
+   * @param {string} url - URL to download
+   * @param {DownloadTask} task - The download task to report to
+   * @returns {Promise<void>} - Resolves once the `.partial` file holds the whole file
+   */
+  async _downloadAttempt(url, task) {
+    let offset = 0;
+    try {
+      offset = fs.statSync(task.tempPath).size;
+    } catch (err) {
+      // No partial file yet
+    }
+    
+    const headers = {};
+    if (offset > 0) {
+      headers['Range'] = `bytes=${offset}-`;
+      // Only resume if the remote file is unchanged since the partial file was started
+      try {
+        const meta = JSON.parse(fs.readFileSync(this._partialMetaPath(task), 'utf8'));
+        if (meta.etag || meta.lastModified) {
+          headers['If-Range'] = meta.etag || meta.lastModified;
+        }
+      } catch (err) {
+        // No metadata - resume without If-Range
+      }
+      console.log(`Resuming: ${url} from byte ${offset}`);
+    } else {
+      console.log(`Downloading: ${url}`);
+    }
+    
+    if (task.aborted) {
+      throw this._abortError(task);
+    }
+    
+    let res;
+    try {
+      ({ res } = await this._request(url, headers));
+    } catch (err) {
+      // Retry right away only if the connection dropped during this download
+      err.network = true;
+      err.resumable = task.status === 'downloading' && !task.aborted;
+      throw err;
+    }
+    if (task.aborted) {
+      res.resume();
+      throw this._abortError(task);
+    }
+    
+    let append = false;
+    let totalSize = null;
+    
+    if (res.statusCode === 206 && offset > 0) {
+      const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(res.headers['content-range'] || '');
+      if (!match || parseInt(match[1], 10) !== offset) {
+        res.resume();
+        this._removePartial(task);
+        const err = new Error(`Unexpected Content-Range "${res.headers['content-range']}": ${url}`);
+        err.resumable = true; // Restart from zero
+        task.restart(err);
+        throw err;
+      }
+      append = true;
+      totalSize = match[3] === '*' ? null : parseInt(match[3], 10);
+    } else if (res.statusCode === 416 && offset > 0) {
+      res.resume();
+      // The partial file may already be complete (e.g., crash right before the rename)
+      const match = /^bytes \*\/(\d+)$/.exec(res.headers['content-range'] || '');
+      if (match && parseInt(match[1], 10) === offset) {
+        task.markResponse(offset, offset);
+        return;
+      }
+      this._removePartial(task);
+      const err = new Error(`Partial download rejected by server: ${url}`);
+      err.resumable = true; // Restart from zero
+      task.restart(err);
+      throw err;
+    } else if (res.statusCode === 200) {
+      // Fresh download (or the server ignored the Range header / the file changed)
+      totalSize = parseInt(res.headers['content-length'], 10);
+      if (isNaN(totalSize)) {
+        totalSize = null;
+      }
+      if (offset > 0) {
+        // The partial file is rewritten from zero; what readers got from it may be stale
+        task.restart(new Error(`Download of ${task.relativePath} restarted from zero: ${url}`));
+      }
+    } else {
+      res.resume();
+      throw this._httpError(res.statusCode, url);
+    }
+    
+    // Remember the validators so a later resume can use If-Range
+    const etag = res.headers.etag && !res.headers.etag.startsWith('W/') ? res.headers.etag : null;
+    const lastModified = res.headers['last-modified'] || null;
+    try {
+      fs.writeFileSync(this._partialMetaPath(task), JSON.stringify({ url, etag, lastModified, totalSize }));
+    } catch (err) {
+      console.warn(`Failed to write partial metadata for ${task.relativePath}:`, err);
+    }
+    
+    const startOffset = append ? offset : 0;
+    const writeStream = fs.createWriteStream(task.tempPath, { flags: append ? 'a' : 'w' });
+    task.markResponse(totalSize, startOffset);
+    
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let receivedSize = 0;
+      
+      const onTaskAbort = () => {
+        if (settled) return;
+        settled = true;
+        res.destroy();
+        writeStream.destroy();
+        reject(this._abortError(task));
+      };
+      task.once('abort', onTaskAbort);
+      
+      const abort = (err, network) => {
+        if (settled) return;
+        settled = true;
+        task.removeListener('abort', onTaskAbort);
+        res.destroy();
+        writeStream.destroy();
+        err.network = network;
+        err.resumable = network;
+        reject(err);
+      };
+      
+      res.on('data', (chunk) => {
+        receivedSize += chunk.length;
+        const length = chunk.length;
+        // Readers may only see bytes once they are on disk
+        const ok = writeStream.write(chunk, (err) => {
+          if (!err) {
+            task.markWritten(length);
+          }
+        });
+        if (!ok) {
+          res.pause();
+          writeStream.once('drain', () => res.resume());
+        }
+      });
+      
+      res.on('end', () => {
+        if (settled) return;
+        if (totalSize !== null && startOffset + receivedSize !== totalSize) {
+          abort(new Error(`Incomplete download (${startOffset + receivedSize}/${totalSize} bytes): ${url}`), true);
+          return;
+        }
+        writeStream.end();
+      });
+      
+      res.on('aborted', () => abort(new Error(`Connection aborted: ${url}`), true));
+      res.on('error', (err) => abort(err, true));
+      writeStream.on('error', (err) => abort(err, false));
+      
+      writeStream.on('finish', () => {
+        if (settled) return;
+        settled = true;
+        task.removeListener('abort', onTaskAbort);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Get the scheduler used to prefetch manifests
+   * @returns {DownloadScheduler}
+   */
+  getScheduler() {
+    return this.scheduler;
+  }
+
+  /**
+   * Ensure all files from a manifest are cached
+   * Files are downloaded in parallel by the scheduler (see prefetchManifest)
+   * @param {object} manifest - The manifest object
+   * @param {function} onProgress - Progress callback (completedFiles, totalFiles, fileName) => void
+   * @returns {Promise<void>}
+   */
+  async ensureManifestCached(manifest, onProgress = null) {
+    if (!manifest || !manifest.files) {
+      return;
+    }
+    
+    const job = await this.prefetchManifest(manifest);
+    const listener = ({ job: snapshot, file }) => {
+      if (snapshot.id === job.id && file && file.status === 'done') {
+        onProgress(snapshot.completedFiles, snapshot.totalFiles, file.path);
+      }
+    };
+    if (onProgress) {
+      this.scheduler.on('progress', listener);
+    }
+    
+    let result;
+    try {
+      result = await job.promise;
+    } finally {
+      this.scheduler.removeListener('progress', listener);
+    }
+    
+    if (result.status !== 'complete') {
+      const detail = result.failures.map(failure => `${failure.path}: ${failure.error}`).join('; ');
+      throw new Error(`Failed to cache ${manifest.name} (${result.status})${detail ? `: ${detail}` : ''}`);
+    }
+    if (onProgress) {
+      onProgress(result.totalFiles, result.totalFiles, 'Complete');
+    }
+  }
+
+  /**
+   * Start downloading all files of a manifest in the background
+   * Runs the quota / free-space preflight first (see preflightManifest).
+   * @param {object} manifest - The manifest object
+   * @returns {Promise<object>} - The scheduler job (id is the catalog key)
+   */
+  async prefetchManifest(manifest) {
+    await this.preflightManifest(manifest);
+    return this.scheduler.enqueue(manifest);
+  }
+
+  /**
+   * Get cache statistics
+   * Answered from the access index, which is kept up to date on download and delete
+   * (and checked against the disk in the background, see rebuildIndex). Files that are
+   * hard links of one deduplicated blob take up disk space once: `totalSize` is the
+   * space used, `logicalSize` the sum of all file sizes.
+   * @returns {{totalSize: number, fileCount: number, logicalSize: number, dedupedFiles: number,
+   *   savedBytes: number, indexedAt: number|null, rebuilding: boolean}}
+   */
+  getCacheStats() {
+    const summary = this.accessIndex
+      ? this.accessIndex.summary()
+      : { fileCount: 0, logicalSize: 0, totalSize: 0, dedupedFiles: 0 };
+    const totalSize = summary.totalSize + this.metadataStats.size;
+    const logicalSize = summary.logicalSize + this.metadataStats.size;
+    
+    return {
+      totalSize,
+      fileCount: summary.fileCount + this.metadataStats.fileCount,
+      logicalSize,
+      dedupedFiles: summary.dedupedFiles,
+      savedBytes: logicalSize - totalSize,
+      indexedAt: this.indexedAt,
+      rebuilding: this.indexRebuild !== null
+    };
+  }
+
+  /**
+   * Clear the cache
+   */
+  clearCache() {
+    if (this.cacheDir && fs.existsSync(this.cacheDir)) {
+      fs.rmSync(this.cacheDir, { recursive: true, force: true });
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      this.manifestCache.clear();
+      this.fileDigests.clear();
+      this.manifestLookups.clear();
+      this.verifiedFiles.clear();
+      this.accessIndex.clear();
+      this.metadataStats = { fileCount: 0, size: 0 };
+      console.log('Cache cleared');
+    }
+    this.availableUpdates.clear();
+    this.hardLinks = true;
+    for (const dir of [this.compressedDir, this.quarantineDir, this.stagingDir, this.blobsDir]) {
+      if (dir && fs.existsSync(dir)) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  // ============================================================
+  // Quota and LRU Eviction
+  // Least recently used files are evicted once the cache exceeds its quota;
+  // files of manifests in use are never evicted
+  // ============================================================
+
+  /**
+   * Set the size limit of the app-data cache
+   * @param {number|string} quota - Bytes, or a size such as "20GB" / "500 MB"; 0 disables the limit
+   */
+  setQuota(quota) {
+    const parsed = this._parseSize(quota);
+    if (parsed === null) {
+      console.warn(`Invalid cache quota ${JSON.stringify(quota)}, keeping ${this.quota} bytes`);
+      return;
+    }
+    this.quota = parsed;
+    console.log(`Cache quota: ${parsed > 0 ? `${Math.round(parsed / 1024 ** 2)} MB` : 'unlimited'}`);
+  }
+
+  /**
+   * Parse a size in bytes, or with a unit (KB, MB, GB, TB)
+   * @param {number|string} value - Size
+   * @returns {number|null} - Bytes, or null if invalid
+   */
+  _parseSize(value) {
+    if (typeof value === 'number') {
+      return value >= 0 ? Math.floor(value) : null;
+    }
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?\s*$/i.exec(String(value));
+    if (!match) {
+      return null;
+    }
+    const units = { B: 0, KB: 1, MB: 2, GB: 3, TB: 4 };
+    return Math.floor(parseFloat(match[1]) * 1024 ** units[(match[2] || 'B').toUpperCase()]);
+  }
+
+  /**
+   * Path of the manifest a cached file belongs to (e.g., "freesurfer-models/fsaverage")
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {string|null}
+   */
+  _manifestPathOf(relativePath) {
+    const segments = relativePath.split(/[\\/]/);
+    return segments.length > 2 ? `${segments[0]}/${segments[1]}` : null;
+  }
+
+  /**
+   * Record that a cached file was used (updates its access time)
+   * @param {string} relativePath - Path relative to app-data
+   * @param {number} [size] - File size, if known
+   */
+  touchFile(relativePath, size = null) {
+    if (!this.accessIndex) {
+      return;
+    }
+    if (size === null && !this.accessIndex.get(relativePath)) {
+      try {
+        size = fs.statSync(this.getCachedFilePath(relativePath)).size;
+      } catch (err) {
+        return;
+      }
+    }
+    this.accessIndex.touch(relativePath, size);
+    const manifestPath = this._manifestPathOf(relativePath);
+    if (manifestPath) {
+      this.manifestUse.set(manifestPath, Date.now());
+    }
+  }
+
+  /**
+   * Flush the access index to disk (called on quit)
+   */
+  saveIndex() {
+    if (this.accessIndex) {
+      this.accessIndex.save();
+    }
+  }
+
+  /**
+   * Check whether a cached file may be evicted
+   * The catalog, manifests, the JSON cache, and in-flight `.partial` files are kept.
+   * @param {string} relativePath - Path relative to app-data (posix)
+   * @returns {boolean}
+   */
+  _isEvictable(relativePath) {
+    return relativePath !== CATALOG_FILE &&
+      !relativePath.startsWith('json-cache/') &&
+      !relativePath.endsWith('_manifest.json') &&
+      !/\.partial(\.json)?$/.test(relativePath);
+  }
+
+  /**
+   * Bring the access index in line with the files on disk
+   * The cache is walked by a worker thread (cache-scan-worker.js), so the main process
+   * never blocks on tens of thousands of files. Files missing from the index are added
+   * with their modification time as last use, and blobs left without cached files are
+   * pruned. Concurrent calls share one rebuild.
+   * @returns {Promise<object>} - Cache statistics after the rebuild (see getCacheStats)
+   */
+  rebuildIndex() {
+    if (!this.indexRebuild) {
+      this.indexRebuild = this._scanCache()
+        .then(scan => this._applyScan(scan))
+        .finally(() => {
+          this.indexRebuild = null;
+        })
+        .then(() => this.getCacheStats());
+    }
+    return this.indexRebuild;
+  }
+
+  /**
+   * Walk the cache in a worker thread
+   * @returns {Promise<object>} - { files, orphanBlobs, startedAt } (see cache-scan-worker.js)
+   */
+  _scanCache() {
+    const startedAt = Date.now();
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'cache-scan-worker.js'), {
+        workerData: { cacheDir: this.cacheDir, blobsDir: this.blobsDir }
+      });
+      let result = null;
+      worker.once('message', message => {
+        result = message;
+      });
+      worker.once('error', reject);
+      worker.once('exit', code => {
+        if (result) {
+          resolve({ ...result, startedAt });
+        } else {
+          reject(new Error(`Cache scan exited with code ${code}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Update the access index from a scan of the cache
+   * Entries touched after the scan started (e.g., a download that just finished) are kept.
+   * @param {object} scan - Result of _scanCache
+   */
+  _applyScan(scan) {
+    const onDisk = new Set();
+    const metadataStats = { fileCount: 0, size: 0 };
+    for (const [relativePath, size, mtimeMs] of scan.files) {
+      if (!this._isEvictable(relativePath)) {
+        metadataStats.fileCount++;
+        metadataStats.size += size;
+        continue;
+      }
+      onDisk.add(relativePath);
+      const known = this.accessIndex.get(relativePath);
+      if (!known) {
+        this.accessIndex.touch(relativePath, size, mtimeMs);
+      } else if (known.size !== size && known.lastAccess < scan.startedAt) {
+        this.accessIndex.touch(relativePath, size, known.lastAccess);
+      }
+    }
+    
+    for (const { relativePath, lastAccess } of this.accessIndex.leastRecentlyUsed()) {
+      if (!onDisk.has(relativePath) && lastAccess < scan.startedAt) {
+        this.accessIndex.remove(relativePath);
+      }
+    }
+    this._pruneBlobs(scan.orphanBlobs);
+    this.metadataStats = metadataStats;
+    this.indexedAt = Date.now();
+  }
+
+  /**
+   * Manifests whose files must not be evicted: being downloaded, or used recently
+   * @returns {Set<string>} - Manifest paths (e.g., "freesurfer-models/fsaverage")
+   */
+  getInUseManifests() {
+    const inUse = new Set(this.scheduler.getActiveManifestPaths());
+    for (const relativePath of this.downloadQueue.keys()) {
+      const manifestPath = this._manifestPathOf(relativePath);
+      if (manifestPath) inUse.add(manifestPath);
+    }
+    const cutoff = Date.now() - IN_USE_WINDOW;
+    for (const [manifestPath, lastUse] of this.manifestUse) {
+      if (lastUse >= cutoff) inUse.add(manifestPath);
+    }
+    return inUse;
+  }
+
+  /**
+   * Work out which files would be evicted to stay within the quota
+   * @param {number} [incomingBytes=0] - Bytes about to be downloaded
+   * @returns {{files: object[], bytes: number, usedBytes: number, satisfiable: boolean}}
+   */
+  getEvictionPlan(incomingBytes = 0) {
+    const usedBytes = this.accessIndex.totalSize();
+    const plan = { files: [], bytes: 0, usedBytes, satisfiable: true };
+    if (!this.quota || usedBytes + incomingBytes <= this.quota) {
+      return plan;
+    }
+    
+    // Files sharing a deduplicated blob only free its bytes together, and are as
+    // recent as the most recently used of them
+    const groups = new Map(); // blob (or path) -> { entries, size, lastAccess }
+    for (const entry of this.accessIndex.leastRecentlyUsed()) {
+      const key = entry.blob || entry.relativePath;
+      const group = groups.get(key);
+      if (group) {
+        group.entries.push(entry);
+        group.lastAccess = entry.lastAccess;
+      } else {
+        groups.set(key, { entries: [entry], size: entry.size, lastAccess: entry.lastAccess });
+      }
+    }
+    
+    const inUse = this.getInUseManifests();
+    const excess = usedBytes + incomingBytes - this.quota;
+    const isBusy = (entry) => {
+      const manifestPath = this._manifestPathOf(entry.relativePath);
+      return (manifestPath && inUse.has(manifestPath)) || this.downloadQueue.has(entry.relativePath);
+    };
+    for (const group of Array.from(groups.values()).sort((a, b) => a.lastAccess - b.lastAccess)) {
+      if (plan.bytes >= excess) break;
+      if (group.entries.some(isBusy)) {
+        continue;
+      }
+      for (const entry of group.entries) {
+        plan.files.push({
+          path: entry.relativePath,
+          manifest: this._manifestPathOf(entry.relativePath),
+          size: entry.size,
+          lastAccess: entry.lastAccess
+        });
+      }
+      plan.bytes += group.size;
+    }
+    plan.satisfiable = plan.bytes >= excess;
+    return plan;
+  }
+
+  /**
+   * Evict least recently used files until the cache fits its quota
+   * @param {number} [incomingBytes=0] - Bytes about to be downloaded
+   * @returns {{evicted: number, bytes: number, satisfiable: boolean}}
+   */
+  enforceQuota(incomingBytes = 0) {
+    const plan = this.getEvictionPlan(incomingBytes);
+    let evicted = 0;
+    let bytes = 0;
+    
+    for (const file of plan.files) {
+      try {
+        const removed = this._removeCachedFile(file.path);
+        evicted++;
+        bytes += removed ? removed.freed : 0;
+      } catch (err) {
+        console.error(`Failed to evict ${file.path}:`, err.message);
+      }
+    }
+    
+    if (evicted > 0) {
+      console.log(`Evicted ${evicted} file(s) (${(bytes / 1024 ** 2).toFixed(1)} MB) to stay within the cache quota`);
+    }
+    if (!plan.satisfiable) {
+      console.warn('Cache quota exceeded by files in use; they are kept until no longer needed');
+    }
+    return { evicted, bytes, satisfiable: plan.satisfiable };
+  }
+
+  /**
+   * Enforce the quota shortly after downloads settle
+   */
+  _scheduleQuotaCheck() {
+    if (!this.quota || this.quotaTimer) {
+      return;
+    }
+    this.quotaTimer = setTimeout(() => {
+      this.quotaTimer = null;
+      try {
+        this.enforceQuota();
+      } catch (err) {
+        console.error('Failed to enforce cache quota:', err);
+      }
+    }, QUOTA_CHECK_DELAY);
+    if (this.quotaTimer.unref) {
+      this.quotaTimer.unref();
+    }
+  }
+
+  /**
+   * Free space on the disk holding the cache
+   * @returns {Promise<number|null>} - Bytes available, or null if unknown
+   */
+  async getFreeDiskSpace() {
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const stats = await fs.promises.statfs(this.cacheDir);
+      return stats.bavail * stats.bsize;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Bytes of a manifest that still have to be downloaded
+   * @param {object} manifest - The manifest object
+   * @returns {number}
+   */
+  getMissingBytes(manifest) {
+    let missing = 0;
+    for (const file of manifest.files || []) {
+      if (!this.isFileCached(path.join(manifest.path, file.path))) {
+        missing += file.size || 0;
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Make room for a manifest before downloading it
+   * Evicts least recently used files to fit the quota, then checks that the disk has
+   * enough free space (plus a margin) for the files still missing.
+   * @param {object} manifest - The manifest object
+   * @returns {Promise<{missingBytes: number, freeBytes: number|null}>}
+   * @throws {Error} - With `code = 'ENOSPC'` when the disk is too full
+   */
+  async preflightManifest(manifest) {
+    const missingBytes = this.getMissingBytes(manifest);
+    if (missingBytes === 0) {
+      return { missingBytes, freeBytes: null };
+    }
+    
+    // Evict with an index that includes files found by a rebuild in progress
+    if (this.indexRebuild) {
+      await this.indexRebuild.catch(() => {});
+    }
+    
+    // The manifest being fetched counts as in use, so its own files are kept
+    if (manifest.path) {
+      this.manifestUse.set(manifest.path, Date.now());
+    }
+    this.enforceQuota(missingBytes);
+    
+    const freeBytes = await this.getFreeDiskSpace();
+    if (freeBytes !== null && freeBytes < missingBytes + DISK_SPACE_MARGIN) {
+      const toMB = bytes => `${Math.ceil(bytes / 1024 ** 2)} MB`;
+      const err = new Error(`Not enough disk space to download ${manifest.name}: ` +
+        `needs ${toMB(missingBytes)} plus ${toMB(DISK_SPACE_MARGIN)} reserve, ${toMB(freeBytes)} free`);
+      err.code = 'ENOSPC';
+      throw err;
+    }
+    return { missingBytes, freeBytes };
+  }
+
+  /**
+   * Quota usage and eviction preview for the launchpad
+   * @returns {Promise<object>}
+   */
+  async getQuotaStatus() {
+    const plan = this.getEvictionPlan();
+    const inUse = this.getInUseManifests();
+    const candidates = this.accessIndex.leastRecentlyUsed()
+      .filter(entry => !inUse.has(this._manifestPathOf(entry.relativePath)))
+      .slice(0, 10)
+      .map(entry => ({ path: entry.relativePath, size: entry.size, lastAccess: entry.lastAccess }));
+    
+    return {
+      quota: this.quota,
+      usedBytes: plan.usedBytes,
+      freeDiskBytes: await this.getFreeDiskSpace(),
+      inUse: Array.from(inUse),
+      wouldEvict: plan.files,
+      wouldEvictBytes: plan.bytes,
+      nextCandidates: candidates
+    };
+  }
+
+  // ============================================================
+  // Inventory
+  // Per-manifest view of the cache for the launchpad
+  // ============================================================
+
+  /**
+   * Describe how much of every known manifest is cached
+   * @returns {Promise<object[]>} - One entry per manifest, sorted by category and name
+   */
+  async getInventory() {
+    const inUse = this.getInUseManifests();
+    const jobs = new Map(this.scheduler.getJobs().map(job => [job.id, job]));
+    const catalog = await this.loadCatalog();
+    const inventory = [];
+    const listed = new Set();
+    
+    for (const manifest of this._listKnownManifests()) {
+      const files = manifest.files || [];
+      let totalBytes = 0;
+      let cachedFiles = 0;
+      let cachedBytes = 0;
+      let lastUsed = null;
+      
+      for (const file of files) {
+        totalBytes += file.size || 0;
+        const relativePath = path.posix.join(manifest.path, file.path);
+        try {
+          const stats = await fs.promises.stat(this.getCachedFilePath(relativePath));
+          cachedFiles++;
+          cachedBytes += stats.size;
+        } catch (err) {
+          continue;
+        }
+        const entry = this.accessIndex && this.accessIndex.get(relativePath);
+        if (entry && (lastUsed === null || entry.lastAccess > lastUsed)) {
+          lastUsed = entry.lastAccess;
+        }
+      }
+      
+      const job = jobs.get(manifest.path);
+      const entry = catalog.get(manifest.path);
+      listed.add(manifest.path);
+      inventory.push({
+        name: manifest.name,
+        key: manifest.path,
+        path: manifest.path,
+        category: manifest.path.split('/')[0],
+        description: entry ? entry.description : '',
+        version: manifest.version || null,
+        totalFiles: files.length,
+        totalBytes,
+        cachedFiles,
+        cachedBytes,
+        percent: files.length > 0 ? Math.floor(cachedFiles / files.length * 100) : 100,
+        lastUsed,
+        inUse: inUse.has(manifest.path),
+        download: job && (job.status === 'running' || job.status === 'paused') ? job.status : null
+      });
+    }
+    
+    // Catalog entries whose manifest has not been fetched yet have nothing cached
+    for (const entry of catalog.values()) {
+      if (listed.has(entry.path)) continue;
+      inventory.push({
+        name: entry.name,
+        key: entry.key,
+        path: entry.path,
+        category: entry.category,
+        description: entry.description,
+        version: entry.version,
+        totalFiles: entry.files,
+        totalBytes: entry.size,
+        cachedFiles: 0,
+        cachedBytes: 0,
+        percent: entry.files > 0 ? 0 : 100,
+        lastUsed: null,
+        inUse: inUse.has(entry.path),
+        download: null
+      });
+    }
+    
+    return inventory.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Delete the cached files of one manifest (the manifest itself is kept, so it can be downloaded again)
+   * A running download of the manifest is cancelled first. Content shared with other
+   * models stays on disk, so `freedBytes` may be less than the size of the files.
+   * @param {string} manifestName - Catalog key or model name (e.g., "freesurfer-models/fsaverage" or "fsaverage")
+   * @returns {Promise<{name: string, removedFiles: number, freedBytes: number}>}
+   */
+  async deleteManifestFiles(manifestName) {
+    const manifest = this._listKnownManifests().find(item => this._matchesManifest(item, manifestName));
+    if (!manifest) {
+      throw new Error(`Manifest not found: ${manifestName}`);
+    }
+    const name = manifest.name;
+    
+    await this.scheduler.cancel(manifest.path);
+    
+    let removedFiles = 0;
+    let freedBytes = 0;
+    for (const file of manifest.files || []) {
+      const relativePath = path.posix.join(manifest.path, file.path);
+      await this.abortDownload(relativePath, { force: true, discard: true });
+      const removed = this._removeCachedFile(relativePath);
+      if (removed) {
+        removedFiles++;
+        freedBytes += removed.freed;
+      }
+    }
+    
+    // Drop directories left empty
+    const removeEmptyDirs = (dir) => {
+      if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return;
+      for (const entry of fs.readdirSync(dir)) {
+        removeEmptyDirs(path.join(dir, entry));
+      }
+      if (fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+      }
+    };
+    removeEmptyDirs(this.getCachedFilePath(manifest.path));
+    this.manifestUse.delete(manifest.path);
+    
+    console.log(`Deleted ${removedFiles} cached file(s) of ${name} (${(freedBytes / 1024 ** 2).toFixed(1)} MB)`);
+    return { name, removedFiles, freedBytes };
+  }
+
+  // ============================================================
+  // Manifest Updates
+  // Remote manifests are compared with the local copies; changed files are
+  // downloaded into a staging directory and swapped in once all of them are
+  // complete, so the previous version stays usable until then
+  // ============================================================
+
+  /**
+   * Check whether the mirrors have a newer version of a manifest
+   * @param {string} manifestName - Catalog key or manifest file name (see resolveManifestPath)
+   * @returns {Promise<object>} - { key, name, manifest, currentVersion, remoteVersion, upToDate,
+   *   changed, added, removed, downloadFiles, downloadBytes }
+   */
+  async checkManifestUpdate(manifestName) {
+    const manifestPath = await this.resolveManifestPath(manifestName);
+    const current = this.manifestCache.get(manifestPath) || this._readLocalManifest(manifestPath);
+    if (!current) {
+      throw new Error(`Manifest not found: ${manifestName}`);
+    }
+    
+    const content = await this._fetchMetadata(manifestPath);
+    const remote = JSON.parse(content);
+    const diff = this._diffManifests(current, remote);
+    const upToDate = current.digest && remote.digest
+      ? current.digest === remote.digest
+      : diff.changed.length + diff.added.length + diff.removed.length === 0;
+    
+    if (upToDate) {
+      this.availableUpdates.delete(manifestPath);
+    } else {
+      this.availableUpdates.set(manifestPath, { remote, content, diff });
+    }
+    
+    const downloads = upToDate ? [] : this._getUpdateDownloads(current, diff);
+    return {
+      key: current.path,
+      name: current.name,
+      manifest: manifestPath,
+      currentVersion: current.version || null,
+      remoteVersion: remote.version || null,
+      upToDate,
+      changed: diff.changed.length,
+      added: diff.added.length,
+      removed: diff.removed.length,
+      downloadFiles: downloads.length,
+      downloadBytes: downloads.reduce((total, file) => total + (file.size || 0), 0)
+    };
+  }
+
+  /**
+   * Compare the file lists of two versions of a manifest
+   * Files are matched by path relative to app-data and compared by digest (or size without one).
+   * @param {object} current - The local manifest
+   * @param {object} remote - The remote manifest
+   * @returns {{changed: object[], added: object[], removed: object[]}} - Entries of
+   *   { relativePath, path, size, digest, algo } (new version for changed and added files)
+   */
+  _diffManifests(current, remote) {
+    const entries = (manifest) => new Map((manifest.files || []).map(file => {
+      const relativePath = path.posix.join(manifest.path, file.path);
+      return [relativePath, {
+        relativePath,
+        path: file.path,
+        size: file.size,
+        digest: file.digest || null,
+        algo: file.digest ? manifest.digest_algo || null : null
+      }];
+    }));
+    const before = entries(current);
+    const after = entries(remote);
+    
+    const changed = [];
+    const added = [];
+    for (const [relativePath, file] of after) {
+      const old = before.get(relativePath);
+      if (!old) {
+        added.push(file);
+      } else if (file.digest && old.digest ? file.digest !== old.digest : file.size !== old.size) {
+        changed.push(file);
+      }
+    }
+    const removed = Array.from(before.values()).filter(file => !after.has(file.relativePath));
+    
+    return { changed, added, removed };
+  }
+
+  /**
+   * Files an update downloads before it is applied
+   * Changed files are fetched only if the old version is cached (others are fetched when
+   * first needed); new files only if every file of the current version is cached.
+   * @param {object} current - The local manifest
+   * @param {object} diff - See _diffManifests
+   * @returns {object[]}
+   */
+  _getUpdateDownloads(current, diff) {
+    const complete = (current.files || [])
+      .every(file => this.isFileCached(path.posix.join(current.path, file.path)));
+    return diff.changed
+      .filter(file => this.isFileCached(file.relativePath))
+      .concat(complete ? diff.added : []);
+  }
+
+  /**
+   * Update a manifest to the version on the mirrors
+   * Only changed and new files are downloaded (see _getUpdateDownloads), into the staging
+   * directory. Once all of them are complete they replace the cached files, removed files
+   * are deleted and the new manifest is written. If a download fails, the previous version
+   * is kept and the staged files are resumed by the next attempt.
+   * @param {string} manifestName - Catalog key or manifest file name (see resolveManifestPath)
+   * @returns {Promise<object>} - The check result (see checkManifestUpdate) plus
+   *   { updated, fetchedFiles, removedFiles }
+   */
+  async updateManifest(manifestName) {
+    const manifestPath = await this.resolveManifestPath(manifestName);
+    if (!this.pendingUpdates.has(manifestPath)) {
+      this.pendingUpdates.set(manifestPath, this._updateManifest(manifestPath).finally(() => {
+        this.pendingUpdates.delete(manifestPath);
+      }));
+    }
+    return this.pendingUpdates.get(manifestPath);
+  }
+
+  /**
+   * Check, stage and apply the update of one manifest
+   * @param {string} manifestPath - Manifest path relative to app-data
+   * @returns {Promise<object>}
+   */
+  async _updateManifest(manifestPath) {
+    const status = await this.checkManifestUpdate(manifestPath);
+    if (status.upToDate) {
+      return { ...status, updated: false, fetchedFiles: 0, removedFiles: 0 };
+    }
+    
+    const current = this.manifestCache.get(manifestPath) || this._readLocalManifest(manifestPath);
+    if (this.scheduler.getActiveManifestPaths().includes(current.path)) {
+      throw new Error(`${current.name} is being downloaded; update it once the download has finished`);
+    }
+    const { remote, content, diff } = this.availableUpdates.get(manifestPath);
+    const downloads = this._getUpdateDownloads(current, diff);
+    
+    const freeBytes = await this.getFreeDiskSpace();
+    if (freeBytes !== null && freeBytes < status.downloadBytes + DISK_SPACE_MARGIN) {
+      const toMB = bytes => `${Math.ceil(bytes / 1024 ** 2)} MB`;
+      const err = new Error(`Not enough disk space to update ${current.name}: ` +
+        `needs ${toMB(status.downloadBytes)} plus ${toMB(DISK_SPACE_MARGIN)} reserve, ${toMB(freeBytes)} free`);
+      err.code = 'ENOSPC';
+      throw err;
+    }
+    
+    // One staging directory per remote version; leftovers of older versions are dropped
+    const versionDir = String(remote.digest || remote.version || 'latest');
+    const stageRoot = path.join(this.stagingDir, current.path);
+    const stageDir = path.join(stageRoot, versionDir);
+    if (fs.existsSync(stageRoot)) {
+      for (const entry of fs.readdirSync(stageRoot)) {
+        if (entry !== versionDir) {
+          fs.rmSync(path.join(stageRoot, entry), { recursive: true, force: true });
+        }
+      }
+    }
+    
+    console.log(`Updating ${current.name} ${status.currentVersion} -> ${status.remoteVersion}: ` +
+      `${status.changed} changed, ${status.added} new, ${status.removed} removed, ${downloads.length} to download`);
+    
+    const queue = downloads.slice();
+    const failures = [];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const file = queue.shift();
+        try {
+          await this._stageFile(file, path.join(stageDir, file.path));
+        } catch (err) {
+          failures.push(`${file.path}: ${err.message}`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.scheduler.concurrency, queue.length) }, worker));
+    if (failures.length > 0) {
+      throw new Error(`Update of ${current.name} incomplete, keeping version ${status.currentVersion}: ${failures.join('; ')}`);
+    }
+    
+    const removedFiles = await this._applyUpdate(manifestPath, current, remote, content, diff, downloads, stageDir);
+    fs.rmSync(stageRoot, { recursive: true, force: true });
+    this.availableUpdates.delete(manifestPath);
+    
+    console.log(`Updated ${current.name} to ${status.remoteVersion}`);
+    return { ...status, updated: true, fetchedFiles: downloads.length, removedFiles };
+  }
+
+  /**
+   * Download one file of an update into the staging directory
+   * A file already staged by an earlier attempt is reused if it matches its digest,
+   * and content already in the blob store is linked instead of downloaded.
+   * @param {object} file - Entry from _diffManifests
+   * @param {string} stagedPath - Destination in the staging directory
+   * @returns {Promise<void>}
+   */
+  async _stageFile(file, stagedPath) {
+    if (fs.existsSync(stagedPath)) {
+      const check = await this.verifyFile(file.relativePath, stagedPath, file);
+      if (check.status === 'ok') {
+        return;
+      }
+      fs.rmSync(stagedPath, { force: true });
+    }
+    if (this._materializeBlob(file.relativePath, stagedPath, file)) {
+      return;
+    }
+    
+    const task = new DownloadTask(file.relativePath, stagedPath);
+    task.expected = file; // Without a digest the file is not verified
+    task.staging = true;
+    task.promise = this._downloadToFile(task);
+    await task.promise;
+  }
+
+  /**
+   * Swap the staged files of an update into the cache and replace the manifest
+   * @param {string} manifestPath - Manifest path relative to app-data
+   * @param {object} current - The local manifest
+   * @param {object} remote - The new manifest
+   * @param {string} content - The new manifest file content
+   * @param {object} diff - See _diffManifests
+   * @param {object[]} downloads - Files that were staged
+   * @param {string} stageDir - Staging directory of this version
+   * @returns {Promise<number>} - Number of cached files removed
+   */
+  async _applyUpdate(manifestPath, current, remote, content, diff, downloads, stageDir) {
+    const staged = new Set(downloads.map(file => file.relativePath));
+    const outdated = diff.changed.concat(diff.removed);
+    
+    // Stop downloads of old versions; a window streaming one is left to finish first
+    for (const file of outdated) {
+      await this.abortDownload(file.relativePath, { discard: true });
+      const active = this.getActiveDownload(file.relativePath);
+      if (active) {
+        await active.promise.catch(() => {});
+      }
+    }
+    
+    // From here on everything is synchronous, so no request sees a half-applied update.
+    // Old versions of changed files that were not staged are fetched again when needed.
+    let removedFiles = 0;
+    for (const file of outdated) {
+      const cachedPath = this.getCachedFilePath(file.relativePath);
+      this.verifiedFiles.delete(file.relativePath);
+      fs.rmSync(`${cachedPath}.partial`, { force: true });
+      fs.rmSync(`${cachedPath}.partial.json`, { force: true });
+      if (!staged.has(file.relativePath) && this._removeCachedFile(file.relativePath)) {
+        removedFiles++;
+      }
+    }
+    
+    this.replaceManifest(manifestPath, remote, content, current);
+    for (const file of downloads) {
+      this.adoptFile(file.relativePath, path.join(stageDir, file.path));
+    }
+    
+    return removedFiles;
+  }
+
+  /**
+   * Write a new version of a manifest to the cache and use its digests from now on
+   * @param {string} manifestPath - Manifest path relative to app-data
+   * @param {object} manifest - The new manifest
+   * @param {string} content - The manifest file content
+   * @param {object} [previous] - The version it replaces (its digests are dropped)
+   */
+  replaceManifest(manifestPath, manifest, content, previous = null) {
+    for (const old of [previous, manifest]) {
+      if (!old || !old.path) continue;
+      const prefix = `${old.path}/`;
+      for (const relativePath of Array.from(this.fileDigests.keys())) {
+        if (relativePath.startsWith(prefix)) {
+          this.fileDigests.delete(relativePath);
+        }
+      }
+    }
+    const cachedManifestPath = this.getCachedFilePath(manifestPath);
+    fs.mkdirSync(path.dirname(cachedManifestPath), { recursive: true });
+    this._writeFileAtomic(cachedManifestPath, content);
+    this.manifestCache.set(manifestPath, manifest);
+    this._indexManifest(manifest);
+  }
+
+  /**
+   * Move a complete, verified file (e.g., staged by an update or imported from a bundle) into the cache
+   * @param {string} relativePath - Path relative to app-data
+   * @param {string} sourcePath - The file to move
+   */
+  adoptFile(relativePath, sourcePath) {
+    const cachedPath = this.getCachedFilePath(relativePath);
+    fs.mkdirSync(path.dirname(cachedPath), { recursive: true });
+    // Release the blob of the version being replaced
+    this._removeCachedFile(relativePath);
+    fs.renameSync(sourcePath, cachedPath);
+    this._markVerified(relativePath);
+    this.touchFile(relativePath, fs.statSync(cachedPath).size);
+    this._storeBlob(relativePath);
+    this._scheduleQuotaCheck();
+  }
+
+  /**
+   * Write a new version of the catalog to the cache (reloaded on next use)
+   * @param {string} content - catalog.json content
+   */
+  replaceCatalog(content) {
+    this._writeFileAtomic(this.getCachedFilePath(CATALOG_FILE), content);
+    this.catalog = null;
+  }
+
+  /**
+   * Check every known manifest for updates
+   * @param {object} [options]
+   * @param {boolean} [options.apply=false] - Also download and apply the updates found
+   * @returns {Promise<object[]>} - One result per manifest (see checkManifestUpdate / updateManifest),
+   *   or { key, name, error } if it could not be checked
+   */
+  async checkForUpdates({ apply = false } = {}) {
+    await this.loadCatalog({ refresh: true });
+    
+    const results = [];
+    for (const manifest of this._listKnownManifests()) {
+      try {
+        results.push(apply
+          ? await this.updateManifest(manifest.path)
+          : await this.checkManifestUpdate(manifest.path));
+      } catch (err) {
+        console.warn(`Update check of ${manifest.name} failed: ${err.message}`);
+        results.push({ key: manifest.path, name: manifest.name, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Check for manifest updates in the background
+   * The first check runs shortly after startup, then once per interval. Updates are only
+   * reported (the new files replace ones an open app may be using), unless `apply` is set.
+   * @param {number} [interval] - Milliseconds between checks (0 disables them)
+   * @param {object} [options]
+   * @param {boolean} [options.apply=false] - Also download and apply the updates found
+   * @param {function} [options.onUpdates] - Called with the results of manifests that have
+   *   an update (see checkManifestUpdate) after a check that found any
+   */
+  startUpdateChecks(interval = DEFAULT_UPDATE_CHECK_INTERVAL, { apply = false, onUpdates = null } = {}) {
+    this.stopUpdateChecks();
+    if (!interval || interval <= 0) {
+      return;
+    }
+    
+    const schedule = (delay) => {
+      this.updateTimer = setTimeout(async () => {
+        try {
+          const results = await this.checkForUpdates({ apply });
+          const updates = results.filter(result => !result.error && !result.upToDate && !result.updated);
+          if (updates.length > 0 && onUpdates) {
+            onUpdates(updates);
+          }
+        } catch (err) {
+          console.error('Manifest update check failed:', err);
+        }
+        schedule(interval);
+      }, delay);
+      // Don't keep the process alive just for update checks
+      if (this.updateTimer.unref) {
+        this.updateTimer.unref();
+      }
+    };
+    schedule(Math.min(UPDATE_CHECK_DELAY, interval));
+  }
+
+  /**
+   * Stop background update checks
+   */
+  stopUpdateChecks() {
+    if (this.updateTimer) {
+      clearTimeout(this.updateTimer);
+      this.updateTimer = null;
+    }
+  }
+
+  // ============================================================
+  // Integrity Verification
+  // Cached files are checked against the per-file digests of their manifest
+  // ============================================================
+
+  /**
+   * Compute the digest of a file
+   * @param {string} filePath - Full path to the file
+   * @param {string} algo - Hash algorithm (e.g., "sha256")
+   * @returns {Promise<string>} - Hex digest
+   */
+  hashFile(filePath, algo) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(algo);
+      const stream = fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+      stream.on('data', chunk => hash.update(chunk));
+      stream.on('end', () => resolve(hash.digest('hex')));
+      stream.on('error', reject);
+    });
+  }
+
+  /**
+   * Check a file against its manifest digest
+   * @param {string} relativePath - Path relative to app-data
+   * @param {string} [filePath] - File to check (defaults to the cached file)
+   * @param {object} [expected] - Entry ({ digest, size, algo }) to check against instead of the loaded manifests
+   * @returns {Promise<{status: string, expected: string|null, actual: string|null}>}
+   *   status is 'ok', 'mismatch', 'missing', or 'unknown' (no digest to compare against)
+   */
+  async verifyFile(relativePath, filePath = null, expected = null) {
+    const entry = expected || this._getDigestEntry(relativePath);
+    if (!entry || !crypto.getHashes().includes(entry.algo)) {
+      return { status: 'unknown', expected: null, actual: null };
+    }
+    
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath || this.getCachedFilePath(relativePath));
+    } catch (err) {
+      return { status: 'missing', expected: entry.digest, actual: null };
+    }
+    
+    // Cheap check first
+    if (typeof entry.size === 'number' && stats.size !== entry.size) {
+      return { status: 'mismatch', expected: entry.digest, actual: `size ${stats.size} != ${entry.size}` };
+    }
+    
+    const actual = await this.hashFile(filePath || this.getCachedFilePath(relativePath), entry.algo);
+    const status = actual.toLowerCase() === String(entry.digest).toLowerCase() ? 'ok' : 'mismatch';
+    return { status, expected: entry.digest, actual };
+  }
+
+  /**
+   * Remember that the cached copy of a file has been verified in this session
+   * @param {string} relativePath - Path relative to app-data
+   */
+  _markVerified(relativePath) {
+    const key = relativePath.split(path.sep).join('/');
+    try {
+      const stats = fs.statSync(this.getCachedFilePath(relativePath));
+      this.verifiedFiles.set(key, `${stats.size}:${stats.mtimeMs}`);
+    } catch (err) {
+      this.verifiedFiles.delete(key);
+    }
+  }
+
+  /**
+   * Verify a cached file once per session, quarantining it when corrupt
+   * Files without a manifest digest are accepted as-is.
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {Promise<boolean>} - False if the file was corrupt and has been moved out of the cache
+   */
+  async ensureVerified(relativePath) {
+    const key = relativePath.split(path.sep).join('/');
+    const cachedPath = this.getCachedFilePath(relativePath);
+    
+    let stats;
+    try {
+      stats = fs.statSync(cachedPath);
+    } catch (err) {
+      return false;
+    }
+    if (this.verifiedFiles.get(key) === `${stats.size}:${stats.mtimeMs}`) {
+      return true;
+    }
+    
+    if (!this.pendingVerifications.has(key)) {
+      const verification = (async () => {
+        try {
+          const result = await this.verifyFile(relativePath);
+          if (result.status === 'mismatch') {
+            console.warn(`Cached file ${key} does not match its manifest digest (expected ${result.expected}, got ${result.actual})`);
+            this.quarantineFile(relativePath);
+            return false;
+          }
+          this.verifiedFiles.set(key, `${stats.size}:${stats.mtimeMs}`);
+          if (result.status === 'ok') {
+            this._storeBlob(relativePath);
+          }
+          return true;
+        } catch (err) {
+          // Don't block serving the file because verification itself failed
+          console.error(`Failed to verify ${key}:`, err);
+          return true;
+        } finally {
+          this.pendingVerifications.delete(key);
+        }
+      })();
+      this.pendingVerifications.set(key, verification);
+    }
+    
+    return this.pendingVerifications.get(key);
+  }
+
+  /**
+   * Move a corrupt cached file into the quarantine directory
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {string|null} - New location of the file, or null if it could not be moved
+   */
+  quarantineFile(relativePath) {
+    const key = relativePath.split(path.sep).join('/');
+    const cachedPath = this.getCachedFilePath(relativePath);
+    const quarantinePath = path.join(this.quarantineDir, `${relativePath}.${Date.now()}`);
+    
+    this.verifiedFiles.delete(key);
+    // Hard links share the corrupt bytes, so the blob must not be linked again
+    this._dropBlob(relativePath);
+    this.accessIndex.remove(relativePath);
+    try {
+      fs.mkdirSync(path.dirname(quarantinePath), { recursive: true });
+      fs.renameSync(cachedPath, quarantinePath);
+      console.warn(`Quarantined ${key} -> ${quarantinePath}`);
+      return quarantinePath;
+    } catch (err) {
+      console.error(`Failed to quarantine ${key}, removing it instead:`, err);
+      fs.rmSync(cachedPath, { force: true });
+      return null;
+    }
+  }
+
+  /**
+   * List manifests known to the cache (loaded this session or cached on disk)
+   * @returns {object[]}
+   */
+  _listKnownManifests() {
+    const manifests = new Map(); // manifest.path -> manifest
+    
+    for (const manifest of this.manifestCache.values()) {
+      if (manifest && manifest.path) {
+        manifests.set(manifest.path, manifest);
+      }
+    }
+    
+    this._scanManifestDir(this.cacheDir, manifests);
+    if (this.basePath) {
+      this._scanManifestDir(path.join(this.basePath, 'site', 'app-data'), manifests);
+    }
+    
+    return Array.from(manifests.values());
+  }
+
+  /**
+   * Check whether a manifest matches a reference by catalog key or by name
+   * @param {object} manifest - The manifest object
+   * @param {string} manifestName - Catalog key, name, or manifest file name
+   * @returns {boolean}
+   */
+  _matchesManifest(manifest, manifestName) {
+    const ref = manifestName.replace(/_manifest\.json$/, '');
+    return manifest.path === ref || manifest.name === ref;
+  }
+
+  /**
+   * Add the manifests found in `<rootDir>/<category>/*_manifest.json` to a map
+   * Manifests already in the map take precedence.
+   * @param {string} rootDir - An app-data directory (cache or bundled site)
+   * @param {Map<string, object>} manifests - manifest.path -> manifest
+   */
+  _scanManifestDir(rootDir, manifests) {
+    if (!rootDir || !fs.existsSync(rootDir)) {
+      return;
+    }
+    for (const category of fs.readdirSync(rootDir, { withFileTypes: true })) {
+      if (!category.isDirectory()) continue;
+      const categoryDir = path.join(rootDir, category.name);
+      for (const file of fs.readdirSync(categoryDir)) {
+        if (!file.endsWith('_manifest.json')) continue;
+        try {
+          const manifest = JSON.parse(fs.readFileSync(path.join(categoryDir, file), 'utf8'));
+          if (manifest && manifest.path && !manifests.has(manifest.path)) {
+            manifests.set(manifest.path, manifest);
+          }
+        } catch (err) {
+          console.error(`Failed to read manifest ${file}:`, err);
+        }
+      }
+    }
+  }
+
+  /**
+   * Verify cached files of known manifests against their digests
+   * Corrupt files are quarantined, so they are re-fetched the next time they are needed.
+   * @param {string[]|null} manifestNames - Catalog keys or model names (e.g., ["fsaverage"]), or null for all
+   * @returns {Promise<{models: object[], mismatched: number}>} - Per-model report
+   */
+  async verifyCache(manifestNames = null) {
+    const manifests = this._listKnownManifests()
+      .filter(manifest => !manifestNames || manifestNames.some(name => this._matchesManifest(manifest, name)));
+    
+    const models = [];
+    let mismatchedTotal = 0;
+    
+    for (const manifest of manifests) {
+      this._indexManifest(manifest);
+      const report = {
+        name: manifest.name,
+        path: manifest.path,
+        version: manifest.version || null,
+        files: (manifest.files || []).length,
+        checked: 0,
+        ok: 0,
+        missing: 0,
+        unverifiable: 0,
+        mismatched: []
+      };
+      
+      for (const file of manifest.files || []) {
+        const relativePath = path.posix.join(manifest.path, file.path);
+        const result = await this.verifyFile(relativePath);
+        
+        if (result.status === 'missing') {
+          report.missing++;
+          continue;
+        }
+        report.checked++;
+        if (result.status === 'ok') {
+          report.ok++;
+          this._markVerified(relativePath);
+          this._storeBlob(relativePath);
+        } else if (result.status === 'unknown') {
+          report.unverifiable++;
+        } else {
+          report.mismatched.push({ path: file.path, expected: result.expected, actual: result.actual });
+          this.quarantineFile(relativePath);
+        }
+      }
+      
+      mismatchedTotal += report.mismatched.length;
+      models.push(report);
+    }
+    
+    return { models, mismatched: mismatchedTotal };
+  }
+
+  // ============================================================
+  // Deduplication
+  // Verified files are hard-linked into a blob store keyed by digest, so
+  // identical files of different models or versions are stored (and
+  // downloaded) once
+  // ============================================================
+
+  /**
+   * Blob key of a manifest entry
+   * @param {object|null} entry - Manifest entry ({ digest, algo })
+   * @returns {string|null} - e.g., "sha256:<digest>", or null without a usable digest
+   */
+  _blobKey(entry) {
+    if (!entry || !entry.digest || !entry.algo) {
+      return null;
+    }
+    const digest = String(entry.digest).toLowerCase();
+    // Digests come from downloaded manifests and end up in file paths
+    if (!/^[a-z0-9-]+$/i.test(entry.algo) || !/^[0-9a-f]{16,}$/.test(digest)) {
+      return null;
+    }
+    return `${entry.algo.toLowerCase()}:${digest}`;
+  }
+
+  /**
+   * Path of a blob in the store (e.g., blobs/sha256/ab/abcd...)
+   * @param {string} blob - Blob key
+   * @returns {string}
+   */
+  _blobPath(blob) {
+    const [algo, digest] = blob.split(':');
+    return path.join(this.blobsDir, algo, digest.slice(0, 2), digest);
+  }
+
+  /**
+   * Share a verified cached file through the blob store
+   * The first copy of a content becomes the blob; later copies are replaced by
+   * hard links to it. Does nothing when the cache's file system has no hard links.
+   * @param {string} relativePath - Path relative to app-data (must match its manifest digest)
+   */
+  _storeBlob(relativePath) {
+    if (!this.hardLinks || !this.blobsDir || !this.accessIndex) {
+      return;
+    }
+    const blob = this._blobKey(this._getDigestEntry(relativePath));
+    if (!blob) {
+      return;
+    }
+    
+    const cachedPath = this.getCachedFilePath(relativePath);
+    const blobPath = this._blobPath(blob);
+    const linkPath = `${cachedPath}.${process.pid}.link`;
+    try {
+      const stats = fs.statSync(cachedPath);
+      let blobStats = null;
+      try {
+        blobStats = fs.statSync(blobPath);
+      } catch (err) {
+        // Not stored yet
+      }
+      
+      if (blobStats && blobStats.size !== stats.size) {
+        // Left over from an interrupted write; this verified copy replaces it
+        fs.rmSync(blobPath, { force: true });
+        blobStats = null;
+      }
+      if (!blobStats) {
+        fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+        this._link(cachedPath, blobPath);
+      } else if (blobStats.ino !== stats.ino || blobStats.dev !== stats.dev) {
+        this._link(blobPath, linkPath);
+        fs.renameSync(linkPath, cachedPath);
+        this._markVerified(relativePath);
+      }
+      
+      if (!this.accessIndex.get(relativePath)) {
+        this.accessIndex.touch(relativePath, stats.size, stats.mtimeMs);
+      }
+      this.accessIndex.setBlob(relativePath, blob);
+    } catch (err) {
+      fs.rmSync(linkPath, { force: true });
+      if (err.noHardLinks) {
+        this.hardLinks = false;
+        console.warn(`Hard links are not supported in ${this.cacheDir} (${err.code}); cached files are not deduplicated`);
+      } else {
+        console.warn(`Failed to deduplicate ${relativePath}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Create a hard link, flagging errors that mean the file system has none (`err.noHardLinks`)
+   * @param {string} existingPath - The file to link to
+   * @param {string} newPath - The new link
+   */
+  _link(existingPath, newPath) {
+    try {
+      fs.linkSync(existingPath, newPath);
+    } catch (err) {
+      err.noHardLinks = NO_HARD_LINK_ERRORS.includes(err.code);
+      throw err;
+    }
+  }
+
+  /**
+   * Create a file from the blob store instead of downloading it
+   * The file is hard-linked to the blob, or copied (cloned where supported) without hard links.
+   * @param {string} relativePath - Path relative to app-data
+   * @param {string} destPath - Where to create the file (the cached file or a staging path)
+   * @param {object} [expected] - Entry ({ digest, size, algo }) to use instead of the loaded manifests
+   * @returns {boolean} - True if the file was created
+   */
+  _materializeBlob(relativePath, destPath, expected = null) {
+    if (!this.blobsDir) {
+      return false;
+    }
+    const entry = expected || this._getDigestEntry(relativePath);
+    const blob = this._blobKey(entry);
+    if (!blob) {
+      return false;
+    }
+    
+    const blobPath = this._blobPath(blob);
+    let stats;
+    try {
+      stats = fs.statSync(blobPath);
+    } catch (err) {
+      return false;
+    }
+    if (typeof entry.size === 'number' && stats.size !== entry.size) {
+      return false;
+    }
+    
+    const linkPath = `${destPath}.${process.pid}.link`;
+    try {
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      try {
+        fs.linkSync(blobPath, linkPath);
+      } catch (err) {
+        fs.copyFileSync(blobPath, linkPath, fs.constants.COPYFILE_FICLONE);
+      }
+      fs.renameSync(linkPath, destPath);
+      return true;
+    } catch (err) {
+      fs.rmSync(linkPath, { force: true });
+      console.warn(`Failed to reuse cached content for ${relativePath}:`, err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a cached file, and its blob once no other cached file links to it
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {{size: number, freed: number}|null} - Size of the file and bytes freed on disk
+   *   (0 while its content is still shared), or null if it was not cached
+   */
+  _removeCachedFile(relativePath) {
+    const cachedPath = this.getCachedFilePath(relativePath);
+    let stats;
+    try {
+      stats = fs.statSync(cachedPath);
+    } catch (err) {
+      stats = null;
+    }
+    const known = this.accessIndex && this.accessIndex.get(relativePath);
+    const blob = (known && known.blob) || this._blobKey(this._getDigestEntry(relativePath));
+    
+    if (stats) {
+      fs.rmSync(cachedPath, { force: true });
+    }
+    if (this.accessIndex) {
+      this.accessIndex.remove(relativePath);
+    }
+    this.verifiedFiles.delete(relativePath.split(path.sep).join('/'));
+    if (!stats) {
+      return null;
+    }
+    
+    let links = stats.nlink - 1;
+    if (links === 1 && blob && this._dropBlob(relativePath, stats, blob)) {
+      links = 0;
+    }
+    return { size: stats.size, freed: links === 0 ? stats.size : 0 };
+  }
+
+  /**
+   * Remove the blob a cached file is a hard link of
+   * @param {string} relativePath - Path relative to app-data
+   * @param {fs.Stats} [stats] - Stats of the file (read from the cache if omitted)
+   * @param {string} [blob] - Blob key (defaults to the file's manifest digest)
+   * @returns {boolean} - True if the blob was removed
+   */
+  _dropBlob(relativePath, stats = null, blob = null) {
+    blob = blob || this._blobKey(this._getDigestEntry(relativePath));
+    if (!blob || !this.blobsDir) {
+      return false;
+    }
+    const blobPath = this._blobPath(blob);
+    try {
+      const fileStats = stats || fs.statSync(this.getCachedFilePath(relativePath));
+      const blobStats = fs.statSync(blobPath);
+      if (blobStats.ino !== fileStats.ino || blobStats.dev !== fileStats.dev) {
+        return false;
+      }
+      fs.rmSync(blobPath, { force: true });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove blobs no cached file links to anymore (e.g., files deleted outside the app)
+   * @param {string[]} blobPaths - Candidates found by a scan (see rebuildIndex); each is checked again
+   * @returns {{removed: number, bytes: number}}
+   */
+  _pruneBlobs(blobPaths) {
+    let removed = 0;
+    let bytes = 0;
+    for (const blobPath of blobPaths) {
+      try {
+        const stats = fs.statSync(blobPath);
+        if (stats.nlink <= 1) {
+          fs.rmSync(blobPath, { force: true });
+          removed++;
+          bytes += stats.size;
+        }
+      } catch (err) {
+        // Removed meanwhile
+      }
+    }
+    
+    if (removed > 0) {
+      console.log(`Pruned ${removed} unused blob(s) (${(bytes / 1024 ** 2).toFixed(1)} MB)`);
+    }
+    return { removed, bytes };
+  }
+
+  // ============================================================
+  // JSON Cache Methods
+  // For caching arbitrary JSON data (e.g., prerequisite check results).
+  // Entries live in json-cache/<namespace>/ and carry an expiry and the
+  // version they were written for; stale entries read as missing and
+  // are removed by pruneJsonCache()
+  // ============================================================
+
+  /**
+   * Get the directory holding the JSON cache files
+   * @param {string} [namespace] - Namespace (defaults to the whole JSON cache)
+   * @returns {string}
+   */
+  getJsonCacheDir(namespace = null) {
+    const dir = path.join(this.cacheDir, 'json-cache');
+    return namespace === null ? dir : path.join(dir, this._checkJsonNamespace(namespace));
+  }
+
+  /**
+   * Validate a namespace name
+   * @param {string} namespace - e.g., "github"
+   * @returns {string}
+   * @throws {Error} - If the name is not a lowercase identifier
+   */
+  _checkJsonNamespace(namespace) {
+    if (typeof namespace !== 'string' || !JSON_CACHE_NAMESPACE.test(namespace)) {
+      throw new Error(`Invalid JSON cache namespace: ${JSON.stringify(namespace)}`);
+    }
+    return namespace;
+  }
+
+  /**
+   * Get the path to the JSON cache file (see jsonCacheFileName)
+   * @param {string} key - Cache key
+   * @param {string} [namespace] - Namespace
+   * @returns {string}
+   */
+  _getJsonCachePath(key, namespace = DEFAULT_JSON_NAMESPACE) {
+    return path.join(this.getJsonCacheDir(namespace), jsonCacheFileName(key));
+  }
+
+  /**
+   * Read a JSON cache entry
+   * Reads never remove entries; expired and unreadable ones are left to pruneJsonCache().
+   * @param {string} cachePath - Path of the entry
+   * @returns {object|null} - The entry ({ schema, key, version, appVersion, createdAt, expiresAt, data }),
+   *   or null if it is missing or unreadable
+   */
+  _readJsonCacheEntry(cachePath) {
+    try {
+      return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Failed to read JSON cache ${cachePath}:`, err);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a JSON cache entry is expired or outdated and can be removed
+   * @param {object} entry - Parsed entry
+   * @returns {boolean}
+   */
+  _isJsonCacheEntryStale(entry) {
+    if (!entry || entry.schema !== JSON_CACHE_SCHEMA) {
+      return true;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      return true;
+    }
+    // Entries without a data version of their own are invalidated by app upgrades
+    return entry.version === null && entry.appVersion !== app.getVersion();
+  }
+
+  /**
+   * Get cached JSON data
+   * @param {string} key - Cache key
+   * @param {object} [options]
+   * @param {string} [options.namespace="default"] - Namespace
+   * @param {string|null} [options.version] - Data version the entry must have been written with
+   *   (null: none); any version is accepted if omitted
+   * @returns {Object|null} - Null if missing, expired, or written with another version
+   */
+  getJsonCache(key, { namespace = DEFAULT_JSON_NAMESPACE, version } = {}) {
+    const entry = this._readJsonCacheEntry(this._getJsonCachePath(key, namespace));
+    if (!entry || this._isJsonCacheEntryStale(entry)) {
+      return null;
+    }
+    if (version !== undefined && entry.version !== (version === null ? null : String(version))) {
+      return null;
+    }
+    return entry.data;
+  }
+
+  /**
+   * Set cached JSON data
+   * The file is replaced atomically, so readers and concurrent writers never see half an entry.
+   * @param {string} key - Cache key
+   * @param {Object} data - Data to cache
+   * @param {object} [options]
+   * @param {string} [options.namespace="default"] - Namespace
+   * @param {number} [options.ttl] - Milliseconds until the entry expires (no expiry if omitted)
+   * @param {string} [options.version] - Data version (e.g., of its format); entries without one
+   *   are invalidated when the app is upgraded
+   */
+  setJsonCache(key, data, { namespace = DEFAULT_JSON_NAMESPACE, ttl = null, version = null } = {}) {
+    const cachePath = this._getJsonCachePath(key, namespace);
+    const createdAt = Date.now();
+    const entry = {
+      schema: JSON_CACHE_SCHEMA,
+      key: String(key),
+      version: version !== null ? String(version) : null,
+      appVersion: app.getVersion(),
+      createdAt,
+      expiresAt: ttl ? createdAt + ttl : null,
+      data
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      this._writeFileAtomic(cachePath, JSON.stringify(entry, null, 2));
+    } catch (err) {
+      console.error(`Failed to write JSON cache for ${key}:`, err);
+    }
+  }
+
+  /**
+   * Remove cached JSON data
+   * @param {string} key - Cache key
+   * @param {object} [options]
+   * @param {string} [options.namespace="default"] - Namespace
+   */
+  removeJsonCache(key, { namespace = DEFAULT_JSON_NAMESPACE } = {}) {
+    try {
+      fs.rmSync(this._getJsonCachePath(key, namespace), { force: true });
+    } catch (err) {
+      console.error(`Failed to remove JSON cache for ${key}:`, err);
+    }
+  }
+
+  /**
+   * Remove every entry of a namespace (or of the whole JSON cache)
+   * @param {string} [namespace] - Namespace, or null for all
+   * @returns {number} - Number of entries removed
+   */
+  clearJsonCache(namespace = null) {
+    const dirs = namespace !== null
+      ? [this.getJsonCacheDir(namespace)]
+      : this.getJsonCacheNamespaces().map(ns => this.getJsonCacheDir(ns));
+    let removed = 0;
+    for (const dir of dirs) {
+      try {
+        removed += fs.readdirSync(dir).filter(file => file.endsWith('.json')).length;
+      } catch (err) {
+        continue;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    console.log(`Cleared ${removed} JSON cache entr${removed === 1 ? 'y' : 'ies'}${namespace !== null ? ` in ${namespace}` : ''}`);
+    return removed;
+  }
+
+  /**
+   * List the namespaces of the JSON cache
+   * @returns {string[]}
+   */
+  getJsonCacheNamespaces() {
+    try {
+      return fs.readdirSync(this.getJsonCacheDir(), { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && JSON_CACHE_NAMESPACE.test(entry.name))
+        .map(entry => entry.name)
+        .sort();
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * Remove expired, outdated and unreadable JSON cache entries, and files of the old flat layout
+   * @returns {number} - Number of files removed
+   */
+  pruneJsonCache() {
+    let removed = 0;
+    const rootDir = this.getJsonCacheDir();
+    let entries;
+    try {
+      entries = fs.readdirSync(rootDir, { withFileTypes: true });
+    } catch (err) {
+      return 0;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) {
+        // Written before namespaces and versions existed
+        fs.rmSync(path.join(rootDir, entry.name), { force: true });
+        removed++;
+        continue;
+      }
+      const dir = path.join(rootDir, entry.name);
+      for (const file of fs.readdirSync(dir)) {
+        const filePath = path.join(dir, file);
+        // Other files are temporary files of writes in progress
+        if (file.endsWith('.json') && this._isJsonCacheEntryStale(this._readJsonCacheEntry(filePath))) {
+          fs.rmSync(filePath, { force: true });
+          removed++;
+        }
       }
     }
+    return removed;
   }
 }
 
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * Worker thread that walks the app-data cache off the main process (see CacheManager.rebuildIndex)
+ * Receives { cacheDir, blobsDir } as workerData and posts a single message:
+ *   {
+ *     files: [[relativePath, size, mtimeMs], ...] - every file under cacheDir (posix paths)
+ *     orphanBlobs: [blobPath, ...]                - blobs no cached file links to anymore
+ *   }
+ */
+
+/**
+ * Call onFile for every file below a directory (unreadable directories are skipped)
+ * @param {string} dir - Directory to walk
+ * @param {string} prefix - Path of dir relative to the walk's root (posix)
+ * @param {function} onFile - (relativePath, fullPath) => void
+ */
+function walk(dir, prefix, onFile) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return;
+  }
+  for (const entry of entries) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      walk(fullPath, relativePath, onFile);
+    } else {
+      onFile(relativePath, fullPath);
+    }
+  }
+}
+
+const files = [];
+walk(workerData.cacheDir, '', (relativePath, fullPath) => {
+  try {
+    const stats = fs.statSync(fullPath);
+    files.push([relativePath, stats.size, stats.mtimeMs]);
+  } catch (err) {
+    // Removed while walking
+  }
+});
+
+const orphanBlobs = [];
+if (workerData.blobsDir) {
+  walk(workerData.blobsDir, '', (relativePath, fullPath) => {
+    try {
+      if (fs.statSync(fullPath).nlink <= 1) {
+        orphanBlobs.push(fullPath);
+      }
+    } catch (err) {
+      // Removed while walking
+    }
+  });
+}
+
+parentPort.postMessage({ files, orphanBlobs });
@@ -0,0 +1,288 @@
+const { EventEmitter } = require('events');
+const { BrowserWindow } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+// Requests in flight at the same time while warming
+const DEFAULT_CONCURRENCY = 4;
+
+// Minimum interval between progress events (status changes are sent immediately)
+const PROGRESS_INTERVAL = 250;
+
+// Assets below this prefix are app-data files served from the CacheManager cache
+const APP_DATA_PREFIX = 'app-data/';
+
+/**
+ * Warms caches with the packages and assets listed in each app's preload-manifest.json
+ * (written by compile.r) before an app window is opened. webR packages and site assets
+ * are fetched by a hidden page on the app origin (assets/cache-warmer.html) in the app
+ * windows' session: the HTTP cache is partitioned by the requesting site, so requests made
+ * from the main process would not be reused by the windows. app-data assets are downloaded
+ * into (or verified in) the CacheManager cache.
+ *
+ * A URL is only warmed once per run of the application. The session's HTTP cache is kept on
+ * disk (up to disk-cache-size, see setupCommandLineSwitches in main.js), so later runs
+ * mostly revalidate what is already there.
+ *
+ * Events:
+ *   - 'progress' (status) - see getStatus
+ */
+class CacheWarmer extends EventEmitter {
+  /**
+   * @param {CacheManager} cacheManager - Cache manager for app-data assets
+   * @param {object} options
+   * @param {string} options.basePath - Base path of the application (contains site/)
+   * @param {number} options.port - Port of the static server
+   * @param {Electron.Session} options.session - Session of the app windows
+   * @param {number} [options.concurrency=4] - Maximum number of parallel requests
+   */
+  constructor(cacheManager, { basePath, port, session, concurrency = DEFAULT_CONCURRENCY }) {
+    super();
+    this.cacheManager = cacheManager;
+    this.basePath = basePath;
+    this.port = port;
+    this.session = session;
+    this.concurrency = concurrency;
+    this.warmed = new Set(); // URLs / app-data paths already warmed in this run
+    this.run = null; // The current run, see start
+    this.status = this._idleStatus();
+  }
+
+  /**
+   * List the apps that ship a preload manifest
+   * @returns {Array<{app: string, manifestPath: string}>}
+   */
+  listApps() {
+    const siteDir = path.join(this.basePath, 'site');
+    let entries;
+    try {
+      entries = fs.readdirSync(siteDir, { withFileTypes: true });
+    } catch (err) {
+      return [];
+    }
+    return entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => ({ app: entry.name, manifestPath: path.join(siteDir, entry.name, 'preload-manifest.json') }))
+      .filter(item => fs.existsSync(item.manifestPath));
+  }
+
+  /**
+   * Start warming every app (joins a run that is already in progress)
+   * @returns {Promise<object>} - Final status
+   */
+  start() {
+    if (this.run) {
+      return this.run.promise;
+    }
+
+    const items = this._collectItems();
+    const run = { items, next: 0, stopped: false, window: null, page: null, lastEmit: 0, promise: null };
+    this.run = run;
+    if (items.some(item => item.url !== null)) {
+      run.page = this._openPage(run);
+      run.page.catch(() => {}); // Reported by each request
+    }
+    this.status = {
+      status: 'running', // idle | running | complete | stopped
+      apps: [...new Set(items.map(item => item.app))],
+      total: items.length,
+      done: 0,
+      failed: 0,
+      bytes: 0,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+    console.log(`Cache warming started: ${items.length} files`);
+    this._emitProgress(true);
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, items.length); i++) {
+      workers.push(this._work(run));
+    }
+    run.promise = Promise.all(workers).then(() => {
+      if (run.window && !run.window.isDestroyed()) {
+        run.window.destroy();
+      }
+      this.status.status = run.stopped ? 'stopped' : 'complete';
+      this.status.finishedAt = Date.now();
+      this.run = null;
+      console.log(`Cache warming ${this.status.status}: ${this.status.done}/${this.status.total} files, ${this.status.failed} failed`);
+      this._emitProgress(true);
+      return this.getStatus();
+    });
+    return run.promise;
+  }
+
+  /**
+   * Stop the current run (requests in flight are aborted; app-data downloads keep going
+   * in the CacheManager, which shares them with whoever asks for the file next)
+   * @returns {Promise<object>} - Final status
+   */
+  async stop() {
+    const run = this.run;
+    if (!run) {
+      return this.getStatus();
+    }
+    run.stopped = true;
+    if (run.window && !run.window.isDestroyed()) {
+      run.window.webContents.executeJavaScript('abortWarming()').catch(() => {});
+    }
+    return run.promise;
+  }
+
+  /**
+   * Get the warming status (safe to send over IPC)
+   * @returns {object} - { status, apps, total, done, failed, bytes, startedAt, finishedAt }
+   */
+  getStatus() {
+    return { ...this.status, apps: [...this.status.apps] };
+  }
+
+  /**
+   * Status before the first run
+   * @returns {object}
+   */
+  _idleStatus() {
+    return { status: 'idle', apps: [], total: 0, done: 0, failed: 0, bytes: 0, startedAt: null, finishedAt: null };
+  }
+
+  /**
+   * Read the preload manifests and list what has not been warmed yet
+   * @returns {Array<{app: string, key: string, url: string|null, relativePath: string|null}>}
+   */
+  _collectItems() {
+    const items = [];
+    const seen = new Set();
+    const add = (item) => {
+      if (!this.warmed.has(item.key) && !seen.has(item.key)) {
+        seen.add(item.key);
+        items.push(item);
+      }
+    };
+
+    for (const { app, manifestPath } of this.listApps()) {
+      let manifest;
+      try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      } catch (err) {
+        console.warn(`Ignoring unreadable preload manifest ${manifestPath}:`, err.message);
+        continue;
+      }
+
+      for (const pkg of manifest.packages || []) {
+        const url = this._siteUrl(`shinylive/webr/${pkg}`);
+        add({ app, key: url, url, relativePath: null });
+      }
+      for (const asset of manifest.assets || []) {
+        if (asset.startsWith(APP_DATA_PREFIX)) {
+          const relativePath = asset.slice(APP_DATA_PREFIX.length);
+          add({ app, key: asset, url: null, relativePath });
+        } else {
+          const url = this._siteUrl(asset);
+          add({ app, key: url, url, relativePath: null });
+        }
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Build the static server URL of a site-relative path
+   * @param {string} sitePath - Path relative to site/
+   * @returns {string}
+   */
+  _siteUrl(sitePath) {
+    const encoded = sitePath.split('/').map(encodeURIComponent).join('/');
+    return `http://localhost:${this.port}/${encoded}`;
+  }
+
+  /**
+   * Take items off the run's list until it is empty or the run is stopped
+   * @param {object} run - The run
+   */
+  async _work(run) {
+    while (!run.stopped && run.next < run.items.length) {
+      const item = run.items[run.next++];
+      try {
+        if (item.relativePath !== null) {
+          await this._warmAppData(item.relativePath);
+        } else {
+          this.status.bytes += await this._warmUrl(item.url, run);
+        }
+        this.warmed.add(item.key);
+        this.status.done++;
+      } catch (err) {
+        if (run.stopped) {
+          return;
+        }
+        console.warn(`Failed to warm ${item.key}:`, err.message);
+        this.status.failed++;
+      }
+      this._emitProgress();
+    }
+  }
+
+  /**
+   * Open the hidden page that fetches the run's URLs
+   * @param {object} run - The run (keeps the window, destroyed when the run ends)
+   * @returns {Promise<Electron.BrowserWindow>}
+   */
+  async _openPage(run) {
+    run.window = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        session: this.session,
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        backgroundThrottling: false
+      }
+    });
+    await run.window.loadURL(this._siteUrl('cache-warmer.html'));
+    return run.window;
+  }
+
+  /**
+   * Fetch a URL from the hidden page and read (then discard) its body
+   * @param {string} url - URL on the static server
+   * @param {object} run - The run (holds the page)
+   * @returns {Promise<number>} - Bytes read
+   */
+  async _warmUrl(url, run) {
+    const window = await run.page;
+    if (run.stopped || window.isDestroyed()) {
+      throw new Error('Cache warming stopped');
+    }
+    return await window.webContents.executeJavaScript(`warmUrl(${JSON.stringify(url)})`);
+  }
+
+  /**
+   * Make sure an app-data file is in the CacheManager cache
+   * Cached files are verified against their manifest digest; missing (or corrupt) ones are downloaded.
+   * @param {string} relativePath - Path relative to app-data
+   */
+  async _warmAppData(relativePath) {
+    if (this.cacheManager.isFileCached(relativePath) && await this.cacheManager.ensureVerified(relativePath)) {
+      this.cacheManager.touchFile(relativePath);
+      return;
+    }
+    await this.cacheManager.downloadFile(relativePath);
+  }
+
+  /**
+   * Emit a progress event (throttled)
+   * @param {boolean} [force=false] - Emit regardless of the throttle (status changes)
+   */
+  _emitProgress(force = false) {
+    const now = Date.now();
+    if (this.run && !force && now - this.run.lastEmit < PROGRESS_INTERVAL) {
+      return;
+    }
+    if (this.run) {
+      this.run.lastEmit = now;
+    }
+    this.emit('progress', this.getStatus());
+  }
+}
+
+module.exports = CacheWarmer;
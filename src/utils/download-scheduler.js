@@ -0,0 +1,379 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+
+// Files downloaded at the same time across all prefetch jobs
+const DEFAULT_CONCURRENCY = 4;
+
+// Minimum interval between byte-progress events of one job (status changes are sent immediately)
+const PROGRESS_INTERVAL = 250;
+
+/**
+ * Download scheduler for prefetching every file of a manifest
+ * Files of all jobs share one queue with bounded concurrency. Jobs are keyed by
+ * catalog key (manifest.path, e.g. "freesurfer-models/fsaverage"; names repeat across
+ * categories) and can be paused (in-flight downloads keep their `.partial` file
+ * and resume from there), resumed and cancelled.
+ *
+ * Events:
+ *   - 'progress' ({ job, file }) - job snapshot (see getJob), plus the file that changed (or null)
+ */
+class DownloadScheduler extends EventEmitter {
+  /**
+   * @param {CacheManager} cacheManager - Cache manager used to download files
+   * @param {object} [options]
+   * @param {number} [options.concurrency=4] - Maximum number of parallel downloads
+   */
+  constructor(cacheManager, { concurrency = DEFAULT_CONCURRENCY } = {}) {
+    super();
+    this.cacheManager = cacheManager;
+    this.concurrency = concurrency;
+    this.jobs = new Map(); // job id (catalog key) -> job
+    this.queue = []; // File entries waiting for a download slot
+    this.active = 0;
+  }
+
+  /**
+   * Queue all files of a manifest
+   * A job that is already running for the same manifest is returned as-is.
+   * @param {object} manifest - The manifest object
+   * @returns {object} - The job; `job.promise` resolves to its final snapshot
+   */
+  enqueue(manifest) {
+    const id = manifest.path;
+    const existing = this.jobs.get(id);
+    if (existing && !this._isFinished(existing)) {
+      if (existing.status === 'paused') {
+        this.resume(id);
+      }
+      return existing;
+    }
+
+    const job = {
+      id,
+      name: manifest.name,
+      path: manifest.path,
+      version: manifest.version || null,
+      status: 'running', // running | paused | complete | failed | cancelled
+      files: [],
+      failures: [],
+      startedAt: Date.now(),
+      finishedAt: null,
+      activeTime: 0, // Milliseconds spent running (excludes pauses)
+      resumedAt: Date.now(),
+      downloadedBytes: 0, // Bytes fetched by this job (excludes files that were already cached)
+      lastEmit: 0,
+      promise: null,
+      _resolve: null
+    };
+    job.promise = new Promise(resolve => { job._resolve = resolve; });
+
+    for (const file of manifest.files || []) {
+      const entry = {
+        job,
+        path: file.path,
+        relativePath: path.posix.join(manifest.path, file.path),
+        size: file.size || 0,
+        received: 0,
+        status: 'queued', // queued | downloading | done | failed
+        cached: false,
+        error: null,
+        task: null
+      };
+      job.files.push(entry);
+      this.queue.push(entry);
+    }
+
+    this.jobs.set(id, job);
+    console.log(`Prefetch queued: ${id} (${job.files.length} files)`);
+    this._emitProgress(job, null, true);
+    this._finishIfDone(job);
+    this._pump();
+    return job;
+  }
+
+  /**
+   * Pause a job
+   * Queued files wait; in-flight downloads are stopped and keep their `.partial` file
+   * (downloads a window is currently streaming from are left to finish).
+   * @param {string} id - Job id (catalog key)
+   * @returns {Promise<object|null>} - Job snapshot
+   */
+  async pause(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'running') {
+      return job ? this.getJob(id) : null;
+    }
+
+    job.status = 'paused';
+    job.activeTime += Date.now() - job.resumedAt;
+    this._emitProgress(job, null, true);
+
+    await Promise.all(job.files
+      .filter(entry => entry.status === 'downloading')
+      .map(entry => this.cacheManager.abortDownload(entry.relativePath)));
+
+    console.log(`Prefetch paused: ${id}`);
+    return this.getJob(id);
+  }
+
+  /**
+   * Resume a paused job
+   * @param {string} id - Job id (catalog key)
+   * @returns {object|null} - Job snapshot
+   */
+  resume(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'paused') {
+      return job ? this.getJob(id) : null;
+    }
+
+    job.status = 'running';
+    job.resumedAt = Date.now();
+    console.log(`Prefetch resumed: ${id}`);
+    this._emitProgress(job, null, true);
+    this._finishIfDone(job);
+    this._pump();
+    return this.getJob(id);
+  }
+
+  /**
+   * Cancel a job, dropping its queued files and stopping (and discarding) in-flight downloads
+   * @param {string} id - Job id (catalog key)
+   * @returns {Promise<object|null>} - Job snapshot
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || this._isFinished(job)) {
+      return job ? this.getJob(id) : null;
+    }
+
+    if (job.status === 'running') {
+      job.activeTime += Date.now() - job.resumedAt;
+    }
+    job.status = 'cancelled';
+    this.queue = this.queue.filter(entry => entry.job !== job);
+
+    await Promise.all(job.files
+      .filter(entry => entry.status === 'downloading')
+      .map(entry => this.cacheManager.abortDownload(entry.relativePath, { discard: true })));
+
+    console.log(`Prefetch cancelled: ${id}`);
+    this._settle(job);
+    return this.getJob(id);
+  }
+
+  /**
+   * Get a snapshot of a job (safe to send over IPC)
+   * @param {string} id - Job id (catalog key)
+   * @returns {object|null}
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    let totalBytes = 0;
+    let receivedBytes = 0;
+    let completedFiles = 0;
+    for (const entry of job.files) {
+      totalBytes += entry.size;
+      receivedBytes += entry.status === 'done' ? entry.size : Math.min(entry.received, entry.size || entry.received);
+      if (entry.status === 'done') {
+        completedFiles++;
+      }
+    }
+
+    const elapsed = (job.activeTime + (job.status === 'running' ? Date.now() - job.resumedAt : 0)) / 1000;
+    const bytesPerSecond = elapsed > 0 ? job.downloadedBytes / elapsed : 0;
+    const remainingBytes = Math.max(totalBytes - receivedBytes, 0);
+    let eta = null;
+    if (remainingBytes === 0) {
+      eta = 0;
+    } else if (job.status === 'running' && bytesPerSecond > 0) {
+      eta = Math.round(remainingBytes / bytesPerSecond);
+    }
+
+    return {
+      id: job.id,
+      name: job.name,
+      version: job.version,
+      status: job.status,
+      totalFiles: job.files.length,
+      completedFiles,
+      failedFiles: job.failures.length,
+      totalBytes,
+      receivedBytes,
+      bytesPerSecond: Math.round(bytesPerSecond),
+      eta,
+      failures: job.failures.slice(),
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Get snapshots of all jobs of this session
+   * @returns {object[]}
+   */
+  getJobs() {
+    return Array.from(this.jobs.keys()).map(id => this.getJob(id));
+  }
+
+  /**
+   * Manifest paths of jobs that are still running or paused
+   * @returns {string[]}
+   */
+  getActiveManifestPaths() {
+    return Array.from(this.jobs.values())
+      .filter(job => !this._isFinished(job))
+      .map(job => job.path);
+  }
+
+  /**
+   * Snapshot of one file entry
+   * @param {object} entry - File entry
+   * @returns {object}
+   */
+  _fileSnapshot(entry) {
+    return {
+      path: entry.path,
+      relativePath: entry.relativePath,
+      size: entry.size,
+      received: entry.status === 'done' ? entry.size : entry.received,
+      status: entry.status,
+      cached: entry.cached,
+      error: entry.error
+    };
+  }
+
+  /**
+   * Check whether a job has reached a final state
+   * @param {object} job - The job
+   * @returns {boolean}
+   */
+  _isFinished(job) {
+    return job.status === 'complete' || job.status === 'failed' || job.status === 'cancelled';
+  }
+
+  /**
+   * Emit a progress event (byte progress is throttled per job)
+   * @param {object} job - The job
+   * @param {object|null} entry - File entry that changed
+   * @param {boolean} [force=false] - Emit regardless of the throttle (status changes)
+   */
+  _emitProgress(job, entry, force = false) {
+    const now = Date.now();
+    if (!force && now - job.lastEmit < PROGRESS_INTERVAL) {
+      return;
+    }
+    job.lastEmit = now;
+    this.emit('progress', {
+      job: this.getJob(job.id),
+      file: entry ? this._fileSnapshot(entry) : null
+    });
+  }
+
+  /**
+   * Start queued files while download slots are free
+   */
+  _pump() {
+    while (this.active < this.concurrency) {
+      const index = this.queue.findIndex(entry => entry.job.status === 'running');
+      if (index === -1) {
+        return;
+      }
+      const [entry] = this.queue.splice(index, 1);
+      this._runFile(entry);
+    }
+  }
+
+  /**
+   * Download (or verify the cached copy of) one file
+   * @param {object} entry - File entry
+   */
+  async _runFile(entry) {
+    const { job } = entry;
+    this.active++;
+    entry.status = 'downloading';
+    entry.error = null;
+    this._emitProgress(job, entry, true);
+
+    let listener = null;
+    try {
+      // Cached files must match their manifest digest; corrupt ones are quarantined and re-fetched
+      if (this.cacheManager.isFileCached(entry.relativePath) &&
+          await this.cacheManager.ensureVerified(entry.relativePath)) {
+        entry.cached = true;
+      } else if (job.status !== 'running') {
+        // Paused or cancelled while the cached copy was being checked
+        throw Object.assign(new Error('Prefetch stopped'), { aborted: true });
+      } else {
+        const task = this.cacheManager.startDownload(entry.relativePath);
+        entry.task = task;
+        listener = (written) => {
+          if (written > entry.received) {
+            job.downloadedBytes += written - entry.received;
+          }
+          entry.received = written;
+          this._emitProgress(job, entry);
+        };
+        task.on('progress', listener);
+        await task.promise;
+      }
+      entry.status = 'done';
+    } catch (err) {
+      if (err.aborted && job.status === 'paused') {
+        // Picked up again (resuming its `.partial` file) when the job is resumed
+        entry.status = 'queued';
+        this.queue.unshift(entry);
+      } else if (job.status === 'cancelled') {
+        entry.status = 'queued';
+      } else {
+        entry.status = 'failed';
+        entry.error = err.message;
+        job.failures.push({ path: entry.path, error: err.message });
+        console.error(`Prefetch of ${entry.relativePath} failed:`, err.message);
+      }
+    } finally {
+      if (listener) {
+        entry.task.removeListener('progress', listener);
+      }
+      entry.task = null;
+      this.active--;
+    }
+
+    this._emitProgress(job, entry, true);
+    this._finishIfDone(job);
+    this._pump();
+  }
+
+  /**
+   * Mark a running job complete (or failed) once none of its files are left
+   * @param {object} job - The job
+   */
+  _finishIfDone(job) {
+    if (job.status !== 'running') {
+      return;
+    }
+    if (job.files.some(entry => entry.status === 'queued' || entry.status === 'downloading')) {
+      return;
+    }
+    job.activeTime += Date.now() - job.resumedAt;
+    job.status = job.failures.length > 0 ? 'failed' : 'complete';
+    console.log(`Prefetch ${job.status}: ${job.id}`);
+    this._settle(job);
+  }
+
+  /**
+   * Record the end of a job and resolve its promise
+   * @param {object} job - The job
+   */
+  _settle(job) {
+    job.finishedAt = Date.now();
+    this._emitProgress(job, null, true);
+    job._resolve(this.getJob(job.id));
+  }
+}
+
+module.exports = DownloadScheduler;
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+
+// Read size used when tailing a file that is still being downloaded
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * A single in-flight download shared by every consumer of the same file
+ * The file is written to `tempPath` and renamed to `destPath` only once complete,
+ * so a failed or interrupted download never leaves a truncated file in the cache
+ * (an interrupted `.partial` file is kept so the download can be resumed later).
+ * Readers created with createReadStream() tail the temporary file while it grows.
+ *
+ * Events:
+ *   - 'response' ()                     - upstream headers received, totalSize known (or null)
+ *   - 'progress' (writtenSize, totalSize) - more bytes were flushed to the temporary file
+ *   - 'finish'   (destPath)             - file complete and moved into the cache
+ *   - 'failed'   (error)                - download failed, temporary file removed
+ *   - 'abort'    ()                     - abort() was called; the download stops and keeps its `.partial` file
+ */
+class DownloadTask extends EventEmitter {
+  /**
+   * @param {string} relativePath - Path relative to app-data
+   * @param {string} destPath - Final path of the cached file
+   */
+  constructor(relativePath, destPath) {
+    super();
+    this.relativePath = relativePath;
+    this.destPath = destPath;
+    this.tempPath = `${destPath}.partial`;
+    this.url = null;
+    this.status = 'pending'; // pending | downloading | complete | failed
+    this.totalSize = null;
+    this.writtenSize = 0;
+    this.error = null;
+    this.aborted = false;
+    this.readers = 0; // Open createReadStream() streams
+    this.expected = null; // Manifest entry ({ digest, size, algo }) to verify against instead of the loaded manifests
+    this.staging = false; // Downloaded outside the cache (manifest update); no cache bookkeeping on completion
+    this.promise = null; // Resolves to destPath once complete
+    // Readers may attach many listeners while a large file downloads
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Mark upstream headers as received
+   * Called again when an interrupted download is resumed (or restarted from zero)
+   * @param {number|null} totalSize - Size announced by the server, if any
+   * @param {number} [offset=0] - Bytes already present in the temporary file
+   */
+  markResponse(totalSize, offset = 0) {
+    this.status = 'downloading';
+    this.totalSize = totalSize;
+    this.writtenSize = offset;
+    this.emit('response');
+  }
+
+  /**
+   * Record bytes flushed to the temporary file
+   * @param {number} length - Number of bytes written
+   */
+  markWritten(length) {
+    this.writtenSize += length;
+    this.emit('progress', this.writtenSize, this.totalSize);
+  }
+
+  /**
+   * Discard the bytes written so far (the temporary file was removed or is rewritten from zero)
+   * Readers that are open may already have streamed some of those bytes, so they fail with
+   * `error` instead of carrying on with the new file. New readers wait for the next response.
+   * @param {Error} error - Why the download starts over
+   */
+  restart(error) {
+    this.status = 'pending';
+    this.totalSize = null;
+    this.writtenSize = 0;
+    this.emit('restart', error);
+  }
+
+  /**
+   * Mark the download as complete
+   */
+  markComplete() {
+    this.status = 'complete';
+    this.emit('finish', this.destPath);
+  }
+
+  /**
+   * Mark the download as failed
+   * @param {Error} error - The failure
+   */
+  markFailed(error) {
+    this.status = 'failed';
+    this.error = error;
+    this.emit('failed', error);
+  }
+
+  /**
+   * Stop the download, keeping the `.partial` file so it can be resumed later
+   * The task fails with an error flagged `aborted`.
+   */
+  abort() {
+    if (this.aborted || this.status === 'complete' || this.status === 'failed') {
+      return;
+    }
+    this.aborted = true;
+    this.emit('abort');
+  }
+
+  /**
+   * Check whether anyone is streaming the file from this task (e.g., a window's request)
+   * @returns {boolean}
+   */
+  hasReaders() {
+    return this.readers > 0;
+  }
+
+  /**
+   * Wait until upstream headers are received (or the download fails)
+   * @returns {Promise<DownloadTask>}
+   */
+  waitForResponse() {
+    return new Promise((resolve, reject) => {
+      if (this.status === 'failed') {
+        reject(this.error);
+        return;
+      }
+      if (this.status !== 'pending') {
+        resolve(this);
+        return;
+      }
+      const onResponse = () => {
+        this.removeListener('failed', onFailed);
+        resolve(this);
+      };
+      const onFailed = (err) => {
+        this.removeListener('response', onResponse);
+        reject(err);
+      };
+      this.once('response', onResponse);
+      this.once('failed', onFailed);
+    });
+  }
+
+  /**
+   * Create a stream over the bytes of the file as they arrive
+   * @param {number} [start=0] - First byte (inclusive)
+   * @param {number} [end=Infinity] - Last byte (inclusive)
+   * @returns {Readable}
+   */
+  createReadStream(start = 0, end = Infinity) {
+    return new GrowingFileReadStream(this, start, end);
+  }
+}
+
+/**
+ * Readable that follows a DownloadTask's temporary file while it is written
+ */
+class GrowingFileReadStream extends Readable {
+  constructor(task, start, end) {
+    super({ highWaterMark: READ_CHUNK_SIZE });
+    this.task = task;
+    this.position = start;
+    this.end = end;
+    this.fd = null;
+    this.waiting = false;
+    task.readers++;
+
+    this._onTaskEvent = () => {
+      if (this.waiting) {
+        this.waiting = false;
+        this._read();
+      }
+    };
+    task.on('progress', this._onTaskEvent);
+    task.on('finish', this._onTaskEvent);
+    task.on('failed', this._onTaskEvent);
+    this._onTaskRestart = (error) => this.destroy(error);
+    task.on('restart', this._onTaskRestart);
+  }
+
+  _construct(callback) {
+    // Once complete the temporary file has been renamed into place
+    const filePath = this.task.status === 'complete' ? this.task.destPath : this.task.tempPath;
+    fs.open(filePath, 'r', (err, fd) => {
+      if (err && err.code === 'ENOENT' && filePath === this.task.tempPath) {
+        // Completed (and renamed) between the status check and the open
+        fs.open(this.task.destPath, 'r', (retryErr, retryFd) => {
+          this.fd = retryErr ? null : retryFd;
+          callback(retryErr);
+        });
+        return;
+      }
+      if (err) {
+        callback(err);
+        return;
+      }
+      this.fd = fd;
+      callback();
+    });
+  }
+
+  _read() {
+    if (this.position > this.end) {
+      this.push(null);
+      return;
+    }
+
+    const available = Math.min(this.task.writtenSize, this.end + 1) - this.position;
+    if (available <= 0) {
+      if (this.task.status === 'failed') {
+        this.destroy(this.task.error || new Error('Download failed'));
+      } else if (this.task.status === 'complete') {
+        this.push(null);
+      } else {
+        this.waiting = true;
+      }
+      return;
+    }
+
+    const length = Math.min(available, READ_CHUNK_SIZE);
+    const buffer = Buffer.allocUnsafe(length);
+    fs.read(this.fd, buffer, 0, length, this.position, (err, bytesRead) => {
+      if (err) {
+        this.destroy(err);
+        return;
+      }
+      if (bytesRead === 0) {
+        if (this.task.status === 'complete') {
+          this.push(null);
+        } else {
+          this.waiting = true;
+        }
+        return;
+      }
+      this.position += bytesRead;
+      this.push(bytesRead === length ? buffer : buffer.subarray(0, bytesRead));
+    });
+  }
+
+  _destroy(err, callback) {
+    this.task.readers--;
+    this.task.removeListener('progress', this._onTaskEvent);
+    this.task.removeListener('finish', this._onTaskEvent);
+    this.task.removeListener('failed', this._onTaskEvent);
+    this.task.removeListener('restart', this._onTaskRestart);
+    if (this.fd === null) {
+      callback(err);
+      return;
+    }
+    fs.close(this.fd, () => callback(err));
+  }
+}
+
+module.exports = DownloadTask;
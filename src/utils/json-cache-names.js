@@ -0,0 +1,52 @@
+/**
+ * File names of JSON cache entries, shared by the cache and offline bundles
+ * Entries are stored as `json-cache/<namespace>/<encoded key>.json`.
+ */
+
+const crypto = require('crypto');
+
+// Valid namespace names
+const JSON_CACHE_NAMESPACE = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Longest JSON cache file name (without extension) before the key is shortened and hashed
+const MAX_JSON_KEY_LENGTH = 120;
+
+// "<namespace>/<file>" of an entry, as named by jsonCacheFileName()
+const JSON_CACHE_FILE = /^[a-z0-9][a-z0-9_-]*\/(?:[a-z0-9_~-]|%[0-9A-F]{2})+\.json$/;
+
+/**
+ * File name of a JSON cache entry
+ * Keys are encoded byte by byte (everything but [a-z0-9_-] becomes %XX), so distinct
+ * keys never share a file, even on case-insensitive file systems. Long keys are
+ * shortened and made unique with a hash.
+ * @param {string} key - Cache key
+ * @returns {string} - e.g., "pkg%3Aravemanager.json"
+ */
+function jsonCacheFileName(key) {
+  let name = '';
+  for (const byte of Buffer.from(String(key), 'utf8')) {
+    const char = String.fromCharCode(byte);
+    name += /[a-z0-9_-]/.test(char) ? char : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  }
+  if (name.length > MAX_JSON_KEY_LENGTH) {
+    const hash = crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 16);
+    // Don't cut an escape in half
+    name = `${name.slice(0, MAX_JSON_KEY_LENGTH - 17).replace(/%[0-9A-F]?$/, '')}~${hash}`;
+  }
+  return `${name}.json`;
+}
+
+/**
+ * Check whether a path names a JSON cache entry
+ * @param {string} relativePath - Path relative to the JSON cache ("<namespace>/<file>")
+ * @returns {boolean}
+ */
+function isJsonCacheFile(relativePath) {
+  return JSON_CACHE_FILE.test(relativePath);
+}
+
+module.exports = {
+  JSON_CACHE_NAMESPACE,
+  jsonCacheFileName,
+  isJsonCacheFile
+};
@@ -0,0 +1,144 @@
+// Default remote for app-data
+const DEFAULT_MIRROR = 'https://rave.wiki/rave-wasm';
+
+// Number of most recent files remembered per mirror for the status API
+const MAX_RECENT_FILES = 50;
+
+/**
+ * Ordered list of remote base URLs serving app-data
+ * Mirrors are tried in configuration order; a mirror that keeps failing is marked
+ * unhealthy and skipped for the rest of the session (unless every mirror is unhealthy).
+ * Records which mirror served each file for the status API.
+ */
+class MirrorPool {
+  /**
+   * @param {string|string[]} baseUrls - Base URL(s), e.g. "https://rave.wiki/rave-wasm"
+   */
+  constructor(baseUrls) {
+    const urls = (Array.isArray(baseUrls) ? baseUrls : [baseUrls])
+      .filter(url => typeof url === 'string' && url.trim() !== '')
+      .map(url => url.trim().replace(/\/+$/, ''));
+    if (urls.length === 0) {
+      urls.push(DEFAULT_MIRROR);
+    }
+
+    this.mirrors = Array.from(new Set(urls)).map(url => ({
+      url,
+      healthy: true,
+      filesServed: 0,
+      bytesServed: 0,
+      failures: 0,
+      lastError: null,
+      lastFailureAt: null,
+      recentFiles: [] // Most recent first
+    }));
+    this.servedBy = new Map(); // relativePath -> mirror URL
+  }
+
+  /**
+   * Base URL of the preferred mirror
+   * @returns {string}
+   */
+  get primary() {
+    return this.mirrors[0].url;
+  }
+
+  /**
+   * Mirrors to try, in order: healthy ones first, unhealthy ones as a last resort
+   * @returns {string[]}
+   */
+  getOrder() {
+    const healthy = this.mirrors.filter(mirror => mirror.healthy);
+    const unhealthy = this.mirrors.filter(mirror => !mirror.healthy);
+    return healthy.concat(unhealthy).map(mirror => mirror.url);
+  }
+
+  /**
+   * Build the URL of an app-data file on a mirror
+   * @param {string} baseUrl - Mirror base URL
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {string}
+   */
+  resolve(baseUrl, relativePath) {
+    return `${baseUrl}/app-data/${relativePath.split('\\').join('/')}`;
+  }
+
+  /**
+   * Record that a mirror served a file
+   * @param {string} baseUrl - Mirror base URL
+   * @param {string} relativePath - Path relative to app-data
+   * @param {number} bytes - Bytes transferred
+   */
+  recordSuccess(baseUrl, relativePath, bytes = 0) {
+    const mirror = this._find(baseUrl);
+    if (!mirror) return;
+
+    if (!mirror.healthy) {
+      console.log(`Mirror ${baseUrl} is responding again`);
+      mirror.healthy = true;
+    }
+    mirror.filesServed++;
+    mirror.bytesServed += bytes || 0;
+    mirror.recentFiles.unshift(relativePath);
+    mirror.recentFiles.length = Math.min(mirror.recentFiles.length, MAX_RECENT_FILES);
+    this.servedBy.set(relativePath, baseUrl);
+  }
+
+  /**
+   * Record a failure; the mirror is skipped for the rest of the session
+   * @param {string} baseUrl - Mirror base URL
+   * @param {Error} err - The failure
+   */
+  recordFailure(baseUrl, err) {
+    const mirror = this._find(baseUrl);
+    if (!mirror) return;
+
+    mirror.failures++;
+    mirror.lastError = err.message;
+    mirror.lastFailureAt = Date.now();
+    if (mirror.healthy && this.mirrors.length > 1) {
+      console.warn(`Mirror ${baseUrl} marked unhealthy: ${err.message}`);
+    }
+    mirror.healthy = false;
+  }
+
+  /**
+   * Mirror that served a file in this session
+   * @param {string} relativePath - Path relative to app-data
+   * @returns {string|null}
+   */
+  getServedBy(relativePath) {
+    return this.servedBy.get(relativePath) || null;
+  }
+
+  /**
+   * Status of every mirror (safe to send over IPC)
+   * @returns {object[]}
+   */
+  getStatus() {
+    return this.mirrors.map((mirror, index) => ({
+      url: mirror.url,
+      priority: index,
+      healthy: mirror.healthy,
+      filesServed: mirror.filesServed,
+      bytesServed: mirror.bytesServed,
+      failures: mirror.failures,
+      lastError: mirror.lastError,
+      lastFailureAt: mirror.lastFailureAt,
+      recentFiles: mirror.recentFiles.slice()
+    }));
+  }
+
+  /**
+   * Find a mirror by base URL
+   * @param {string} baseUrl - Mirror base URL
+   * @returns {object|undefined}
+   */
+  _find(baseUrl) {
+    return this.mirrors.find(mirror => mirror.url === baseUrl);
+  }
+}
+
+MirrorPool.DEFAULT_MIRROR = DEFAULT_MIRROR;
+
+module.exports = MirrorPool;
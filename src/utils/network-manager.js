@@ -0,0 +1,438 @@
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Network Manager for main-process downloads
+ * Resolves proxies (HTTPS_PROXY / HTTP_PROXY / NO_PROXY, or the "network" config),
+ * trusts an extra CA bundle (e.g., an institutional TLS-inspection CA), and applies
+ * per-host trust instead of a global certificate bypass.
+ *
+ * config.json:
+ *   "network": {
+ *     "proxy": "http://proxy.example.edu:3128",      // or { "http": "...", "https": "..." }
+ *     "noProxy": "localhost,.example.edu",
+ *     "caBundle": "/path/to/institution-ca.pem",
+ *     "trustedHosts": {
+ *       "mirror.example.edu": { "ca": "/path/to/mirror-ca.pem" },
+ *       "10.0.0.5": { "allowInsecure": true }
+ *     }
+ *   }
+ */
+class NetworkManager {
+  constructor() {
+    this.proxy = { http: null, https: null };
+    this.noProxy = [];
+    this.extraCAs = []; // PEM strings from the CA bundle
+    this.trustedHosts = new Map(); // hostname -> { ca: string[]|null, allowInsecure: boolean }
+    this.caBundlePath = null; // Combined bundle written for child processes
+    this.tunnelAgents = new Map(); // "proxy|host" -> https.Agent
+  }
+
+  /**
+   * Load settings from the environment and the "network" config entry
+   * @param {ConfigManager} [configManager] - Config manager (optional)
+   */
+  init(configManager = null) {
+    const config = (configManager && configManager.get('network')) || {};
+    const env = process.env;
+
+    const proxy = config.proxy;
+    if (typeof proxy === 'string') {
+      this.proxy = { http: proxy, https: proxy };
+    } else if (proxy && typeof proxy === 'object') {
+      this.proxy = { http: proxy.http || null, https: proxy.https || proxy.http || null };
+    } else {
+      this.proxy = {
+        http: env.HTTP_PROXY || env.http_proxy || null,
+        https: env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || null
+      };
+    }
+
+    const noProxy = config.noProxy !== undefined ? config.noProxy : (env.NO_PROXY || env.no_proxy || '');
+    this.noProxy = (Array.isArray(noProxy) ? noProxy : String(noProxy).split(','))
+      .map(entry => entry.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.extraCAs = [];
+    const caBundle = config.caBundle || env.RAVE_EXTRA_CA_CERTS || null;
+    if (caBundle) {
+      this.extraCAs = this._readPemFile(caBundle);
+      console.log(`Loaded ${this.extraCAs.length} extra CA certificate(s) from ${caBundle}`);
+    }
+
+    this.trustedHosts.clear();
+    for (const [host, trust] of Object.entries(config.trustedHosts || {})) {
+      this.trustedHosts.set(host.toLowerCase(), {
+        ca: trust.ca ? this._readPemFile(trust.ca) : null,
+        allowInsecure: trust.allowInsecure === true
+      });
+    }
+
+    this.caBundlePath = null;
+    for (const agent of this.tunnelAgents.values()) {
+      agent.destroy();
+    }
+    this.tunnelAgents.clear();
+
+    if (this.proxy.http || this.proxy.https) {
+      console.log(`Proxy: http=${this._redact(this.proxy.http)} https=${this._redact(this.proxy.https)}` +
+        (this.noProxy.length ? ` (bypass: ${this.noProxy.join(',')})` : ''));
+    }
+  }
+
+  /**
+   * Read the certificates of a PEM file
+   * @param {string} filePath - Path to a PEM file
+   * @returns {string[]} - PEM certificates (empty if the file cannot be read)
+   */
+  _readPemFile(filePath) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      return content.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+    } catch (err) {
+      console.error(`Failed to read CA bundle ${filePath}:`, err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Hide credentials of a proxy URL for logging
+   * @param {string|null} proxyUrl - Proxy URL
+   * @returns {string}
+   */
+  _redact(proxyUrl) {
+    return proxyUrl ? proxyUrl.replace(/\/\/[^@/]*@/, '//***@') : 'none';
+  }
+
+  /**
+   * Check whether a host is excluded from proxying by NO_PROXY
+   * Entries match the host and its subdomains (".example.edu" or "example.edu"), "*" matches everything.
+   * @param {string} hostname - Target host
+   * @param {number|string} port - Target port
+   * @returns {boolean}
+   */
+  _bypassProxy(hostname, port) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    return this.noProxy.some(entry => {
+      if (entry === '*') return true;
+      const [entryHost, entryPort] = entry.split(/:(?=\d+$)/);
+      if (entryPort && String(port) !== entryPort) return false;
+      const suffix = entryHost.replace(/^\*?\./, '');
+      return host === suffix || host.endsWith(`.${suffix}`);
+    });
+  }
+
+  /**
+   * Proxy to use for a URL
+   * @param {string} url - Target URL
+   * @returns {URL|null} - Proxy URL, or null for a direct connection
+   */
+  getProxyForUrl(url) {
+    const target = new URL(url);
+    const isHttps = target.protocol === 'https:';
+    const proxy = isHttps ? this.proxy.https : this.proxy.http;
+    const port = target.port || (isHttps ? 443 : 80);
+    if (!proxy || this._bypassProxy(target.hostname, port)) {
+      return null;
+    }
+    return new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+  }
+
+  /**
+   * TLS options for connecting to a host (extra CAs and per-host trust)
+   * @param {string} hostname - Target host
+   * @returns {Object} - Options for tls.connect / https.request
+   */
+  getTlsOptions(hostname) {
+    const trust = this.trustedHosts.get(hostname.toLowerCase());
+    const options = {};
+    if (trust && trust.allowInsecure) {
+      options.rejectUnauthorized = false;
+    }
+    const extra = this.extraCAs.concat(trust && trust.ca ? trust.ca : []);
+    if (extra.length > 0) {
+      options.ca = tls.rootCertificates.concat(extra);
+    }
+    return options;
+  }
+
+  /**
+   * Issue a GET request honoring proxy and TLS settings (same signature as https.get)
+   * @param {string} url - URL to request
+   * @param {Object} options - Request options (e.g., headers)
+   * @param {Function} callback - Response callback
+   * @returns {http.ClientRequest}
+   */
+  get(url, options, callback) {
+    const target = new URL(url);
+    const isHttps = target.protocol === 'https:';
+    const proxy = this.getProxyForUrl(url);
+    const headers = { ...(options.headers || {}) };
+
+    if (!proxy) {
+      const protocol = isHttps ? https : http;
+      return protocol.get(url, { ...options, headers, ...(isHttps ? this.getTlsOptions(target.hostname) : {}) }, callback);
+    }
+
+    if (!isHttps) {
+      // Plain HTTP goes to the proxy with the absolute URL as the request target
+      if (proxy.username) {
+        headers['Proxy-Authorization'] = this._proxyAuthorization(proxy);
+      }
+      const proxyIsHttps = proxy.protocol === 'https:';
+      return (proxyIsHttps ? https : http).get({
+        ...options,
+        ...(proxyIsHttps ? this.getTlsOptions(proxy.hostname) : {}),
+        host: proxy.hostname,
+        port: proxy.port || (proxyIsHttps ? 443 : 80),
+        path: target.href,
+        headers: { ...headers, Host: target.host }
+      }, callback);
+    }
+
+    // HTTPS is tunneled through the proxy with CONNECT
+    return https.get(url, { ...options, headers, agent: this._getTunnelAgent(proxy, target.hostname) }, callback);
+  }
+
+  /**
+   * Value of the Proxy-Authorization header for a proxy URL with credentials
+   * @param {URL} proxy - Proxy URL
+   * @returns {string}
+   */
+  _proxyAuthorization(proxy) {
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  /**
+   * Agent that opens HTTPS connections through a CONNECT tunnel
+   * @param {URL} proxy - Proxy URL
+   * @param {string} hostname - Target host (for TLS trust settings)
+   * @returns {https.Agent}
+   */
+  _getTunnelAgent(proxy, hostname) {
+    const key = `${proxy.href}|${hostname}`;
+    if (this.tunnelAgents.has(key)) {
+      return this.tunnelAgents.get(key);
+    }
+
+    const manager = this;
+    const tlsOptions = this.getTlsOptions(hostname);
+    const agent = new https.Agent({ keepAlive: true, ...tlsOptions });
+    agent.createConnection = function (options, callback) {
+      const connectHeaders = { Host: `${options.host}:${options.port}` };
+      if (proxy.username) {
+        connectHeaders['Proxy-Authorization'] = manager._proxyAuthorization(proxy);
+      }
+      const connectRequest = (proxy.protocol === 'https:' ? https : http).request({
+        host: proxy.hostname,
+        port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+        method: 'CONNECT',
+        path: `${options.host}:${options.port}`,
+        headers: connectHeaders
+      });
+      connectRequest.once('connect', (res, socket) => {
+        if (res.statusCode !== 200) {
+          socket.destroy();
+          callback(new Error(`Proxy CONNECT to ${options.host}:${options.port} failed: HTTP ${res.statusCode}`));
+          return;
+        }
+        const secureSocket = tls.connect({
+          ...options,
+          ...tlsOptions,
+          socket,
+          servername: options.servername || options.host
+        });
+        callback(null, secureSocket);
+      });
+      connectRequest.once('error', callback);
+      connectRequest.end();
+    };
+
+    this.tunnelAgents.set(key, agent);
+    return agent;
+  }
+
+  /**
+   * Check whether Chromium may accept a certificate it rejected
+   * Allowed when the host is configured with "allowInsecure", or when the certificate
+   * chain contains one of the configured CAs (extra bundle or the host's own CA) and
+   * every certificate up to it is within its validity period.
+   * @param {string} url - URL that failed verification
+   * @param {Electron.Certificate} certificate - Certificate presented by the server
+   * @returns {boolean}
+   */
+  isCertificateTrusted(url, certificate) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (err) {
+      return false;
+    }
+    const trust = this.trustedHosts.get(hostname);
+    if (trust && trust.allowInsecure) {
+      return true;
+    }
+
+    const trustedFingerprints = new Set(
+      this.extraCAs.concat(trust && trust.ca ? trust.ca : []).map(pem => this._fingerprint(pem))
+    );
+    if (trustedFingerprints.size === 0) {
+      return false;
+    }
+
+    // Walk the presented chain; any configured CA in it means the institution vouches for it
+    const chain = [];
+    for (let cert = certificate; cert && chain.length < 10; cert = cert.issuerCert) {
+      chain.push(cert);
+    }
+    const leaf = chain[0] && this._x509(chain[0].data);
+    if (!leaf || !leaf.checkHost(hostname)) {
+      return false;
+    }
+    for (let i = 0; i < chain.length; i++) {
+      const cert = this._x509(chain[i].data);
+      if (!cert) return false;
+      // Each link must be signed by the next one
+      const issuer = i + 1 < chain.length ? this._x509(chain[i + 1].data) : null;
+      if (issuer && !cert.verify(issuer.publicKey)) return false;
+      if (!this._isWithinValidity(cert)) return false;
+      if (trustedFingerprints.has(cert.fingerprint256)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check that the current time lies between a certificate's validFrom and validTo dates
+   * @param {crypto.X509Certificate} cert - Certificate
+   * @returns {boolean}
+   */
+  _isWithinValidity(cert) {
+    const now = Date.now();
+    const validFrom = Date.parse(cert.validFrom);
+    const validTo = Date.parse(cert.validTo);
+    return !Number.isNaN(validFrom) && !Number.isNaN(validTo) && validFrom <= now && now <= validTo;
+  }
+
+  /**
+   * Parse a PEM certificate
+   * @param {string} pem - PEM certificate
+   * @returns {crypto.X509Certificate|null}
+   */
+  _x509(pem) {
+    try {
+      return new crypto.X509Certificate(pem);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * SHA-256 fingerprint of a PEM certificate
+   * @param {string} pem - PEM certificate
+   * @returns {string|null}
+   */
+  _fingerprint(pem) {
+    const cert = this._x509(pem);
+    return cert ? cert.fingerprint256 : null;
+  }
+
+  /**
+   * Proxy settings for an Electron session (only when configured explicitly)
+   * The rules carry no credentials; an authenticating proxy gets them from
+   * getProxyCredentials() on the app's 'login' event.
+   * @returns {Object|null} - Config for session.setProxy(), or null to keep the system settings
+   */
+  getSessionProxyConfig() {
+    if (!this.proxy.http && !this.proxy.https) {
+      return null;
+    }
+    const rules = [];
+    if (this.proxy.http) rules.push(`http=${new URL(this.proxy.http.includes('://') ? this.proxy.http : `http://${this.proxy.http}`).host}`);
+    if (this.proxy.https) rules.push(`https=${new URL(this.proxy.https.includes('://') ? this.proxy.https : `http://${this.proxy.https}`).host}`);
+    return {
+      proxyRules: rules.join(';'),
+      proxyBypassRules: ['<local>'].concat(this.noProxy).join(',')
+    };
+  }
+
+  /**
+   * Credentials of the configured proxy at a host and port, for its authentication challenge
+   * @param {string} host - Proxy host (from Electron's AuthInfo)
+   * @param {number} port - Proxy port
+   * @returns {{username: string, password: string}|null} - Null if no configured proxy there has credentials
+   */
+  getProxyCredentials(host, port) {
+    const challengeHost = String(host).toLowerCase().replace(/^\[|\]$/g, '');
+    for (const proxyUrl of [this.proxy.http, this.proxy.https]) {
+      if (!proxyUrl) continue;
+      const proxy = new URL(proxyUrl.includes('://') ? proxyUrl : `http://${proxyUrl}`);
+      const proxyPort = Number(proxy.port || (proxy.protocol === 'https:' ? 443 : 80));
+      if (proxy.username && proxy.hostname.toLowerCase().replace(/^\[|\]$/g, '') === challengeHost &&
+        proxyPort === Number(port)) {
+        return { username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Environment variables for child processes (installer steps, R)
+   * Exports the proxy settings and, when extra CAs are configured, a combined CA bundle
+   * for curl / R / pip / node.
+   * @param {string} [bundleDir] - Directory for the combined CA bundle
+   * @returns {Object}
+   */
+  getChildEnv(bundleDir = null) {
+    const env = {};
+    if (this.proxy.http) {
+      env.HTTP_PROXY = env.http_proxy = this.proxy.http;
+    }
+    if (this.proxy.https) {
+      env.HTTPS_PROXY = env.https_proxy = this.proxy.https;
+    }
+    if (this.noProxy.length > 0) {
+      env.NO_PROXY = env.no_proxy = this.noProxy.join(',');
+    }
+
+    if (this.extraCAs.length > 0 && bundleDir) {
+      const bundlePath = this._writeCombinedBundle(bundleDir);
+      if (bundlePath) {
+        env.CURL_CA_BUNDLE = bundlePath;
+        env.SSL_CERT_FILE = bundlePath;
+        env.REQUESTS_CA_BUNDLE = bundlePath;
+        env.NODE_EXTRA_CA_CERTS = bundlePath;
+      }
+    }
+    return env;
+  }
+
+  /**
+   * Write the system roots plus the extra CAs into one PEM file
+   * @param {string} bundleDir - Directory for the bundle
+   * @returns {string|null} - Path to the bundle
+   */
+  _writeCombinedBundle(bundleDir) {
+    if (this.caBundlePath && fs.existsSync(this.caBundlePath)) {
+      return this.caBundlePath;
+    }
+    try {
+      fs.mkdirSync(bundleDir, { recursive: true });
+      const bundlePath = path.join(bundleDir, 'ca-bundle.pem');
+      fs.writeFileSync(bundlePath, tls.rootCertificates.concat(this.extraCAs).join('\n') + '\n');
+      this.caBundlePath = bundlePath;
+      return bundlePath;
+    } catch (err) {
+      console.error('Failed to write combined CA bundle:', err.message);
+      return null;
+    }
+  }
+}
+
+module.exports = NetworkManager;
@@ -0,0 +1,451 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { TarWriter, TarReader, safeEntryName } = require('./tar-archive');
+const { compareVersions } = require('./version-utils');
+const { isJsonCacheFile } = require('./json-cache-names');
+
+// Identifies offline bundles (first entry of the archive)
+const BUNDLE_INDEX = 'bundle.json';
+const BUNDLE_FORMAT = 'rave-wasm-offline-bundle';
+const BUNDLE_VERSION = 1;
+
+// Top-level folders of a bundle that are imported into the cache
+const BUNDLE_ROOTS = ['app-data', 'json-cache'];
+
+// Minimum interval between progress callbacks
+const PROGRESS_INTERVAL = 250;
+
+/**
+ * Offline bundles: cached app-data moved to machines without internet access
+ * A bundle is a plain tar archive holding `bundle.json` (what it contains), then
+ * `app-data/` (catalog, manifests, then their cached files) and `json-cache/`.
+ * Imported files are checked against their manifest digests before they enter the cache.
+ */
+class OfflineBundle {
+  /**
+   * @param {CacheManager} cacheManager - Cache to export from / import into
+   */
+  constructor(cacheManager) {
+    this.cacheManager = cacheManager;
+  }
+
+  /**
+   * Export cached manifests (and the JSON cache) into one archive
+   * Only files that are in the cache are exported; the bundle lists how many are missing.
+   * @param {string} destPath - Archive to create
+   * @param {object} [options]
+   * @param {string[]|null} [options.manifests=null] - Catalog keys or names; null for every manifest with cached files
+   * @param {boolean} [options.includeJsonCache=true] - Also export the JSON cache
+   * @param {function} [options.onProgress] - ({ phase, doneBytes, totalBytes, file }) => void
+   * @returns {Promise<object>} - { path, manifests: [{ key, name, version, files, bytes, missing }], files, bytes, jsonCache }
+   */
+  async exportBundle(destPath, { manifests = null, includeJsonCache = true, onProgress = null } = {}) {
+    const cache = this.cacheManager;
+    const known = cache._listKnownManifests();
+    let selected;
+    if (manifests) {
+      selected = manifests.map(name => {
+        const manifest = known.find(item => cache._matchesManifest(item, name));
+        if (!manifest) {
+          throw new Error(`Manifest not found: ${name}`);
+        }
+        return manifest;
+      });
+    } else {
+      selected = known.filter(manifest => (manifest.files || [])
+        .some(file => cache.isFileCached(path.posix.join(manifest.path, file.path))));
+    }
+
+    // Decide the content up front, so the index can describe it and progress has a total
+    const entries = [];
+    const summaries = [];
+    for (const manifest of selected) {
+      const summary = { key: manifest.path, name: manifest.name, version: manifest.version || null, files: 0, bytes: 0, missing: 0 };
+      for (const file of manifest.files || []) {
+        const relativePath = path.posix.join(manifest.path, file.path);
+        try {
+          const stats = fs.statSync(cache.getCachedFilePath(relativePath));
+          entries.push({ relativePath, size: stats.size });
+          summary.files++;
+          summary.bytes += stats.size;
+        } catch (err) {
+          summary.missing++;
+        }
+      }
+      summaries.push({ ...summary, manifest: this._manifestFileOf(manifest) });
+    }
+    const jsonCacheFiles = includeJsonCache ? this._listJsonCache() : [];
+
+    const index = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      createdAt: new Date().toISOString(),
+      manifests: summaries,
+      files: entries.length,
+      bytes: entries.reduce((total, entry) => total + entry.size, 0),
+      jsonCache: jsonCacheFiles
+    };
+
+    const progress = this._progress('export', index.bytes, onProgress);
+    const tmpPath = `${destPath}.partial`;
+    const writer = new TarWriter(tmpPath);
+    await writer.open();
+    try {
+      await writer.addBuffer(BUNDLE_INDEX, JSON.stringify(index, null, 2));
+
+      const catalogPath = cache.getCachedFilePath('catalog.json');
+      if (fs.existsSync(catalogPath)) {
+        await writer.addFile('app-data/catalog.json', catalogPath);
+      }
+      for (const [i, manifest] of selected.entries()) {
+        await writer.addBuffer(`app-data/${summaries[i].manifest}`, JSON.stringify(manifest, null, 2));
+      }
+      for (const entry of entries) {
+        await writer.addFile(`app-data/${entry.relativePath}`, cache.getCachedFilePath(entry.relativePath),
+          bytes => progress(bytes, entry.relativePath));
+      }
+      for (const file of jsonCacheFiles) {
+        await writer.addFile(`json-cache/${file}`, path.join(cache.getJsonCacheDir(), file));
+      }
+      await writer.close();
+      await fs.promises.rename(tmpPath, destPath);
+    } catch (err) {
+      await writer.abort();
+      throw err;
+    }
+    progress.done();
+
+    console.log(`Exported offline bundle ${destPath}: ${summaries.length} manifest(s), ` +
+      `${index.files} file(s), ${(index.bytes / 1024 ** 2).toFixed(1)} MB`);
+    return {
+      path: destPath,
+      manifests: summaries,
+      files: index.files,
+      bytes: index.bytes,
+      jsonCache: jsonCacheFiles.length
+    };
+  }
+
+  /**
+   * Import an offline bundle into the cache
+   * Every file is checked against the digest of its manifest (the bundled one, or the
+   * local one if that is newer); files that do not match are skipped. Bundled manifests
+   * and the catalog replace local copies unless those are newer.
+   * @param {string} srcPath - Archive to import
+   * @param {object} [options]
+   * @param {function} [options.onProgress] - ({ phase, doneBytes, totalBytes, file }) => void
+   * @returns {Promise<object>} - { manifests: [{ key, name, version, applied }], imported, existing,
+   *   unverified, bytes, skipped: [{ path, reason }], jsonCache }
+   */
+  async importBundle(srcPath, { onProgress = null } = {}) {
+    const cache = this.cacheManager;
+    const reader = new TarReader(srcPath);
+    await reader.open();
+
+    const result = { manifests: [], imported: 0, existing: 0, unverified: 0, bytes: 0, skipped: [], jsonCache: 0 };
+    const expected = new Map(); // relativePath -> { digest, size, algo } of the manifest in effect
+    const manifestUpdates = []; // Bundled manifests newer than the local ones, applied at the end
+    let catalogContent = null;
+    let index = null;
+    let progress = null;
+
+    try {
+      for await (const entry of reader.entries()) {
+        if (!index) {
+          index = this._readIndex(entry, await reader.read(entry), srcPath);
+          const freeBytes = await cache.getFreeDiskSpace();
+          if (freeBytes !== null && freeBytes < index.bytes) {
+            const err = new Error(`Not enough disk space to import ${path.basename(srcPath)}: ` +
+              `needs ${Math.ceil(index.bytes / 1024 ** 2)} MB, ${Math.ceil(freeBytes / 1024 ** 2)} MB free`);
+            err.code = 'ENOSPC';
+            throw err;
+          }
+          progress = this._progress('import', index.bytes, onProgress);
+          continue;
+        }
+        if (entry.type !== 'file') {
+          continue;
+        }
+
+        const name = safeEntryName(entry.name, BUNDLE_ROOTS);
+        if (!name) {
+          result.skipped.push({ path: entry.name, reason: 'invalid path' });
+          continue;
+        }
+
+        if (name.startsWith('json-cache/')) {
+          const file = name.slice('json-cache/'.length);
+          if (!isJsonCacheFile(file)) {
+            result.skipped.push({ path: entry.name, reason: 'invalid path' });
+            continue;
+          }
+          const content = await reader.read(entry);
+          let data;
+          try {
+            data = JSON.parse(content);
+          } catch (err) {
+            result.skipped.push({ path: entry.name, reason: 'invalid JSON' });
+            continue;
+          }
+          // Expired, or written by another app version
+          if (cache._isJsonCacheEntryStale(data)) {
+            result.skipped.push({ path: entry.name, reason: 'outdated JSON cache entry' });
+            continue;
+          }
+          const filePath = path.join(cache.getJsonCacheDir(), file);
+          fs.mkdirSync(path.dirname(filePath), { recursive: true });
+          cache._writeFileAtomic(filePath, content);
+          result.jsonCache++;
+          continue;
+        }
+
+        const relativePath = name.slice('app-data/'.length);
+        if (relativePath === 'catalog.json') {
+          catalogContent = (await reader.read(entry)).toString('utf8');
+          continue;
+        }
+
+        const listed = index.manifests.find(item => item.manifest === relativePath);
+        if (listed) {
+          const content = (await reader.read(entry)).toString('utf8');
+          this._addManifest(relativePath, content, expected, manifestUpdates, result);
+          continue;
+        }
+
+        const file = expected.get(relativePath);
+        if (!file) {
+          result.skipped.push({ path: relativePath, reason: 'not listed in a manifest of the bundle' });
+          progress(entry.size, relativePath);
+          continue;
+        }
+        await this._importFile(reader, entry, relativePath, file, result);
+        progress(entry.size, relativePath);
+      }
+      if (!index) {
+        throw new Error(`Not an offline bundle (empty archive): ${srcPath}`);
+      }
+    } finally {
+      await reader.close();
+    }
+
+    for (const update of manifestUpdates) {
+      cache.replaceManifest(update.manifestPath, update.manifest, update.content, update.previous);
+    }
+    if (catalogContent) {
+      this._importCatalog(catalogContent);
+    }
+    progress.done();
+
+    console.log(`Imported offline bundle ${srcPath}: ${result.imported} file(s) imported, ` +
+      `${result.existing} already cached, ${result.skipped.length} skipped`);
+    return result;
+  }
+
+  /**
+   * Parse and check the index entry of a bundle
+   * @param {object} entry - First archive entry
+   * @param {Buffer} content - Its data
+   * @param {string} srcPath - Archive path (for messages)
+   * @returns {object}
+   */
+  _readIndex(entry, content, srcPath) {
+    let index = null;
+    if (entry.name === BUNDLE_INDEX) {
+      try {
+        index = JSON.parse(content.toString('utf8'));
+      } catch (err) {
+        // Reported below
+      }
+    }
+    if (!index || index.format !== BUNDLE_FORMAT) {
+      throw new Error(`Not an offline bundle: ${srcPath}`);
+    }
+    if (index.version > BUNDLE_VERSION) {
+      throw new Error(`Offline bundle version ${index.version} is not supported (update RAVE Widgets)`);
+    }
+    index.manifests = Array.isArray(index.manifests) ? index.manifests : [];
+    index.bytes = index.bytes || 0;
+    return index;
+  }
+
+  /**
+   * Take in a bundled manifest: record the digests its files are checked against
+   * @param {string} manifestPath - Manifest path relative to app-data
+   * @param {string} content - Bundled manifest content
+   * @param {Map} expected - relativePath -> { digest, size, algo }
+   * @param {object[]} manifestUpdates - Manifests to write once all files are imported
+   * @param {object} result - Import result
+   */
+  _addManifest(manifestPath, content, expected, manifestUpdates, result) {
+    const cache = this.cacheManager;
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch (err) {
+      result.skipped.push({ path: manifestPath, reason: 'invalid JSON' });
+      return;
+    }
+    if (!manifest || !manifest.path || !Array.isArray(manifest.files) || !safeEntryName(`app-data/${manifest.path}`, BUNDLE_ROOTS)) {
+      result.skipped.push({ path: manifestPath, reason: 'invalid manifest' });
+      return;
+    }
+
+    // A newer local version wins; only bundled files matching it are imported
+    const local = cache._readLocalManifest(manifestPath);
+    const useBundled = !local || compareVersions(local.version, manifest.version) <= 0;
+    const effective = useBundled ? manifest : local;
+    for (const file of effective.files || []) {
+      expected.set(path.posix.join(effective.path, file.path), {
+        digest: file.digest || null,
+        size: file.size,
+        algo: file.digest ? effective.digest_algo || null : null
+      });
+    }
+    if (useBundled && (!local || local.digest !== manifest.digest || !manifest.digest)) {
+      manifestUpdates.push({ manifestPath, manifest, content, previous: local });
+    }
+    result.manifests.push({
+      key: manifest.path,
+      name: manifest.name,
+      version: manifest.version || null,
+      applied: useBundled
+    });
+  }
+
+  /**
+   * Copy one file out of the bundle into the cache, checking its digest on the way
+   * @param {TarReader} reader - The open bundle
+   * @param {object} entry - Archive entry
+   * @param {string} relativePath - Path relative to app-data
+   * @param {object} file - Expected { digest, size, algo }
+   * @param {object} result - Import result
+   * @returns {Promise<void>}
+   */
+  async _importFile(reader, entry, relativePath, file, result) {
+    const cache = this.cacheManager;
+    if (typeof file.size === 'number' && entry.size !== file.size) {
+      result.skipped.push({ path: relativePath, reason: `size ${entry.size} != ${file.size}` });
+      return;
+    }
+    const verifiable = file.digest && crypto.getHashes().includes(file.algo);
+
+    // Already cached and intact
+    if (verifiable && cache.isFileCached(relativePath) &&
+        (await cache.verifyFile(relativePath, null, file)).status === 'ok') {
+      cache.touchFile(relativePath);
+      result.existing++;
+      return;
+    }
+
+    const tmpPath = `${cache.getCachedFilePath(relativePath)}.${process.pid}.import`;
+    fs.mkdirSync(path.dirname(tmpPath), { recursive: true });
+    const hash = verifiable ? crypto.createHash(file.algo) : null;
+    const source = reader.createReadStream(entry);
+    if (hash) {
+      source.on('data', chunk => hash.update(chunk));
+    }
+    try {
+      await pipeline(source, fs.createWriteStream(tmpPath));
+    } catch (err) {
+      fs.rmSync(tmpPath, { force: true });
+      throw err;
+    }
+
+    if (hash) {
+      const actual = hash.digest('hex');
+      if (actual.toLowerCase() !== String(file.digest).toLowerCase()) {
+        fs.rmSync(tmpPath, { force: true });
+        result.skipped.push({ path: relativePath, reason: `digest mismatch (expected ${file.digest}, got ${actual})` });
+        return;
+      }
+    } else {
+      result.unverified++;
+    }
+
+    await cache.abortDownload(relativePath, { discard: true });
+    cache.adoptFile(relativePath, tmpPath);
+    result.imported++;
+    result.bytes += entry.size;
+  }
+
+  /**
+   * Replace the cached catalog with the bundled one unless the local catalog is newer
+   * @param {string} content - Bundled catalog.json
+   */
+  _importCatalog(content) {
+    const cache = this.cacheManager;
+    let catalog;
+    try {
+      catalog = JSON.parse(content);
+    } catch (err) {
+      console.warn('Ignoring invalid catalog.json in offline bundle');
+      return;
+    }
+    const local = cache._readJsonFile(cache.getCachedFilePath('catalog.json'));
+    if (!local || compareVersions(local.version, catalog.version) <= 0) {
+      cache.replaceCatalog(content);
+    }
+  }
+
+  /**
+   * Manifest path of a manifest, as listed in the catalog
+   * @param {object} manifest - The manifest object
+   * @returns {string}
+   */
+  _manifestFileOf(manifest) {
+    return `${manifest.path}_manifest.json`;
+  }
+
+  /**
+   * List the JSON cache files of every namespace
+   * @returns {string[]} - Paths relative to the JSON cache ("<namespace>/<file>")
+   */
+  _listJsonCache() {
+    const cache = this.cacheManager;
+    const files = [];
+    for (const namespace of cache.getJsonCacheNamespaces()) {
+      try {
+        for (const file of fs.readdirSync(cache.getJsonCacheDir(namespace))) {
+          if (isJsonCacheFile(`${namespace}/${file}`)) {
+            files.push(`${namespace}/${file}`);
+          }
+        }
+      } catch (err) {
+        // Removed meanwhile
+      }
+    }
+    return files.sort();
+  }
+
+  /**
+   * Build a throttled progress reporter
+   * @param {string} phase - 'export' or 'import'
+   * @param {number} totalBytes - Total bytes of the operation
+   * @param {function|null} onProgress - Callback
+   * @returns {function} - (bytes, file) => void, with a done() method for the final report
+   */
+  _progress(phase, totalBytes, onProgress) {
+    let doneBytes = 0;
+    let lastEmit = 0;
+    let lastFile = null;
+    const report = (bytes, file) => {
+      doneBytes += bytes;
+      lastFile = file;
+      const now = Date.now();
+      if (onProgress && now - lastEmit >= PROGRESS_INTERVAL) {
+        lastEmit = now;
+        onProgress({ phase, doneBytes, totalBytes, file });
+      }
+    };
+    report.done = () => {
+      if (onProgress) {
+        onProgress({ phase, doneBytes: totalBytes, totalBytes, file: lastFile, complete: true });
+      }
+    };
+    return report;
+  }
+}
+
+module.exports = OfflineBundle;
@@ -63,6 +63,16 @@ class PortManager {
     throw new Error(`No available ports in range ${this.startPort}-${this.endPort}`);
   }
 
+  /**
+   * Mark a port taken by another part of the app (e.g., the local server) as used,
+   * so it is never allocated
+   * @param {number} port - Port number to reserve
+   */
+  reservePort(port) {
+    this.usedPorts.add(port);
+    this.availablePorts = this.availablePorts.filter(p => p !== port);
+  }
+
   /**
    * Release a port back to the pool for reuse
    * @param {number} port - Port number to release
@@ -0,0 +1,427 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+
+// Size of tar headers and the unit file data is padded to
+const BLOCK_SIZE = 512;
+
+// Chunk size used when copying files into an archive
+const COPY_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Write a NUL-terminated octal number into a header field
+ * Numbers too large for the field (e.g., sizes of 8 GB and more) are written in base-256 (GNU extension)
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @param {number} value - Number to write
+ */
+function writeNumber(header, offset, length, value) {
+  const octal = Math.floor(value).toString(8);
+  if (octal.length < length) {
+    header.write(octal.padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+    return;
+  }
+  header[offset] = 0x80;
+  let remaining = BigInt(Math.floor(value));
+  for (let i = offset + length - 1; i > offset; i--) {
+    header[i] = Number(remaining & 0xffn);
+    remaining >>= 8n;
+  }
+}
+
+/**
+ * Read a number from a header field (octal, or base-256)
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number}
+ */
+function readNumber(header, offset, length) {
+  if (header[offset] & 0x80) {
+    let value = BigInt(header[offset] & 0x7f);
+    for (let i = offset + 1; i < offset + length; i++) {
+      value = (value << 8n) | BigInt(header[i]);
+    }
+    return Number(value);
+  }
+  const text = readString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Read a NUL-terminated string from a header field
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string}
+ */
+function readString(header, offset, length) {
+  const end = header.indexOf(0, offset);
+  return header.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+/**
+ * Sum of the header bytes, with the checksum field counted as spaces
+ * @param {Buffer} header - Header block
+ * @returns {number}
+ */
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+/**
+ * Build one ustar header block
+ * @param {object} fields - { name, prefix, size, mtime, type }
+ * @returns {Buffer}
+ */
+function buildHeader({ name, prefix = '', size, mtime, type = '0' }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  writeNumber(header, 100, 8, 0o644);
+  writeNumber(header, 108, 8, 0);
+  writeNumber(header, 116, 8, 0);
+  writeNumber(header, 124, 12, size);
+  writeNumber(header, 136, 12, Math.floor(mtime.getTime() / 1000));
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+  header.write(checksum(header).toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * Split a path into the ustar name (100 bytes) and prefix (155 bytes) fields
+ * @param {string} name - Entry path
+ * @returns {{name: string, prefix: string}|null} - Null if the path does not fit
+ */
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) {
+    return { name, prefix: '' };
+  }
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+      return { name: rest, prefix };
+    }
+  }
+  return null;
+}
+
+/**
+ * Padding needed after `size` bytes of file data
+ * @param {number} size - Data size
+ * @returns {number}
+ */
+function paddingOf(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+/**
+ * Normalize an archive entry name and check that it stays below one of the given top-level folders
+ * Backslashes count as separators; empty, "." and ".." segments are rejected.
+ * @param {string} name - Entry name
+ * @param {string[]} roots - Allowed first path segments, e.g. ['app-data']
+ * @returns {string|null} - Normalized name, or null if rejected
+ */
+function safeEntryName(name, roots) {
+  const normalized = String(name).split('\\').join('/').replace(/^\.\//, '');
+  const segments = normalized.split('/');
+  if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    return null;
+  }
+  if (segments.length < 2 || !roots.includes(segments[0])) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Minimal writer of (uncompressed, POSIX ustar) tar archives
+ * Paths that do not fit the ustar header are stored with a PAX extended header,
+ * so the archives can also be listed and extracted with the `tar` command.
+ */
+class TarWriter {
+  /**
+   * @param {string} filePath - Archive to create (overwritten)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.handle = null;
+    this.position = 0;
+  }
+
+  /**
+   * Create the archive file
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.handle = await fs.promises.open(this.filePath, 'w');
+    this.position = 0;
+  }
+
+  /**
+   * Add a file from memory
+   * @param {string} name - Entry path (forward slashes)
+   * @param {Buffer|string} content - File content
+   * @param {Date} [mtime] - Modification time
+   * @returns {Promise<void>}
+   */
+  async addBuffer(name, content, mtime = new Date()) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    await this._writeHeader(name, buffer.length, mtime);
+    await this._write(buffer);
+    await this._write(Buffer.alloc(paddingOf(buffer.length)));
+  }
+
+  /**
+   * Add a file from disk
+   * @param {string} name - Entry path (forward slashes)
+   * @param {string} sourcePath - File to copy into the archive
+   * @param {function} [onData] - Called with the number of bytes copied after every chunk
+   * @returns {Promise<number>} - Size of the file
+   */
+  async addFile(name, sourcePath, onData = null) {
+    const source = await fs.promises.open(sourcePath, 'r');
+    try {
+      const stats = await source.stat();
+      await this._writeHeader(name, stats.size, stats.mtime);
+
+      const chunk = Buffer.alloc(Math.min(COPY_CHUNK_SIZE, Math.max(stats.size, 1)));
+      let copied = 0;
+      while (copied < stats.size) {
+        const { bytesRead } = await source.read(chunk, 0, Math.min(chunk.length, stats.size - copied), copied);
+        if (bytesRead === 0) {
+          throw new Error(`File shrank while archiving: ${sourcePath}`);
+        }
+        await this._write(chunk, bytesRead);
+        copied += bytesRead;
+        if (onData) {
+          onData(bytesRead);
+        }
+      }
+      await this._write(Buffer.alloc(paddingOf(stats.size)));
+      return stats.size;
+    } finally {
+      await source.close();
+    }
+  }
+
+  /**
+   * Write the end-of-archive marker and close the file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this._write(Buffer.alloc(BLOCK_SIZE * 2));
+    await this.handle.close();
+    this.handle = null;
+  }
+
+  /**
+   * Close and delete an unfinished archive
+   * @returns {Promise<void>}
+   */
+  async abort() {
+    if (this.handle) {
+      await this.handle.close().catch(() => {});
+      this.handle = null;
+    }
+    await fs.promises.rm(this.filePath, { force: true });
+  }
+
+  /**
+   * Write the header of an entry (preceded by a PAX header for long paths)
+   * @param {string} name - Entry path
+   * @param {number} size - Data size
+   * @param {Date} mtime - Modification time
+   * @returns {Promise<void>}
+   */
+  async _writeHeader(name, size, mtime) {
+    let fields = splitName(name);
+    if (!fields) {
+      // "<length> path=<name>\n", where the length includes its own digits
+      const body = ` path=${name}\n`;
+      const bodyLength = Buffer.byteLength(body);
+      let length = bodyLength + 1;
+      while (String(length).length + bodyLength !== length) {
+        length = String(length).length + bodyLength;
+      }
+      const record = Buffer.from(`${length}${body}`);
+      await this._write(buildHeader({ name: 'PaxHeader', size: record.length, mtime, type: 'x' }));
+      await this._write(record);
+      await this._write(Buffer.alloc(paddingOf(record.length)));
+      fields = { name: name.slice(-100).replace(/^[^/]*\//, ''), prefix: '' };
+    }
+    await this._write(buildHeader({ ...fields, size, mtime }));
+  }
+
+  /**
+   * Append bytes to the archive
+   * @param {Buffer} buffer - Data
+   * @param {number} [length] - Number of bytes of the buffer to write
+   * @returns {Promise<void>}
+   */
+  async _write(buffer, length = buffer.length) {
+    let written = 0;
+    while (written < length) {
+      const { bytesWritten } = await this.handle.write(buffer, written, length - written, this.position);
+      written += bytesWritten;
+      this.position += bytesWritten;
+    }
+  }
+}
+
+/**
+ * Reader of tar archives written by TarWriter (or any ustar / PAX archive)
+ * Entries are listed from their headers; their data is read on demand.
+ */
+class TarReader {
+  /**
+   * @param {string} filePath - Archive to read
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.handle = null;
+    this.size = 0;
+  }
+
+  /**
+   * Open the archive
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.handle = await fs.promises.open(this.filePath, 'r');
+    this.size = (await this.handle.stat()).size;
+  }
+
+  /**
+   * Close the archive
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+
+  /**
+   * Iterate over the entries of the archive
+   * @yields {{name: string, type: string, size: number, mtime: Date, offset: number}}
+   *   type is 'file', 'directory', or 'other'; offset is where the data starts
+   * @throws {Error} - If a header is corrupt or the archive is truncated
+   */
+  async *entries() {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    let position = 0;
+    let paxPath = null;
+
+    for (;;) {
+      const { bytesRead } = await this.handle.read(header, 0, BLOCK_SIZE, position);
+      if (bytesRead === 0) {
+        return; // Missing end-of-archive marker; tolerated like tar does
+      }
+      if (bytesRead < BLOCK_SIZE) {
+        throw new Error(`Truncated archive: ${this.filePath}`);
+      }
+      if (header.every(byte => byte === 0)) {
+        return;
+      }
+      if (readNumber(header, 148, 8) !== checksum(header)) {
+        throw new Error(`Corrupt archive header at byte ${position}: ${this.filePath}`);
+      }
+
+      const size = readNumber(header, 124, 12);
+      const typeflag = String.fromCharCode(header[156] || 0x30);
+      const offset = position + BLOCK_SIZE;
+      position = offset + size + paddingOf(size);
+
+      if (typeflag === 'x') {
+        paxPath = this._parsePax(await this.read({ offset, size })).path || null;
+        continue;
+      }
+      if (typeflag === 'g') {
+        continue;
+      }
+
+      const prefix = header.toString('ascii', 257, 262) === 'ustar' ? readString(header, 345, 155) : '';
+      const name = readString(header, 0, 100);
+      const entry = {
+        name: paxPath || (prefix ? `${prefix}/${name}` : name),
+        type: typeflag === '0' || typeflag === '\0' ? 'file' : typeflag === '5' ? 'directory' : 'other',
+        size,
+        mtime: new Date(readNumber(header, 136, 12) * 1000),
+        offset
+      };
+      paxPath = null;
+
+      if (entry.offset + entry.size > this.size) {
+        throw new Error(`Truncated archive (${entry.name}): ${this.filePath}`);
+      }
+      yield entry;
+    }
+  }
+
+  /**
+   * Read the data of an entry into memory
+   * @param {object} entry - Entry from entries()
+   * @returns {Promise<Buffer>}
+   */
+  async read(entry) {
+    const buffer = Buffer.alloc(entry.size);
+    let read = 0;
+    while (read < entry.size) {
+      const { bytesRead } = await this.handle.read(buffer, read, entry.size - read, entry.offset + read);
+      if (bytesRead === 0) {
+        throw new Error(`Truncated archive: ${this.filePath}`);
+      }
+      read += bytesRead;
+    }
+    return buffer;
+  }
+
+  /**
+   * Stream the data of an entry
+   * @param {object} entry - Entry from entries()
+   * @returns {Readable}
+   */
+  createReadStream(entry) {
+    if (entry.size === 0) {
+      return Readable.from([]);
+    }
+    return fs.createReadStream(this.filePath, {
+      start: entry.offset,
+      end: entry.offset + entry.size - 1
+    });
+  }
+
+  /**
+   * Parse the records of a PAX extended header
+   * @param {Buffer} data - Header data
+   * @returns {Object<string, string>}
+   */
+  _parsePax(data) {
+    const records = {};
+    let position = 0;
+    while (position < data.length) {
+      const space = data.indexOf(0x20, position);
+      if (space === -1) break;
+      const length = parseInt(data.toString('ascii', position, space), 10);
+      if (!length) break;
+      const record = data.toString('utf8', space + 1, position + length - 1);
+      const equals = record.indexOf('=');
+      if (equals !== -1) {
+        records[record.slice(0, equals)] = record.slice(equals + 1);
+      }
+      position += length;
+    }
+    return records;
+  }
+}
+
+module.exports = { TarWriter, TarReader, safeEntryName };
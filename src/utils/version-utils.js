@@ -0,0 +1,17 @@
+/**
+ * Version helpers shared by the cache and offline bundles
+ */
+
+/**
+ * Compare two manifest or catalog versions (e.g., "2025.01.31"); a missing version sorts first
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {number} - Negative if a is older, 0 if equal, positive if a is newer
+ */
+function compareVersions(a, b) {
+  return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true });
+}
+
+module.exports = {
+  compareVersions
+};
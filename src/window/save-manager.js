@@ -0,0 +1,214 @@
+const { BrowserWindow, dialog } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+// Folder key used when a caller doesn't name one
+const DEFAULT_FOLDER_KEY = 'default';
+
+/**
+ * Save Manager for writing app outputs to the native file system
+ * Handles saves requested over IPC (window.electron.files.save) and browser downloads of the
+ * app windows (will-download), starting both in the folder last used for the same kind of
+ * file. Remembered folders are kept in config.json under "saveFolders".
+ */
+class SaveManager {
+  /**
+   * @param {ConfigManager} configManager - Configuration storage for remembered folders
+   */
+  constructor(configManager) {
+    this.configManager = configManager;
+    this.sessions = new WeakSet(); // Sessions with a will-download handler
+    this.nextDownloadId = 1;
+  }
+
+  /**
+   * Get the remembered folder for a kind of file
+   * @param {string} [folderKey] - Folder key (e.g., "viewer-exports")
+   * @returns {string|null} - Existing folder, or null
+   */
+  getFolder(folderKey = DEFAULT_FOLDER_KEY) {
+    const folders = this.configManager.get('saveFolders', {});
+    const folder = folders[folderKey] || folders[DEFAULT_FOLDER_KEY];
+    return folder && fs.existsSync(folder) ? folder : null;
+  }
+
+  /**
+   * Remember the folder a file was saved to
+   * @param {string} folderKey - Folder key
+   * @param {string} folder - Folder path
+   */
+  async _rememberFolder(folderKey, folder) {
+    const folders = { ...this.configManager.get('saveFolders', {}) };
+    folders[folderKey] = folder;
+    folders[DEFAULT_FOLDER_KEY] = folder;
+    this.configManager.set('saveFolders', folders);
+    await this.configManager.save().catch(() => {});
+  }
+
+  /**
+   * Save bytes or text to a user-chosen file
+   * @param {BrowserWindow|null} window - Parent window of the dialogs
+   * @param {object} options
+   * @param {string|ArrayBuffer|Uint8Array} options.data - Content to write
+   * @param {string} [options.encoding] - Encoding of string data ("utf8" or "base64"); default "utf8"
+   * @param {string} [options.filename] - Suggested file name
+   * @param {string} [options.title] - Dialog title
+   * @param {Array<{name: string, extensions: string[]}>} [options.filters] - Dialog file type filters
+   * @param {string} [options.folderKey] - Remembered folder to start in (and update)
+   * @param {boolean} [options.dialog=true] - Ask for the path; when false the file is written to
+   *   the remembered folder (asking before an existing file is replaced), or asks when none is remembered yet
+   * @returns {Promise<{path: string, size: number}|null>} - Null when the user cancelled
+   */
+  async saveFile(window, {
+    data,
+    encoding = 'utf8',
+    filename = 'untitled',
+    title = 'Save File',
+    filters = [],
+    folderKey = DEFAULT_FOLDER_KEY,
+    dialog: showDialog = true
+  } = {}) {
+    const content = this._toBuffer(data, encoding);
+    const name = path.basename(String(filename)) || 'untitled';
+    const folder = this.getFolder(folderKey);
+
+    let filePath = null;
+    if (!showDialog && folder) {
+      filePath = path.join(folder, name);
+      if (fs.existsSync(filePath)) {
+        const choice = await this._confirmOverwrite(window, filePath);
+        if (choice === 'cancel') {
+          return null;
+        }
+        if (choice === 'choose') {
+          filePath = null;
+        }
+      }
+    }
+
+    if (!filePath) {
+      const result = await dialog.showSaveDialog(window, {
+        title,
+        defaultPath: folder ? path.join(folder, name) : name,
+        filters,
+        properties: ['createDirectory', 'showOverwriteConfirmation']
+      });
+      if (result.canceled || !result.filePath) {
+        return null;
+      }
+      filePath = result.filePath;
+    }
+
+    // Write next to the target and rename, so a failed write never leaves a truncated file
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.promises.writeFile(tmpPath, content);
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (err) {
+      await fs.promises.rm(tmpPath, { force: true }).catch(() => {});
+      throw err;
+    }
+
+    await this._rememberFolder(folderKey, path.dirname(filePath));
+    console.log(`Saved ${content.length} bytes to ${filePath}`);
+    return { path: filePath, size: content.length };
+  }
+
+  /**
+   * Ask whether an existing file should be replaced
+   * @param {BrowserWindow|null} window - Parent window
+   * @param {string} filePath - Existing file
+   * @returns {Promise<string>} - "replace", "choose" (pick another location) or "cancel"
+   */
+  async _confirmOverwrite(window, filePath) {
+    const { response } = await dialog.showMessageBox(window, {
+      type: 'question',
+      buttons: ['Replace', 'Choose Another Location...', 'Cancel'],
+      defaultId: 1,
+      cancelId: 2,
+      message: `"${path.basename(filePath)}" already exists. Do you want to replace it?`,
+      detail: `A file with the same name already exists in ${path.dirname(filePath)}.`
+    });
+    return ['replace', 'choose', 'cancel'][response];
+  }
+
+  /**
+   * Convert IPC data to a Buffer
+   * @param {string|ArrayBuffer|Uint8Array} data - Content
+   * @param {string} encoding - Encoding of string content
+   * @returns {Buffer}
+   */
+  _toBuffer(data, encoding) {
+    if (typeof data === 'string') {
+      if (encoding !== 'utf8' && encoding !== 'base64') {
+        throw new Error(`Unsupported encoding: ${encoding}`);
+      }
+      return Buffer.from(data, encoding);
+    }
+    if (data instanceof ArrayBuffer) {
+      return Buffer.from(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+      return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    }
+    throw new Error('Nothing to save: data must be a string, ArrayBuffer or Uint8Array');
+  }
+
+  /**
+   * Manage browser downloads of a session: start the save dialog in the remembered folder
+   * and report progress to the page ('plugin:files:downloadProgress') and the taskbar
+   * @param {Electron.Session} sess - Session of the app windows
+   */
+  attachDownloadHandler(sess) {
+    if (this.sessions.has(sess)) {
+      return;
+    }
+    this.sessions.add(sess);
+
+    sess.on('will-download', (event, item, webContents) => {
+      const folderKey = 'downloads';
+      const folder = this.getFolder(folderKey);
+      item.setSaveDialogOptions({
+        title: 'Save Download',
+        defaultPath: folder ? path.join(folder, item.getFilename()) : item.getFilename(),
+        properties: ['createDirectory', 'showOverwriteConfirmation']
+      });
+
+      const id = this.nextDownloadId++;
+      const window = webContents ? BrowserWindow.fromWebContents(webContents) : null;
+      const report = (state, done = false) => {
+        const total = item.getTotalBytes();
+        const progress = {
+          id,
+          filename: item.getFilename(),
+          path: item.getSavePath() || null,
+          state, // progressing | interrupted | completed | cancelled
+          done, // False while the download may still continue (an interrupted one can resume)
+          receivedBytes: item.getReceivedBytes(),
+          totalBytes: total
+        };
+        if (window && !window.isDestroyed()) {
+          // -1 removes the taskbar progress, 2 shows an indeterminate one
+          window.setProgressBar(state !== 'progressing' ? -1 : (total > 0 ? progress.receivedBytes / total : 2));
+        }
+        if (webContents && !webContents.isDestroyed()) {
+          webContents.send('plugin:files:downloadProgress', progress);
+        }
+      };
+
+      item.on('updated', (e, state) => report(state));
+      item.once('done', (e, state) => {
+        report(state, true);
+        if (state === 'completed') {
+          console.log(`Download saved to ${item.getSavePath()}`);
+          this._rememberFolder(folderKey, path.dirname(item.getSavePath()));
+        } else if (state === 'interrupted') {
+          console.error(`Download of ${item.getFilename()} was interrupted`);
+        }
+      });
+      report('progressing');
+    });
+  }
+}
+
+module.exports = SaveManager;
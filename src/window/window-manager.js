@@ -81,9 +81,10 @@ class WindowManager {
    * @param {number} port - Server port
    * @param {string} sessionId - Session ID for this window
    * @param {string} type - Window type ('wasm' or 'r-shiny')
+   * @param {string} [urlPath='/'] - Path to load (R-Shiny sessions are proxied under /r-sessions/<token>/)
    * @returns {BrowserWindow} - The app window
    */
-  createAppWindow(basePath, port, sessionId, type = 'wasm') {
+  createAppWindow(basePath, port, sessionId, type = 'wasm', urlPath = '/') {
     const { width, height } = screen.getPrimaryDisplay().workAreaSize;
     const iconPath = this._findIconPath(basePath);
     
@@ -94,7 +95,7 @@ class WindowManager {
         preload: path.join(basePath, 'preload.js'),
         nodeIntegration: false,
         contextIsolation: true,
-        webSecurity: type === 'r-shiny' ? false : true, // Disable for R-Shiny to allow iframe navigation
+        webSecurity: true,
         allowRunningInsecureContent: false,
         partition: type === 'r-shiny' ? 'persist:rave' : 'persist:shinylive', // Separate partition for RAVE
         v8CacheOptions: 'none'
@@ -151,7 +152,7 @@ class WindowManager {
     }
 
     // Load the main app
-    appWindow.loadURL(`http://localhost:${port}`);
+    appWindow.loadURL(`http://localhost:${port}${urlPath}`);
 
     // Handle external links
     appWindow.webContents.setWindowOpenHandler(({ url }) => {
@@ -161,7 +162,8 @@ class WindowManager {
           width: width,
           height: height,
           webPreferences: {
-            webSecurity: false
+            // R-Shiny sessions are served from the app origin, so their popups keep web security
+            webSecurity: type === 'r-shiny'
           }
         }
       };
@@ -359,6 +361,20 @@ class WindowManager {
     return this.appWindows;
   }
 
+  /**
+   * Check whether web contents belong to a WASM app window
+   * @param {Electron.WebContents} webContents - Web contents to check
+   * @returns {boolean}
+   */
+  isWasmAppWindow(webContents) {
+    for (const { window, type } of this.appWindows.values()) {
+      if (type === 'wasm' && !window.isDestroyed() && window.webContents === webContents) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   /**
    * Close window by session ID
    * @param {string} sessionId - Session ID
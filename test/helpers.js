@@ -0,0 +1,44 @@
+/**
+ * Shared helpers for the test scripts
+ * check() prints one ✓/✗ line per check; run() wraps a test in the banner and the
+ * pass/fail summary and exits with 0 (all passed) or 1 (failure)
+ */
+
+let failures = 0;
+
+function check(label, condition, detail = '') {
+  if (condition) {
+    console.log(`✓ ${label}`);
+  } else {
+    failures++;
+    console.log(`✗ ${label}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+function run(title, test) {
+  console.log('='.repeat(60));
+  console.log(title);
+  console.log('='.repeat(60));
+
+  Promise.resolve()
+    .then(test)
+    .then(() => {
+      console.log();
+      console.log('='.repeat(60));
+      if (failures === 0) {
+        console.log('✓ All checks passed');
+        console.log('='.repeat(60));
+        process.exit(0);
+      } else {
+        console.log(`✗ ${failures} check(s) failed`);
+        console.log('='.repeat(60));
+        process.exit(1);
+      }
+    })
+    .catch(err => {
+      console.error('Error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { check, run };
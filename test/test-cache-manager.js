@@ -0,0 +1,317 @@
+/**
+ * Test script for the app-data cache manager
+ * Checks resumed downloads (Range / If-Range, Content-Range mismatch, 416 on a complete
+ * partial file), re-fetching after a digest mismatch, LRU eviction of deduplicated files
+ * and staged manifest updates against a local mirror server
+ *
+ * Usage: node test/test-cache-manager.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const { check, run } = require('./helpers.js');
+
+// The cache manager only needs app.getPath() from Electron: point it at a temporary directory
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'rave-cache-test-'));
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+  return request === 'electron' ? 'electron' : resolveFilename.call(this, request, ...args);
+};
+require.cache.electron = { id: 'electron', filename: 'electron', loaded: true, exports: { app: { getPath: () => tmpRoot } } };
+
+const CacheManager = require('../src/utils/cache-manager.js');
+const NetworkManager = require('../src/utils/network-manager.js');
+
+// Local mirror; `handler` is swapped per check, every request is recorded
+function startMirror() {
+  const mirror = { requests: [], handler: null };
+  mirror.server = http.createServer((req, res) => {
+    mirror.requests.push({ url: req.url, range: req.headers.range || null, ifRange: req.headers['if-range'] || null });
+    mirror.handler(req, res);
+  });
+  return new Promise(resolve => mirror.server.listen(0, '127.0.0.1', () => {
+    mirror.url = `http://127.0.0.1:${mirror.server.address().port}`;
+    resolve(mirror);
+  }));
+}
+
+// Serve files by URL, with Range and If-Range support like a static file server
+function serveFiles(files, etag = '"v1"') {
+  return (req, res) => {
+    const content = files[req.url];
+    if (content === undefined) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    const ifRange = req.headers['if-range'];
+    if (range && (!ifRange || ifRange === etag)) {
+      const start = parseInt(range[1], 10);
+      if (start >= content.length) {
+        res.writeHead(416, { 'Content-Range': `bytes */${content.length}` });
+        res.end();
+        return;
+      }
+      res.writeHead(206, {
+        ETag: etag,
+        'Content-Length': content.length - start,
+        'Content-Range': `bytes ${start}-${content.length - 1}/${content.length}`
+      });
+      res.end(content.subarray(start));
+      return;
+    }
+    res.writeHead(200, { ETag: etag, 'Content-Length': content.length });
+    res.end(content);
+  };
+}
+
+// CacheManager logs every download; keep the output to the checks
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Manifest JSON for files ({ name: Buffer }) of "<category>/<name>"
+function manifestContent(manifestPath, files, version = '1') {
+  return JSON.stringify({
+    name: path.posix.basename(manifestPath),
+    path: manifestPath,
+    version,
+    digest_algo: 'sha256',
+    files: Object.entries(files).map(([name, content]) => ({ path: name, size: content.length, digest: sha256(content) }))
+  });
+}
+
+// Write a cached file (or a partial download and its If-Range metadata)
+function writeCached(cm, relativePath, content) {
+  const filePath = cm.getCachedFilePath(relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+function readCached(cm, relativePath) {
+  try {
+    return fs.readFileSync(cm.getCachedFilePath(relativePath));
+  } catch (err) {
+    return null;
+  }
+}
+
+async function test() {
+  const mirror = await startMirror();
+  const network = new NetworkManager();
+  const cm = new CacheManager();
+
+  try {
+    await quietly(async () => {
+      // Never send the local mirror through a proxy of the environment
+      network.init({ get: () => ({ noProxy: '127.0.0.1' }) });
+      cm.init(mirror.url, network);
+      await cm.rebuildIndex();
+    });
+    cm.quota = 0; // No background eviction while files are downloaded
+
+    // 1. Resuming partial downloads
+    console.log('\n1. Resuming partial downloads...');
+    const file = 'models/a/data.bin';
+    const url = `/app-data/${file}`;
+    const content = Buffer.alloc(1000, 'abcdefghij');
+    const partialMeta = JSON.stringify({ url: `${mirror.url}${url}`, etag: '"v1"', lastModified: null, totalSize: 1000 });
+
+    writeCached(cm, `${file}.partial`, content.subarray(0, 400));
+    writeCached(cm, `${file}.partial.json`, partialMeta);
+    mirror.handler = serveFiles({ [url]: content });
+    mirror.requests = [];
+    await quietly(() => cm.downloadFile(file));
+    check('partial file resumed with a Range request', mirror.requests.length === 1 && mirror.requests[0].range === 'bytes=400-',
+      JSON.stringify(mirror.requests));
+    check('If-Range sends the saved entity tag', mirror.requests[0].ifRange === '"v1"');
+    check('resumed file is complete', content.equals(readCached(cm, file) || Buffer.alloc(0)));
+    check('partial file and its metadata are removed',
+      readCached(cm, `${file}.partial`) === null && readCached(cm, `${file}.partial.json`) === null);
+
+    fs.rmSync(cm.getCachedFilePath(file));
+    const changed = Buffer.alloc(1000, 'KLMNOPQRST');
+    writeCached(cm, `${file}.partial`, content.subarray(0, 400));
+    writeCached(cm, `${file}.partial.json`, partialMeta);
+    mirror.handler = serveFiles({ [url]: changed }, '"v2"');
+    mirror.requests = [];
+    await quietly(() => cm.downloadFile(file));
+    check('changed remote file is downloaded from zero', mirror.requests.length === 1 && changed.equals(readCached(cm, file) || Buffer.alloc(0)),
+      `${mirror.requests.length} requests`);
+
+    fs.rmSync(cm.getCachedFilePath(file));
+    writeCached(cm, `${file}.partial`, content.subarray(0, 400));
+    writeCached(cm, `${file}.partial.json`, partialMeta);
+    const serve = serveFiles({ [url]: content });
+    mirror.handler = (req, res) => {
+      if (mirror.requests.length > 1) {
+        serve(req, res);
+        return;
+      }
+      // Answers a range that does not start at the requested offset
+      res.writeHead(206, { 'Content-Length': content.length, 'Content-Range': `bytes 0-999/${content.length}` });
+      res.end(content);
+    };
+    mirror.requests = [];
+    await quietly(() => cm.downloadFile(file));
+    check('Content-Range mismatch restarts from zero',
+      mirror.requests.length === 2 && mirror.requests[1].range === null, JSON.stringify(mirror.requests));
+    check('restarted file is not corrupted', content.equals(readCached(cm, file) || Buffer.alloc(0)));
+
+    fs.rmSync(cm.getCachedFilePath(file));
+    writeCached(cm, `${file}.partial`, content);
+    writeCached(cm, `${file}.partial.json`, partialMeta);
+    mirror.handler = serveFiles({ [url]: content });
+    mirror.requests = [];
+    await quietly(() => cm.downloadFile(file));
+    check('416 on a complete partial file keeps it', mirror.requests.length === 1 && mirror.requests[0].range === 'bytes=1000-' &&
+      content.equals(readCached(cm, file) || Buffer.alloc(0)), JSON.stringify(mirror.requests));
+
+    // 2. Digest verification
+    console.log('\n2. Verifying downloads against the manifest digest...');
+    const good = Buffer.alloc(1000, 'good');
+    const other = Buffer.alloc(1000, 'other');
+    const corrupt = Buffer.alloc(1000, 'bad!');
+    writeCached(cm, 'models/b_manifest.json', manifestContent('models/b', { 'data.bin': good, 'other.bin': other }));
+
+    mirror.handler = (req, res) => serveFiles({ [req.url]: mirror.requests.length === 1 ? corrupt : good })(req, res);
+    mirror.requests = [];
+    await quietly(() => cm.downloadFile('models/b/data.bin'));
+    check('digest mismatch is fetched again from zero',
+      mirror.requests.length === 2 && mirror.requests[1].range === null, JSON.stringify(mirror.requests));
+    check('verified file is cached', good.equals(readCached(cm, 'models/b/data.bin') || Buffer.alloc(0)));
+
+    mirror.handler = (req, res) => serveFiles({ [req.url]: corrupt })(req, res);
+    mirror.requests = [];
+    const error = await quietly(() => cm.downloadFile('models/b/other.bin')).then(() => null, err => err);
+    check('persistent mismatch fails the download', error && /Digest mismatch/.test(error.message), error && error.message);
+    check('mismatching file is fetched twice at most', mirror.requests.length === 2, `${mirror.requests.length} requests`);
+    check('corrupt file never enters the cache',
+      readCached(cm, 'models/b/other.bin') === null && readCached(cm, 'models/b/other.bin.partial') === null);
+
+    // 3. LRU eviction
+    console.log('\n3. Evicting least recently used files...');
+    await quietly(() => cm.clearCache());
+    const shared = Buffer.alloc(1000, 'shared');
+    const own = Buffer.alloc(1000, 'own');
+    writeCached(cm, 'models/c_manifest.json', manifestContent('models/c', { 'shared.bin': shared }));
+    writeCached(cm, 'models/d_manifest.json', manifestContent('models/d', { 'shared.bin': shared }));
+    writeCached(cm, 'models/e_manifest.json', manifestContent('models/e', { 'own.bin': own }));
+    mirror.handler = serveFiles({ '/app-data/models/c/shared.bin': shared, '/app-data/models/e/own.bin': own });
+    mirror.requests = [];
+    await quietly(async () => {
+      await cm.downloadFile('models/c/shared.bin');
+      await cm.downloadFile('models/d/shared.bin');
+      await cm.downloadFile('models/e/own.bin');
+    });
+    const statsC = fs.statSync(cm.getCachedFilePath('models/c/shared.bin'));
+    const statsD = fs.statSync(cm.getCachedFilePath('models/d/shared.bin'));
+    check('same content is linked instead of downloaded', mirror.requests.length === 2 && statsC.ino === statsD.ino,
+      `${mirror.requests.length} requests`);
+    const stats = cm.getCacheStats();
+    check('shared content is counted once', stats.logicalSize - stats.savedBytes === stats.totalSize && stats.savedBytes === 1000,
+      JSON.stringify(stats));
+
+    // The shared file of "c" is the oldest, but "d" used the same content most recently
+    cm.accessIndex.touch('models/c/shared.bin', 1000, 1000);
+    cm.accessIndex.touch('models/e/own.bin', 1000, 2000);
+    cm.accessIndex.touch('models/d/shared.bin', 1000, 3000);
+    cm.manifestUse.clear();
+    cm.quota = 1999;
+    let plan = cm.getEvictionPlan();
+    check('files sharing a blob are as recent as their latest use',
+      plan.files.map(f => f.path).join(' ') === 'models/e/own.bin', plan.files.map(f => f.path).join(' '));
+
+    cm.quota = 500;
+    plan = cm.getEvictionPlan();
+    check('files sharing a blob are evicted together',
+      plan.files.map(f => f.path).join(' ') === 'models/e/own.bin models/c/shared.bin models/d/shared.bin',
+      plan.files.map(f => f.path).join(' '));
+    check('shared bytes are freed once', plan.bytes === 2000 && plan.satisfiable, `${plan.bytes} bytes`);
+
+    cm.manifestUse.set('models/d', Date.now());
+    plan = cm.getEvictionPlan();
+    check('blob in use by one manifest is kept for all', plan.files.length === 1 && !plan.satisfiable,
+      plan.files.map(f => f.path).join(' '));
+
+    cm.manifestUse.clear();
+    const blobPath = cm._blobPath(`sha256:${sha256(shared)}`);
+    const result = await quietly(() => cm.enforceQuota());
+    check('eviction removes the files and their blob', result.evicted === 3 && result.bytes === 2000 && !fs.existsSync(blobPath) &&
+      readCached(cm, 'models/c/shared.bin') === null, JSON.stringify(result));
+    cm.quota = 0;
+
+    writeCached(cm, 'catalog.json', JSON.stringify({ version: '1', categories: {} }));
+    await quietly(() => cm.rebuildIndex());
+    check('catalog and manifests are never evicted', !cm.accessIndex.get('catalog.json') &&
+      !cm.accessIndex.get('models/c_manifest.json') && cm.getCacheStats().fileCount === 4, JSON.stringify(cm.getCacheStats()));
+
+    // 4. Staged manifest updates
+    console.log('\n4. Updating a manifest through the staging directory...');
+    const v1 = { 'keep.bin': Buffer.alloc(100, 'keep'), 'change.bin': Buffer.alloc(100, 'old'), 'gone.bin': Buffer.alloc(100, 'gone') };
+    const v2 = { 'keep.bin': v1['keep.bin'], 'change.bin': Buffer.alloc(120, 'new'), 'new.bin': Buffer.alloc(50, 'added') };
+    writeCached(cm, 'models/u_manifest.json', manifestContent('models/u', v1, '1'));
+    for (const [name, data] of Object.entries(v1)) {
+      writeCached(cm, `models/u/${name}`, data);
+    }
+    const remoteFiles = {
+      '/app-data/models/u_manifest.json': Buffer.from(manifestContent('models/u', v2, '2')),
+      '/app-data/models/u/change.bin': v2['change.bin']
+    };
+    let oldVersionServed = null;
+    const serveRemote = serveFiles(remoteFiles);
+    mirror.handler = (req, res) => {
+      if (req.url === '/app-data/models/u/change.bin') {
+        oldVersionServed = v1['change.bin'].equals(readCached(cm, 'models/u/change.bin') || Buffer.alloc(0));
+      }
+      serveRemote(req, res);
+    };
+    mirror.requests = [];
+
+    const status = await quietly(() => cm.checkManifestUpdate('models/u'));
+    check('update found', !status.upToDate && status.changed === 1 && status.added === 1 && status.removed === 1 && status.downloadFiles === 2,
+      JSON.stringify(status));
+
+    const failed = await quietly(() => cm.updateManifest('models/u')).then(() => null, err => err);
+    const stagedPath = path.join(cm.stagingDir, 'models/u', '2', 'change.bin');
+    check('failed download aborts the update', failed && /incomplete/.test(failed.message), failed && failed.message);
+    check('previous version stays in use', oldVersionServed === true &&
+      v1['change.bin'].equals(readCached(cm, 'models/u/change.bin') || Buffer.alloc(0)) && readCached(cm, 'models/u/gone.bin') !== null &&
+      JSON.parse(readCached(cm, 'models/u_manifest.json')).version === '1');
+    check('completed files stay staged', v2['change.bin'].equals(fs.existsSync(stagedPath) ? fs.readFileSync(stagedPath) : Buffer.alloc(0)));
+
+    remoteFiles['/app-data/models/u/new.bin'] = v2['new.bin'];
+    const fetches = mirror.requests.filter(r => r.url === '/app-data/models/u/change.bin').length;
+    const updated = await quietly(() => cm.updateManifest('models/u'));
+    check('update applied', updated.updated && updated.fetchedFiles === 2 && updated.removedFiles === 1, JSON.stringify(updated));
+    check('staged file is not downloaded again', mirror.requests.filter(r => r.url === '/app-data/models/u/change.bin').length === fetches);
+    check('changed and new files swapped in', v2['change.bin'].equals(readCached(cm, 'models/u/change.bin') || Buffer.alloc(0)) &&
+      v2['new.bin'].equals(readCached(cm, 'models/u/new.bin') || Buffer.alloc(0)));
+    check('unchanged file kept, removed file deleted',
+      v1['keep.bin'].equals(readCached(cm, 'models/u/keep.bin') || Buffer.alloc(0)) && readCached(cm, 'models/u/gone.bin') === null);
+    check('new manifest written, staging removed',
+      JSON.parse(readCached(cm, 'models/u_manifest.json')).version === '2' && !fs.existsSync(path.join(cm.stagingDir, 'models/u')));
+    check('updated manifest is up to date', (await quietly(() => cm.checkManifestUpdate('models/u'))).upToDate);
+  } finally {
+    cm.saveIndex();
+    mirror.server.close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  }
+}
+
+run('Cache Manager Test', test);
@@ -0,0 +1,154 @@
+/**
+ * Test script for the prefetch download scheduler
+ * Checks download order, the concurrency limit and pause / resume / cancel with a fake cache manager
+ *
+ * Usage: node test/test-download-scheduler.js
+ */
+
+const { EventEmitter } = require('events');
+const DownloadScheduler = require('../src/utils/download-scheduler.js');
+const { check, run } = require('./helpers.js');
+
+// Cache manager whose downloads are finished by the test
+class FakeCacheManager {
+  constructor(cached = []) {
+    this.cached = new Set(cached);
+    this.started = []; // relativePaths in start order
+    this.downloads = new Map(); // relativePath -> { task, resolve, reject }
+    this.aborted = [];
+  }
+
+  isFileCached(relativePath) {
+    return this.cached.has(relativePath);
+  }
+
+  async ensureVerified() {
+    return true;
+  }
+
+  startDownload(relativePath) {
+    const task = new EventEmitter();
+    const download = { task };
+    task.promise = new Promise((resolve, reject) => {
+      download.resolve = resolve;
+      download.reject = reject;
+    });
+    this.started.push(relativePath);
+    this.downloads.set(relativePath, download);
+    return task;
+  }
+
+  async abortDownload(relativePath, { discard = false } = {}) {
+    this.aborted.push({ relativePath, discard });
+    this.downloads.get(relativePath).reject(Object.assign(new Error('Download aborted'), { aborted: true }));
+  }
+
+  finish(relativePath, size) {
+    const { task, resolve } = this.downloads.get(relativePath);
+    task.emit('progress', size);
+    resolve(relativePath);
+  }
+
+  fail(relativePath, message) {
+    this.downloads.get(relativePath).reject(new Error(message));
+  }
+}
+
+function manifest(name, count, size = 100) {
+  return {
+    name,
+    path: `${name}-1.0`,
+    version: '1.0',
+    files: Array.from({ length: count }, (_, i) => ({ path: `file${i}.js`, size }))
+  };
+}
+
+// Let the scheduler's promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function test() {
+  // 1. Ordering and concurrency
+  console.log('\n1. Scheduling downloads...');
+  let cache = new FakeCacheManager(['webr-1.0/file1.js']);
+  let scheduler = new DownloadScheduler(cache, { concurrency: 2 });
+  const webr = scheduler.enqueue(manifest('webr', 4));
+  const rave = scheduler.enqueue(manifest('rave', 2));
+  await settle();
+  check('cached files are not downloaded', !cache.started.includes('webr-1.0/file1.js'));
+  check('concurrency limit', cache.started.join(' ') === 'webr-1.0/file0.js webr-1.0/file2.js', cache.started.join(' '));
+  check('same manifest returns the running job', scheduler.enqueue(manifest('webr', 4)) === webr);
+
+  cache.finish('webr-1.0/file0.js', 100);
+  await settle();
+  check('queue order is kept', cache.started[2] === 'webr-1.0/file3.js', cache.started.join(' '));
+  cache.finish('webr-1.0/file2.js', 100);
+  cache.finish('webr-1.0/file3.js', 100);
+  await settle();
+  check('next job starts after the first', cache.started.slice(3).join(' ') === 'rave-1.0/file0.js rave-1.0/file1.js', cache.started.join(' '));
+
+  let snapshot = await webr.promise;
+  check('first job completes', snapshot.status === 'complete' && snapshot.completedFiles === 4, snapshot.status);
+  check('byte totals', snapshot.totalBytes === 400 && snapshot.receivedBytes === 400 && snapshot.eta === 0);
+
+  cache.finish('rave-1.0/file0.js', 100);
+  cache.fail('rave-1.0/file1.js', 'HTTP 500');
+  snapshot = await rave.promise;
+  check('failed file fails the job', snapshot.status === 'failed' && snapshot.failures[0].path === 'file1.js' &&
+    snapshot.failures[0].error === 'HTTP 500', JSON.stringify(snapshot.failures));
+
+  // Jobs are keyed by catalog key: names repeat across categories
+  scheduler = new DownloadScheduler(new FakeCacheManager(), { concurrency: 1 });
+  const models = scheduler.enqueue({ ...manifest('subject', 1), path: 'freesurfer-models/subject' });
+  const examples = scheduler.enqueue({ ...manifest('subject', 1), path: 'bids-examples/subject' });
+  check('same name in another category is its own job', models !== examples && examples.id === 'bids-examples/subject' &&
+    scheduler.getJobs().length === 2, examples.id);
+
+  // 2. Pause and resume
+  console.log('\n2. Pausing and resuming...');
+  cache = new FakeCacheManager();
+  scheduler = new DownloadScheduler(cache, { concurrency: 2 });
+  const paused = scheduler.enqueue(manifest('paused', 3));
+  const other = scheduler.enqueue(manifest('other', 1));
+  await settle();
+  await scheduler.pause('paused-1.0');
+  await settle();
+  check('pause stops in-flight downloads', cache.aborted.length === 2 && cache.aborted.every(entry => !entry.discard));
+  check('other jobs take the free slots', cache.started[2] === 'other-1.0/file0.js', cache.started.join(' '));
+  check('paused job reports its status', scheduler.getJob('paused-1.0').status === 'paused' && scheduler.getJob('paused-1.0').eta === null);
+
+  scheduler.resume('paused-1.0');
+  await settle();
+  cache.finish('other-1.0/file0.js', 100);
+  await settle();
+  const interrupted = ['paused-1.0/file0.js', 'paused-1.0/file1.js'];
+  check('interrupted files restart before queued ones',
+    cache.started.slice(3).sort().join(' ') === interrupted.join(' '), cache.started.join(' '));
+  for (const relativePath of interrupted) {
+    cache.finish(relativePath, 100);
+  }
+  await settle();
+  check('then the rest of the queue', cache.started[5] === 'paused-1.0/file2.js', cache.started.join(' '));
+  cache.finish('paused-1.0/file2.js', 100);
+  snapshot = await paused.promise;
+  check('resumed job completes', snapshot.status === 'complete' && snapshot.completedFiles === 3, snapshot.status);
+  check('other job completes', (await other.promise).status === 'complete');
+
+  // 3. Cancel
+  console.log('\n3. Cancelling...');
+  cache = new FakeCacheManager();
+  scheduler = new DownloadScheduler(cache, { concurrency: 1 });
+  const events = [];
+  scheduler.on('progress', ({ job }) => events.push(job.status));
+  const cancelled = scheduler.enqueue(manifest('cancelled', 3));
+  await settle();
+  await scheduler.cancel('cancelled-1.0');
+  snapshot = await cancelled.promise;
+  await settle();
+  check('cancel discards in-flight downloads', cache.aborted.length === 1 && cache.aborted[0].discard);
+  check('queued files are dropped', cache.started.length === 1, cache.started.join(' '));
+  check('job is cancelled', snapshot.status === 'cancelled' && snapshot.failedFiles === 0, snapshot.status);
+  check('progress events end with the final status', events[events.length - 1] === 'cancelled', events.join(' '));
+  check('no active manifests left', scheduler.getActiveManifestPaths().length === 0);
+}
+
+run('Download Scheduler Test', test);
@@ -0,0 +1,129 @@
+/**
+ * Test script for response compression in the static server
+ * Checks Accept-Encoding negotiation and brotli / gzip sidecar files
+ *
+ * Usage: node test/test-http-compression.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const {
+  ENCODINGS,
+  isCompressible,
+  negotiateEncoding,
+  compressFile,
+  compressBuffer,
+  encodedTag
+} = require('../src/plugins/static-server-plugin/http-compression.js');
+const { check, run } = require('./helpers.js');
+
+const body = Buffer.from('console.log("webR");\n'.repeat(500));
+
+function request(port, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port, path: '/app.js', headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+  });
+}
+
+function decode(encoding, buffer) {
+  if (encoding === 'br') return zlib.brotliDecompressSync(buffer);
+  if (encoding === 'gzip') return zlib.gunzipSync(buffer);
+  return buffer;
+}
+
+async function test() {
+  // 1. Negotiation
+  console.log('\n1. Negotiating Accept-Encoding...');
+  const cases = [
+    [undefined, null],
+    ['', null],
+    ['identity', null],
+    ['gzip, deflate', 'gzip'],
+    ['gzip, deflate, br', 'br'],
+    ['br;q=0.5, gzip', 'gzip'],
+    ['br;q=0, gzip;q=0', null],
+    ['*', 'br'],
+    ['*;q=0.5, br;q=0', 'gzip'],
+    ['GZIP', 'gzip'],
+    ['br;q=abc, gzip;q=0.1', 'gzip']
+  ];
+  for (const [header, expected] of cases) {
+    const actual = negotiateEncoding(header);
+    check(`${JSON.stringify(header)} -> ${expected}`, actual === expected, `got ${actual}`);
+  }
+
+  // 2. What gets compressed
+  console.log('\n2. Choosing compressible files...');
+  check('JavaScript is compressible', isCompressible('app.js', 'application/javascript', 4096));
+  check('WebAssembly is compressible', isCompressible('R.wasm', 'application/wasm', 4096));
+  check('small files are not', !isCompressible('app.js', 'application/javascript', 100));
+  check('compressed formats are not', !isCompressible('brain.mgz', 'text/plain', 4096));
+  check('images are not', !isCompressible('logo.png', 'image/png', 4096));
+  check('encoded entity tag', encodedTag('"abc-123"', 'br') === '"abc-123-br"', encodedTag('"abc-123"', 'br'));
+
+  // 3. Sidecars
+  console.log('\n3. Writing sidecar files...');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rave-compression-'));
+  const srcPath = path.join(tmpDir, 'app.js');
+  fs.writeFileSync(srcPath, body);
+
+  let server = null;
+  try {
+    for (const [encoding, extension] of Object.entries(ENCODINGS)) {
+      const sidecarPath = path.join(tmpDir, 'cache', `app.js${extension}`);
+      const result = await compressFile(srcPath, sidecarPath, encoding);
+      const encoded = fs.readFileSync(sidecarPath);
+      check(`${encoding} sidecar round-trips`, result === sidecarPath && decode(encoding, encoded).equals(body));
+      check(`${encoding} sidecar is smaller`, encoded.length < body.length, `${encoded.length} bytes`);
+
+      const buffer = await compressBuffer(body, encoding);
+      check(`${encoding} buffer round-trips`, decode(encoding, buffer).equals(body));
+    }
+    const leftovers = fs.readdirSync(path.join(tmpDir, 'cache')).filter(name => name.endsWith('.tmp'));
+    check('no temporary files left', leftovers.length === 0, leftovers.join(', '));
+
+    let failed = false;
+    try {
+      await compressFile(path.join(tmpDir, 'missing.js'), path.join(tmpDir, 'cache', 'missing.js.gz'), 'gzip');
+    } catch (err) {
+      failed = true;
+    }
+    check('missing source is rejected', failed && !fs.existsSync(path.join(tmpDir, 'cache', 'missing.js.gz')));
+
+    // 4. Serving the negotiated sidecar
+    console.log('\n4. Serving sidecars...');
+    server = http.createServer((req, res) => {
+      const encoding = negotiateEncoding(req.headers['accept-encoding']);
+      const headers = { 'Content-Type': 'application/javascript', 'Vary': 'Accept-Encoding' };
+      let filePath = srcPath;
+      if (encoding) {
+        headers['Content-Encoding'] = encoding;
+        filePath = path.join(tmpDir, 'cache', `app.js${ENCODINGS[encoding]}`);
+      }
+      res.writeHead(200, headers);
+      fs.createReadStream(filePath).pipe(res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const port = server.address().port;
+
+    for (const [header, expected] of [['br, gzip', 'br'], ['gzip', 'gzip'], [undefined, undefined]]) {
+      const res = await request(port, header ? { 'Accept-Encoding': header } : {});
+      check(`Accept-Encoding ${header || '(none)'} -> ${expected || 'identity'}`,
+        res.headers['content-encoding'] === expected && decode(expected, res.body).equals(body),
+        `got ${res.headers['content-encoding']}`);
+    }
+  } finally {
+    if (server) server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run('HTTP Compression Test', test);
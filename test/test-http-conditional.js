@@ -0,0 +1,97 @@
+/**
+ * Test script for conditional requests in the static server
+ * Checks entity tags, If-None-Match / If-Modified-Since evaluation and 304 responses
+ *
+ * Usage: node test/test-http-conditional.js
+ */
+
+const http = require('http');
+const {
+  statTag,
+  digestTag,
+  contentTag,
+  applyValidators,
+  isNotModified,
+  sendNotModified
+} = require('../src/plugins/static-server-plugin/http-conditional.js');
+const { check, run } = require('./helpers.js');
+
+const body = Buffer.from('<html>conditional</html>');
+const etag = contentTag(body);
+const lastModified = new Date('2025-01-01T00:00:00Z');
+
+function request(port, headers = {}, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path: '/', method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function test() {
+  // 1. Validators
+  console.log('\n1. Building validators...');
+  check('stat tag from size and mtime', statTag({ size: 255, mtimeMs: 4096.7 }) === '"ff-1000"', statTag({ size: 255, mtimeMs: 4096.7 }));
+  check('digest tag is quoted', digestTag('abc123') === '"abc123"');
+  check('digest tag drops quotes', digestTag('"abc"') === '"abc"');
+  check('content tag is stable', contentTag(body) === etag && etag !== contentTag('other'));
+  const headers = applyValidators({}, { etag, lastModified });
+  check('ETag and Last-Modified headers', headers['ETag'] === etag && headers['Last-Modified'] === lastModified.toUTCString());
+
+  // 2. Precondition evaluation
+  console.log('\n2. Evaluating preconditions...');
+  const req = (headers, method = 'GET') => ({ method, headers });
+  check('matching If-None-Match', isNotModified(req({ 'if-none-match': etag }), { etag }));
+  check('match in a list', isNotModified(req({ 'if-none-match': `"x", ${etag}` }), { etag }));
+  check('weak comparison', isNotModified(req({ 'if-none-match': `W/${etag}` }), { etag }));
+  check('wildcard', isNotModified(req({ 'if-none-match': '*' }), { etag }));
+  check('different tag', !isNotModified(req({ 'if-none-match': '"other"' }), { etag }));
+  check('no tag to compare', !isNotModified(req({ 'if-none-match': etag }), { lastModified }));
+  check('If-None-Match wins over If-Modified-Since', !isNotModified(req({
+    'if-none-match': '"other"',
+    'if-modified-since': new Date().toUTCString()
+  }), { etag, lastModified }));
+  check('If-Modified-Since at Last-Modified', isNotModified(req({ 'if-modified-since': lastModified.toUTCString() }), { lastModified }));
+  check('If-Modified-Since before Last-Modified', !isNotModified(req({ 'if-modified-since': new Date('2024-01-01').toUTCString() }), { lastModified }));
+  check('invalid If-Modified-Since ignored', !isNotModified(req({ 'if-modified-since': 'yesterday' }), { lastModified }));
+  check('only GET and HEAD', !isNotModified(req({ 'if-none-match': etag }, 'POST'), { etag }));
+
+  // 3. Responses
+  console.log('\n3. Serving responses...');
+  const server = http.createServer((req, res) => {
+    const validators = { etag, lastModified };
+    const headers = applyValidators({ 'Content-Type': 'text/html', 'Content-Length': body.length }, validators);
+    if (isNotModified(req, validators)) {
+      sendNotModified(res, headers);
+      return;
+    }
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+
+  try {
+    let res = await request(port);
+    check('full response is 200 with ETag', res.status === 200 && res.headers.etag === etag && res.body.equals(body), `status ${res.status}`);
+
+    res = await request(port, { 'If-None-Match': etag });
+    check('revalidation is 304', res.status === 304 && res.body.length === 0, `status ${res.status}`);
+    check('304 keeps the validators', res.headers.etag === etag && res.headers['last-modified'] === lastModified.toUTCString());
+    check('304 has no body headers', !res.headers['content-type'] && !res.headers['content-length']);
+
+    res = await request(port, { 'If-None-Match': '"stale"' });
+    check('changed entity is 200', res.status === 200 && res.body.equals(body), `status ${res.status}`);
+
+    res = await request(port, { 'If-Modified-Since': lastModified.toUTCString() }, 'HEAD');
+    check('HEAD revalidation is 304', res.status === 304, `status ${res.status}`);
+  } finally {
+    server.close();
+  }
+}
+
+run('HTTP Conditional Request Test', test);
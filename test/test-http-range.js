@@ -0,0 +1,84 @@
+/**
+ * Test script for HTTP Range support in the static server
+ * Checks Range header parsing and 200/206/416 responses from sendWithRanges()
+ *
+ * Usage: node test/test-http-range.js
+ */
+
+const http = require('http');
+const { Readable } = require('stream');
+const { parseRange, sendWithRanges } = require('../src/plugins/static-server-plugin/http-range.js');
+const { check, run } = require('./helpers.js');
+
+const body = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const lastModified = new Date('2025-01-01T00:00:00Z');
+
+function request(port, headers = {}, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path: '/', method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function test() {
+  // 1. Parser
+  console.log('\n1. Parsing Range headers...');
+  check('simple range', JSON.stringify(parseRange('bytes=0-9', 36)) === '[{"start":0,"end":9}]');
+  check('open-ended range', JSON.stringify(parseRange('bytes=30-', 36)) === '[{"start":30,"end":35}]');
+  check('suffix range', JSON.stringify(parseRange('bytes=-6', 36)) === '[{"start":30,"end":35}]');
+  check('end clamped to size', JSON.stringify(parseRange('bytes=30-100', 36)) === '[{"start":30,"end":35}]');
+  check('overlapping ranges merged', JSON.stringify(parseRange('bytes=0-5,3-9', 36)) === '[{"start":0,"end":9}]');
+  check('unsatisfiable range', parseRange('bytes=100-200', 36) === -1);
+  check('invalid range ignored', parseRange('bytes=9-0', 36) === null);
+  check('unknown unit ignored', parseRange('items=0-1', 36) === null);
+
+  // 2. Responses
+  console.log('\n2. Serving responses...');
+  const server = http.createServer((req, res) => {
+    sendWithRanges(req, res, {
+      size: body.length,
+      headers: { 'Content-Type': 'text/plain', 'Accept-Ranges': 'bytes' },
+      validators: { lastModified },
+      openStream: (start, end) => Readable.from([body.subarray(start, end + 1)])
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+
+  try {
+    let res = await request(port);
+    check('full response is 200', res.status === 200 && res.body.equals(body), `status ${res.status}`);
+
+    res = await request(port, { Range: 'bytes=10-15' });
+    check('single range is 206', res.status === 206 && res.body.toString() === 'abcdef', `status ${res.status}`);
+    check('Content-Range header', res.headers['content-range'] === `bytes 10-15/${body.length}`, res.headers['content-range']);
+
+    res = await request(port, { Range: 'bytes=0-1,34-35' });
+    const text = res.body.toString();
+    check('multi-range is multipart/byteranges', res.status === 206 &&
+      /^multipart\/byteranges; boundary=/.test(res.headers['content-type']), res.headers['content-type']);
+    check('multi-range body contains both parts', text.includes('bytes 0-1/36\r\n\r\n01') && text.includes('bytes 34-35/36\r\n\r\nyz'));
+    check('multi-range Content-Length matches body', parseInt(res.headers['content-length'], 10) === res.body.length);
+
+    res = await request(port, { Range: 'bytes=100-' });
+    check('unsatisfiable range is 416', res.status === 416 && res.headers['content-range'] === `bytes */${body.length}`, `status ${res.status}`);
+
+    res = await request(port, { Range: 'bytes=0-3', 'If-Range': lastModified.toUTCString() });
+    check('matching If-Range date is 206', res.status === 206, `status ${res.status}`);
+
+    res = await request(port, { Range: 'bytes=0-3', 'If-Range': new Date().toUTCString() });
+    check('stale If-Range date is 200', res.status === 200, `status ${res.status}`);
+
+    res = await request(port, { Range: 'bytes=0-3' }, 'HEAD');
+    check('HEAD range has no body', res.status === 206 && res.body.length === 0 && res.headers['content-length'] === '4');
+  } finally {
+    server.close();
+  }
+}
+
+run('HTTP Range Test', test);
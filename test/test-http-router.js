@@ -0,0 +1,100 @@
+/**
+ * Test script for the HTTP router of the static server
+ * Checks path pattern matching, parameter decoding and the error responses of the router
+ *
+ * Usage: node test/test-http-router.js
+ */
+
+const http = require('http');
+const { HttpError, HttpRouter } = require('../src/plugins/static-server-plugin/http-router.js');
+const { check, run } = require('./helpers.js');
+
+function request(port, urlPath, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path: urlPath, method }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function test() {
+  const echo = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(req.params));
+  };
+  const router = new HttpRouter()
+    .get('/api/cache/:name', echo)
+    .get('/api/apps/:id/files/:file', echo)
+    .get('/app-data/*', echo)
+    .get('/api/missing/:id', () => {
+      throw new HttpError(404, 'No such item');
+    });
+
+  const server = http.createServer((req, res) => router.handle(req, res, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('static');
+  }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+
+  const params = async (urlPath) => {
+    const res = await request(port, urlPath);
+    return res.status === 200 ? JSON.parse(res.body) : res.status;
+  };
+
+  try {
+    // 1. Named parameters
+    console.log('\n1. Matching named parameters...');
+    let result = await params('/api/cache/webr');
+    check('plain segment', result.name === 'webr', JSON.stringify(result));
+    result = await params('/api/cache/my%20app');
+    check('percent-encoded segment is decoded', result.name === 'my app', JSON.stringify(result));
+    result = await params('/api/cache/a%2Fb');
+    check('encoded slash stays in one segment', result.name === 'a/b', JSON.stringify(result));
+    result = await params('/api/cache/%E6%97%A5%E6%9C%AC');
+    check('UTF-8 segment is decoded', result.name === '日本', JSON.stringify(result));
+    result = await params('/api/apps/rave/files/main.R?download=1');
+    check('several parameters, query ignored', result.id === 'rave' && result.file === 'main.R', JSON.stringify(result));
+
+    // 2. Segments that do not match
+    console.log('\n2. Rejecting non-matching paths...');
+    let res = await request(port, '/api/cache/');
+    check('empty parameter does not match', res.status === 404 && JSON.parse(res.body).error === 'Not found', `status ${res.status}`);
+    res = await request(port, '/api/cache/webr/extra');
+    check('extra segment does not match', res.status === 404, `status ${res.status}`);
+
+    // 3. Wildcards
+    console.log('\n3. Matching wildcards...');
+    result = await params('/app-data/shinylive/assets/app%20one.js');
+    check('rest of the path is decoded', result['*'] === 'shinylive/assets/app one.js', JSON.stringify(result));
+    result = await params('/app-data/');
+    check('trailing slash gives an empty rest', result['*'] === '', JSON.stringify(result));
+    res = await request(port, '/app-data');
+    check('bare prefix falls through to static files', res.status === 200 && res.body === 'static', `status ${res.status}`);
+
+    // 4. Errors
+    console.log('\n4. Answering errors...');
+    res = await request(port, '/api/cache/%E0');
+    check('malformed escape on an API path is a JSON 400',
+      res.status === 400 && JSON.parse(res.body).error === 'Malformed URL', `status ${res.status}`);
+    res = await request(port, '/app-data/%E0%A4');
+    check('malformed escape elsewhere is a plain 400',
+      res.status === 400 && res.headers['content-type'].startsWith('text/plain'), `status ${res.status}`);
+    res = await request(port, '/api/cache/webr', 'POST');
+    check('wrong method is 405 with Allow', res.status === 405 && res.headers.allow === 'GET, HEAD', res.headers.allow);
+    res = await request(port, '/api/cache/webr', 'HEAD');
+    check('GET routes answer HEAD', res.status === 200 && res.body === '', `status ${res.status}`);
+    res = await request(port, '/api/missing/1');
+    check('HttpError sets the status', res.status === 404 && JSON.parse(res.body).error === 'No such item', `status ${res.status}`);
+    res = await request(port, '/index.html', 'DELETE');
+    check('static paths only accept GET and HEAD', res.status === 405 && res.headers.allow === 'GET, HEAD', `status ${res.status}`);
+  } finally {
+    server.close();
+  }
+}
+
+run('HTTP Router Test', test);
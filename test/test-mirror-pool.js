@@ -0,0 +1,145 @@
+/**
+ * Test script for the app-data mirror pool
+ * Checks mirror ordering, health tracking and failover between local mirror servers
+ *
+ * Usage: node test/test-mirror-pool.js
+ */
+
+const http = require('http');
+const MirrorPool = require('../src/utils/mirror-pool.js');
+const { check, run } = require('./helpers.js');
+
+// Local mirror answering every request with a fixed status
+function startMirror(status, files = {}) {
+  const mirror = { requests: [], status };
+  mirror.server = http.createServer((req, res) => {
+    mirror.requests.push(req.url);
+    const content = files[req.url];
+    if (mirror.status !== 200) {
+      res.writeHead(mirror.status);
+      res.end();
+    } else if (content === undefined) {
+      res.writeHead(404);
+      res.end();
+    } else {
+      res.writeHead(200, { 'Content-Length': Buffer.byteLength(content) });
+      res.end(content);
+    }
+  });
+  return new Promise(resolve => mirror.server.listen(0, '127.0.0.1', () => {
+    mirror.url = `http://127.0.0.1:${mirror.server.address().port}`;
+    resolve(mirror);
+  }));
+}
+
+function download(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          resolve(Buffer.concat(chunks).toString());
+          return;
+        }
+        const err = new Error(`HTTP ${res.statusCode}`);
+        err.notFound = res.statusCode === 404;
+        reject(err);
+      });
+    }).on('error', reject);
+  });
+}
+
+// Same failover loop as CacheManager: try mirrors in order, 404s don't count against a mirror
+async function fetchFromPool(pool, relativePath) {
+  let lastError = null;
+  for (const mirror of pool.getOrder()) {
+    try {
+      const content = await download(pool.resolve(mirror, relativePath));
+      pool.recordSuccess(mirror, relativePath, Buffer.byteLength(content));
+      return content;
+    } catch (err) {
+      lastError = err;
+      if (!err.notFound) {
+        pool.recordFailure(mirror, err);
+      }
+    }
+  }
+  throw lastError;
+}
+
+async function test() {
+  // 1. Configuration
+  console.log('\n1. Building the mirror list...');
+  let pool = new MirrorPool(null);
+  check('default mirror without configuration', pool.primary === MirrorPool.DEFAULT_MIRROR, pool.primary);
+  pool = new MirrorPool(['https://a.example/rave/', ' ', 'https://b.example', 'https://a.example/rave']);
+  check('trailing slashes, blanks and duplicates dropped',
+    pool.getOrder().join(' ') === 'https://a.example/rave https://b.example', pool.getOrder().join(' '));
+  check('file URL', pool.resolve('https://b.example', 'webr\\R.wasm') === 'https://b.example/app-data/webr/R.wasm');
+
+  // 2. Health tracking
+  console.log('\n2. Tracking mirror health...');
+  const originalWarn = console.warn;
+  const originalLog = console.log;
+  console.warn = () => {};
+  pool.recordFailure('https://a.example/rave', new Error('timeout'));
+  console.warn = originalWarn;
+  check('failed mirror moves last', pool.getOrder()[0] === 'https://b.example', pool.getOrder().join(' '));
+  check('failure is reported', pool.getStatus()[0].lastError === 'timeout' && pool.getStatus()[0].failures === 1);
+  check('priority keeps configuration order', pool.getStatus()[0].priority === 0 && !pool.getStatus()[0].healthy);
+  console.log = () => {};
+  pool.recordSuccess('https://a.example/rave', 'catalog.json', 10);
+  console.log = originalLog;
+  check('success makes it healthy again', pool.getOrder()[0] === 'https://a.example/rave');
+  check('served file recorded', pool.getServedBy('catalog.json') === 'https://a.example/rave' && pool.getServedBy('other') === null);
+
+  // 3. Failover
+  console.log('\n3. Failing over between mirrors...');
+  const files = {
+    '/app-data/catalog.json': '{"apps":[]}',
+    '/app-data/shinylive/app.js': 'console.log(1);'
+  };
+  const broken = await startMirror(503, files);
+  const partial = await startMirror(200, { '/app-data/catalog.json': files['/app-data/catalog.json'] });
+  const full = await startMirror(200, files);
+
+  try {
+    console.warn = () => {};
+    pool = new MirrorPool([broken.url, partial.url, full.url]);
+    let content = await fetchFromPool(pool, 'catalog.json');
+    check('failing mirror is skipped', content === files['/app-data/catalog.json'] && pool.getServedBy('catalog.json') === partial.url);
+    check('failing mirror is marked unhealthy', pool.getOrder().join(' ') === [partial.url, full.url, broken.url].join(' '));
+
+    content = await fetchFromPool(pool, 'shinylive/app.js');
+    check('missing file is fetched from the next mirror', content === files['/app-data/shinylive/app.js'] && pool.getServedBy('shinylive/app.js') === full.url);
+    check('unhealthy mirror is not retried first', broken.requests.length === 1, `${broken.requests.length} requests`);
+    check('404 does not mark a mirror unhealthy', pool.getStatus()[1].healthy && pool.getStatus()[1].failures === 0);
+
+    let error = null;
+    try {
+      await fetchFromPool(pool, 'missing.js');
+    } catch (err) {
+      error = err;
+    }
+    check('file no mirror serves fails with the last error', error && error.message === 'HTTP 503', error && error.message);
+
+    broken.status = 200;
+    full.status = 500;
+    partial.status = 500;
+    console.log = () => {};
+    content = await fetchFromPool(pool, 'catalog.json');
+    console.log = originalLog;
+    check('unhealthy mirror is the last resort', content === files['/app-data/catalog.json'] && pool.getServedBy('catalog.json') === broken.url);
+    check('recovered mirror is healthy', pool.getStatus()[0].healthy && pool.getStatus()[0].filesServed === 1);
+    check('bytes are counted', pool.getStatus()[2].bytesServed === Buffer.byteLength(files['/app-data/shinylive/app.js']));
+  } finally {
+    console.warn = originalWarn;
+    console.log = originalLog;
+    for (const mirror of [broken, partial, full]) {
+      mirror.server.close();
+    }
+  }
+}
+
+run('Mirror Pool Test', test);
@@ -0,0 +1,191 @@
+/**
+ * Test script for the RPC channel to R sessions
+ * Checks frame parsing across chunk boundaries, the handshake and request / response matching,
+ * with a socket standing in for the R session
+ *
+ * Usage: node test/test-r-rpc.js
+ */
+
+const net = require('net');
+const { RRpcChannel, bootstrapScript } = require('../src/plugins/r-plugin/r-rpc.js');
+const { check, run } = require('./helpers.js');
+
+// Length-prefixed frame, as written by the R side (write_frame)
+function frame(message) {
+  const body = Buffer.from(typeof message === 'string' ? message : JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(body.length);
+  return Buffer.concat([header, body]);
+}
+
+// Write a buffer in pieces, waiting between them so they arrive as separate chunks
+async function writeInPieces(socket, buffer, sizes) {
+  let offset = 0;
+  for (const size of sizes) {
+    socket.write(buffer.subarray(offset, offset + size));
+    offset += size;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  if (offset < buffer.length) {
+    socket.write(buffer.subarray(offset));
+  }
+}
+
+// Socket standing in for an R session: collects the request frames the channel sends
+function connectFakeR(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => resolve(socket));
+    socket.requests = [];
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      while (buffer.length >= 4 && buffer.length >= 4 + buffer.readUInt32BE(0)) {
+        const size = buffer.readUInt32BE(0);
+        socket.requests.push(JSON.parse(buffer.toString('utf8', 4, 4 + size)));
+        buffer = buffer.subarray(4 + size);
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function test() {
+  // 1. Frame parsing
+  console.log('\n1. Splitting frames...');
+  const channel = new RRpcChannel();
+  const messages = [
+    { type: 'response', id: 1, stdout: 'plain' },
+    { type: 'response', id: 2, stdout: 'ünïcødé 日本 🧠' },
+    { type: 'response', id: 3, value: [] }
+  ];
+  const stream = Buffer.concat(messages.map(frame));
+
+  let parsed = channel._readFrames(stream);
+  check('several frames in one chunk', parsed.messages.length === 3 && parsed.rest.length === 0);
+  check('UTF-8 content decoded', parsed.messages[1].stdout === messages[1].stdout, parsed.messages[1].stdout);
+
+  parsed = channel._readFrames(stream.subarray(0, 2));
+  check('partial header is kept', parsed.messages.length === 0 && parsed.rest.length === 2);
+  const firstLength = frame(messages[0]).length;
+  parsed = channel._readFrames(stream.subarray(0, firstLength + 6));
+  check('partial body is kept', parsed.messages.length === 1 && parsed.rest.length === 6);
+
+  // Feed the stream one split at a time, at every possible position
+  let allSplitsOk = true;
+  for (let split = 1; split < stream.length; split++) {
+    const first = channel._readFrames(stream.subarray(0, split));
+    const second = channel._readFrames(Buffer.concat([first.rest, stream.subarray(split)]));
+    const result = [...first.messages, ...second.messages];
+    if (result.length !== 3 || second.rest.length !== 0 || result[1].stdout !== messages[1].stdout) {
+      allSplitsOk = false;
+      console.log(`  split at byte ${split} failed`);
+      break;
+    }
+  }
+  check('any split point, including inside UTF-8 characters', allSplitsOk);
+
+  const originalError = console.error;
+  console.error = () => {};
+  parsed = channel._readFrames(Buffer.concat([frame('{not json'), frame({ id: 4 })]));
+  console.error = originalError;
+  check('malformed frame becomes null', parsed.messages.length === 2 && parsed.messages[0] === null &&
+    parsed.messages[1].id === 4);
+
+  // 2. Handshake
+  console.log('\n2. Connecting the session...');
+  const rpc = new RRpcChannel();
+  const port = await rpc.listen();
+  const script = rpc.getBootstrapScript();
+  check('bootstrap script carries the port and token', script === bootstrapScript(port, rpc.token) &&
+    script.includes(`port = ${port}L`) && script.includes(rpc.token));
+
+  const connected = rpc.waitForConnection(5000);
+  const intruder = await connectFakeR(port);
+  const intruderClosed = new Promise(resolve => intruder.on('close', resolve));
+  intruder.write(frame({ type: 'hello', token: 'wrong', pid: 1, jsonlite: true, version: '4.4.0' }));
+  await intruderClosed;
+  check('wrong token is refused', rpc.socket === null && rpc.hello === null);
+
+  const session = await connectFakeR(port);
+  const hello = frame({ type: 'hello', token: rpc.token, pid: 4242, jsonlite: true, version: '4.4.1' });
+  await writeInPieces(session, hello, [1, 3, 10]);
+  const info = await connected;
+  check('hello split across chunks', info.pid === 4242 && info.jsonlite === true && info.version === '4.4.1',
+    JSON.stringify(info));
+
+  const late = net.connect(port, '127.0.0.1');
+  const lateResult = await new Promise(resolve => {
+    late.on('connect', () => resolve('connected'));
+    late.on('error', () => resolve('refused'));
+    late.on('close', () => resolve('closed'));
+  });
+  late.destroy();
+  check('no other connection is accepted', lateResult === 'refused', lateResult);
+
+  // 3. Requests
+  console.log('\n3. Matching responses to requests...');
+  const first = rpc.request('1 + 1', 5000);
+  const second = rpc.request('cat("hi")', 5000);
+  await wait(50);
+  check('requests are framed with ids', session.requests.length === 2 && session.requests[0].id === 1 &&
+    session.requests[1].code === 'cat("hi")', JSON.stringify(session.requests));
+
+  // Answer out of order, both frames cut into pieces that straddle the boundary
+  const responses = Buffer.concat([
+    frame({ type: 'response', id: 2, value: null, stdout: 'hi', messages: [], warnings: [], error: null, elapsed: 1 }),
+    frame({ type: 'response', id: 1, value: 2, stdout: '[1] 2', messages: [], warnings: [], error: null, elapsed: 2 })
+  ]);
+  const boundary = responses.readUInt32BE(0) + 4;
+  await writeInPieces(session, responses, [2, boundary - 5, 6, 1]);
+  const [firstResponse, secondResponse] = await Promise.all([first, second]);
+  check('response matched by id', firstResponse.value === 2 && firstResponse.stdout === '[1] 2');
+  check('out-of-order response', secondResponse.stdout === 'hi' && secondResponse.value === null);
+  check('buffer is empty afterwards', rpc.buffer.length === 0 && rpc.pending.size === 0);
+
+  let timeoutError = null;
+  try {
+    await rpc.request('Sys.sleep(10)', 50);
+  } catch (err) {
+    timeoutError = err;
+  }
+  check('request times out', timeoutError && timeoutError.message === 'Execution timeout');
+  session.write(frame({ type: 'response', id: 3, value: 'late' }));
+  await wait(50);
+  check('late response is dropped', rpc.pending.size === 0 && rpc.buffer.length === 0);
+
+  // 4. Closing
+  console.log('\n4. Closing the channel...');
+  const pending = rpc.request('Sys.sleep(10)', 5000);
+  session.destroy();
+  let closeError = null;
+  try {
+    await pending;
+  } catch (err) {
+    closeError = err;
+  }
+  check('pending request fails when R disconnects', closeError && closeError.message === 'R session closed the RPC channel',
+    closeError && closeError.message);
+  closeError = null;
+  try {
+    await rpc.request('1', 1000);
+  } catch (err) {
+    closeError = err;
+  }
+  check('closed channel refuses requests', rpc.closed && closeError && closeError.message === 'RPC channel is closed');
+
+  const unused = new RRpcChannel();
+  await unused.listen();
+  const waiting = unused.waitForConnection(5000);
+  unused.close('Session terminated');
+  let waitError = null;
+  try {
+    await waiting;
+  } catch (err) {
+    waitError = err;
+  }
+  check('closing stops waiting for the session', waitError && waitError.message === 'Session terminated');
+}
+
+run('R RPC Channel Test', test);
@@ -0,0 +1,154 @@
+/**
+ * Test script for the R session reverse proxy of the static server
+ * Checks Location / Set-Cookie rewriting and forwarding through the router to a local session
+ *
+ * Usage: node test/test-session-proxy.js
+ */
+
+const http = require('http');
+const { HttpRouter } = require('../src/plugins/static-server-plugin/http-router.js');
+const { SessionProxy } = require('../src/plugins/static-server-plugin/session-proxy.js');
+const { check, run } = require('./helpers.js');
+
+function request(port, urlPath, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path: urlPath, method }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+async function test() {
+  const proxy = new SessionProxy();
+  const target = { token: 'a'.repeat(32), port: 4321 };
+  const prefix = `/r-sessions/${target.token}`;
+
+  // 1. Redirects
+  console.log('\n1. Rewriting Location headers...');
+  const locations = [
+    ['/', `${prefix}/`],
+    ['/session/abc?x=1', `${prefix}/session/abc?x=1`],
+    ['http://127.0.0.1:4321/app/', `${prefix}/app/`],
+    ['http://localhost:4321', `${prefix}/`],
+    ['HTTP://LOCALHOST:4321/x', `${prefix}/x`],
+    ['http://127.0.0.1:43210/x', 'http://127.0.0.1:43210/x'],
+    ['https://rave.wiki/docs', 'https://rave.wiki/docs'],
+    ['//cdn.example/lib.js', '//cdn.example/lib.js'],
+    ['relative/page', 'relative/page']
+  ];
+  for (const [location, expected] of locations) {
+    const actual = proxy._rewriteLocation(location, target);
+    check(`${location} -> ${expected}`, actual === expected, actual);
+  }
+
+  // 2. Cookies
+  console.log('\n2. Rewriting Set-Cookie paths...');
+  const cookies = [
+    ['sid=1', `sid=1; Path=${prefix}/`],
+    ['sid=1; Path=/', `sid=1; Path=${prefix}/`],
+    ['sid=1; path=/app; HttpOnly', `sid=1; HttpOnly; Path=${prefix}/app`],
+    ['sid=1; Domain=127.0.0.1; Path=/x; SameSite=Lax', `sid=1; SameSite=Lax; Path=${prefix}/x`],
+    ['sid=1; Path=relative', `sid=1; Path=${prefix}/`],
+    ['sid=a=b; Max-Age=60', `sid=a=b; Max-Age=60; Path=${prefix}/`]
+  ];
+  for (const [cookie, expected] of cookies) {
+    const actual = proxy._rewriteCookie(cookie, prefix);
+    check(`${cookie} -> ${expected.replace(prefix, '<prefix>')}`, actual === expected, actual);
+  }
+
+  // 3. Forwarding
+  console.log('\n3. Forwarding requests to a session...');
+  let lastRequest = null;
+  const session = http.createServer((req, res) => {
+    lastRequest = { url: req.url, headers: req.headers };
+    if (req.url.startsWith('/login')) {
+      res.writeHead(302, {
+        'Location': `http://127.0.0.1:${session.address().port}/home`,
+        'Set-Cookie': ['sid=42; Path=/; HttpOnly', 'theme=dark'],
+        'X-Frame-Options': 'ALLOWALL'
+      });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Connection': 'keep-alive' });
+    res.end(`shiny ${req.method} ${req.url}`);
+  });
+  const sessionPort = await listen(session);
+
+  const router = new HttpRouter();
+  proxy.mount(router);
+  const server = http.createServer((req, res) => router.handle(req, res, (req, res) => {
+    res.writeHead(404);
+    res.end();
+  }));
+  const port = await listen(server);
+
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = () => {};
+  const registered = proxy.register('session-1', sessionPort);
+
+  // Everything the proxy logs while serving requests (check lines are passed through)
+  const logged = [];
+  console.log = (...args) => {
+    const line = args.join(' ');
+    /^[✓✗]/.test(line) ? originalLog(line) : logged.push(line);
+  };
+  console.error = (...args) => logged.push(args.join(' '));
+
+  try {
+    check('session gets a random path', /^\/r-sessions\/[0-9a-f]{32}\/$/.test(registered.path), registered.path);
+
+    let res = await request(port, `${registered.path}shared/shiny.js?v=1`);
+    check('request is forwarded below the session root',
+      res.status === 200 && res.body === 'shiny GET /shared/shiny.js?v=1', res.body);
+    check('forwarding headers are set', lastRequest.headers.host === `127.0.0.1:${sessionPort}` &&
+      lastRequest.headers['x-forwarded-prefix'] === registered.path.slice(0, -1));
+    check('security headers are added', res.headers['x-content-type-options'] === 'nosniff' &&
+      res.headers['x-frame-options'] === 'SAMEORIGIN');
+
+    res = await request(port, `${registered.path}login`);
+    check('redirect stays in the session', res.status === 302 && res.headers.location === `${registered.path}home`,
+      res.headers.location);
+    const setCookie = res.headers['set-cookie'] || [];
+    check('cookies are scoped to the session', setCookie.length === 2 &&
+      setCookie.every(cookie => cookie.endsWith(`Path=${registered.path}`)), setCookie.join(' | '));
+    check("session's own security headers are replaced", res.headers['x-frame-options'] === 'SAMEORIGIN');
+
+    res = await request(port, registered.path.slice(0, -1) + '?tab=1');
+    check('session root gets a trailing slash', res.status === 301 && res.headers.location === `${registered.path}?tab=1`,
+      res.headers.location);
+
+    res = await request(port, `/r-sessions/${'0'.repeat(32)}/`);
+    check('unknown session is 404', res.status === 404, `status ${res.status}`);
+
+    check('each proxied request is logged once', logged.length === 2 &&
+      logged[0].startsWith('[R session session-1] GET /shared/shiny.js?v=1 200 ') &&
+      logged[1].startsWith('[R session session-1] GET /login 302 '), logged.join(' | '));
+
+    await new Promise(resolve => session.close(resolve));
+    res = await request(port, `${registered.path}`);
+    check('stopped session is 502', res.status === 502, `status ${res.status}`);
+    check('failed request is logged', logged.length === 4 && logged[2].includes('[R session session-1] GET / failed') &&
+      logged[3].startsWith('[R session session-1] GET / 502 '), logged.join(' | '));
+
+    const removed = proxy.unregister('session-1');
+    res = await request(port, `${registered.path}`);
+    check('unregistered session is 404', removed && res.status === 404, `status ${res.status}`);
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+    server.close();
+    session.close();
+  }
+}
+
+run('R Session Proxy Test', test);
@@ -0,0 +1,212 @@
+/**
+ * Test script for the tar archives of offline bundles
+ * Checks TarWriter / TarReader round-trips, the entry names an import accepts (including
+ * JSON cache files) and version ordering
+ *
+ * Usage: node test/test-tar-archive.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { TarWriter, TarReader, safeEntryName } = require('../src/utils/tar-archive.js');
+const { compareVersions } = require('../src/utils/version-utils.js');
+const { jsonCacheFileName, isJsonCacheFile } = require('../src/utils/json-cache-names.js');
+const { check, run } = require('./helpers.js');
+
+async function readAll(archivePath) {
+  const reader = new TarReader(archivePath);
+  await reader.open();
+  try {
+    const entries = [];
+    for await (const entry of reader.entries()) {
+      entries.push({ ...entry, data: await reader.read(entry) });
+    }
+    return entries;
+  } finally {
+    await reader.close();
+  }
+}
+
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+async function test() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rave-tar-'));
+  const archivePath = path.join(tmpDir, 'bundle.tar');
+
+  const longDir = 'app-data/' + 'nested-directory/'.repeat(8);
+  const files = [
+    { name: 'bundle.json', content: Buffer.from('{"format":"rave-wasm-offline-bundle"}') },
+    { name: 'app-data/empty.txt', content: Buffer.alloc(0) },
+    { name: 'app-data/block.bin', content: Buffer.alloc(512, 7) },
+    { name: `${longDir}prefix-fits.js`, content: Buffer.from('prefix') },
+    { name: 'app-data/' + 'x'.repeat(180) + '.js', content: Buffer.from('pax') },
+    { name: 'app-data/データ.json', content: Buffer.from('{"utf8":true}') }
+  ];
+  const diskFile = path.join(tmpDir, 'R.wasm');
+  const diskContent = Buffer.alloc(1536 + 17);
+  for (let i = 0; i < diskContent.length; i++) {
+    diskContent[i] = i % 251;
+  }
+  fs.writeFileSync(diskFile, diskContent);
+  const mtime = new Date('2025-03-01T12:00:00Z');
+
+  try {
+    // 1. Round-trip
+    console.log('\n1. Writing and reading an archive...');
+    const writer = new TarWriter(archivePath);
+    await writer.open();
+    for (const file of files) {
+      await writer.addBuffer(file.name, file.content, mtime);
+    }
+    let copied = 0;
+    const size = await writer.addFile('app-data/webr/R.wasm', diskFile, (bytes) => { copied += bytes; });
+    await writer.close();
+    check('archive is block aligned', fs.statSync(archivePath).size % 512 === 0);
+    check('addFile reports its progress', size === diskContent.length && copied === diskContent.length, `${copied} bytes`);
+
+    const entries = await readAll(archivePath);
+    check('every entry is listed', entries.length === files.length + 1, `${entries.length} entries`);
+    for (const file of files) {
+      const entry = entries.find(e => e.name === file.name);
+      const label = file.name.length > 60 ? `${file.name.slice(0, 57)}...` : file.name;
+      check(`round-trip ${label}`, entry && entry.type === 'file' && entry.data.equals(file.content) &&
+        entry.mtime.getTime() === mtime.getTime());
+    }
+    const wasm = entries.find(e => e.name === 'app-data/webr/R.wasm');
+    check('file from disk round-trips', wasm && wasm.data.equals(diskContent));
+
+    const reader = new TarReader(archivePath);
+    await reader.open();
+    let streamed = null;
+    let emptyStream = null;
+    for await (const entry of reader.entries()) {
+      if (entry.name === 'app-data/webr/R.wasm') streamed = await streamToBuffer(reader.createReadStream(entry));
+      if (entry.name === 'app-data/empty.txt') emptyStream = await streamToBuffer(reader.createReadStream(entry));
+    }
+    await reader.close();
+    check('entries can be streamed', streamed && streamed.equals(diskContent) && emptyStream && emptyStream.length === 0);
+
+    try {
+      const listed = execFileSync('tar', ['-tf', archivePath], { encoding: 'utf8' }).trim().split('\n');
+      // tar may escape non-ASCII names depending on the locale
+      const ascii = entries.filter(entry => /^[\x20-\x7e]+$/.test(entry.name));
+      check('tar command lists the same entries', listed.length === entries.length &&
+        ascii.every(entry => listed.includes(entry.name)), listed.join(', '));
+    } catch (err) {
+      console.log(`- tar command not available, skipped (${err.message.split('\n')[0]})`);
+    }
+
+    // 2. Damaged archives
+    console.log('\n2. Reading damaged archives...');
+    const archive = fs.readFileSync(archivePath);
+    const corruptPath = path.join(tmpDir, 'corrupt.tar');
+    const corrupt = Buffer.from(archive);
+    corrupt[0] ^= 0xff;
+    fs.writeFileSync(corruptPath, corrupt);
+    let error = null;
+    try {
+      await readAll(corruptPath);
+    } catch (err) {
+      error = err;
+    }
+    check('corrupt header is detected', error && /Corrupt archive header/.test(error.message), error && error.message);
+
+    const truncatedPath = path.join(tmpDir, 'truncated.tar');
+    fs.writeFileSync(truncatedPath, archive.subarray(0, archive.length - 2048));
+    error = null;
+    try {
+      await readAll(truncatedPath);
+    } catch (err) {
+      error = err;
+    }
+    check('truncated archive is detected', error && /Truncated archive/.test(error.message), error && error.message);
+
+    const abortPath = path.join(tmpDir, 'aborted.tar');
+    const aborted = new TarWriter(abortPath);
+    await aborted.open();
+    await aborted.addBuffer('app-data/a.txt', 'partial');
+    await aborted.abort();
+    check('aborted archive is removed', !fs.existsSync(abortPath));
+
+    // 3. Entry names accepted on import
+    console.log('\n3. Checking entry names...');
+    const roots = ['app-data', 'json-cache'];
+    const accepted = [
+      ['app-data/catalog.json', 'app-data/catalog.json'],
+      ['./app-data/webr/R.wasm', 'app-data/webr/R.wasm'],
+      ['app-data\\webr\\R.wasm', 'app-data/webr/R.wasm'],
+      ['json-cache/github/releases.json', 'json-cache/github/releases.json']
+    ];
+    for (const [name, expected] of accepted) {
+      const actual = safeEntryName(name, roots);
+      check(`accepts ${name}`, actual === expected, actual);
+    }
+    const rejected = [
+      '../outside.txt',
+      'app-data/../../outside.txt',
+      'app-data/./catalog.json',
+      'app-data\\..\\..\\outside.txt',
+      '/etc/passwd',
+      'app-data//catalog.json',
+      'app-data/',
+      'app-data',
+      'bundle.json',
+      'other/catalog.json'
+    ];
+    for (const name of rejected) {
+      check(`rejects ${name}`, safeEntryName(name, roots) === null, safeEntryName(name, roots));
+    }
+
+    // Names read back from an archive go through the same check
+    const evilPath = path.join(tmpDir, 'evil.tar');
+    const evil = new TarWriter(evilPath);
+    await evil.open();
+    await evil.addBuffer('app-data/../../../evil.sh', 'echo evil');
+    await evil.addBuffer('app-data/good.txt', 'good');
+    await evil.close();
+    const safe = (await readAll(evilPath)).map(entry => safeEntryName(entry.name, roots));
+    check('archived traversal names are rejected', safe[0] === null && safe[1] === 'app-data/good.txt', JSON.stringify(safe));
+
+    // 4. Versions of bundled manifests
+    console.log('\n4. Comparing versions...');
+    check('equal versions', compareVersions('2025.01.31', '2025.01.31') === 0);
+    check('numeric parts compare as numbers', compareVersions('2025.1.9', '2025.1.10') < 0);
+    check('newer version sorts last', compareVersions('2025.02.01', '2025.01.31') > 0);
+    check('missing version sorts first', compareVersions(null, '1') < 0 && compareVersions('1', undefined) > 0);
+    check('two missing versions are equal', compareVersions(null, undefined) === 0);
+
+    // 5. JSON cache files in bundles
+    console.log('\n5. Bundling JSON cache files...');
+    const keys = ['prereq.v2', 'pkg:ravemanager', 'https://x', 'Mixed Case', 'long:' + 'k.'.repeat(100)];
+    const jsonPath = path.join(tmpDir, 'json-cache.tar');
+    const jsonWriter = new TarWriter(jsonPath);
+    await jsonWriter.open();
+    for (const key of keys) {
+      await jsonWriter.addBuffer(`json-cache/default/${jsonCacheFileName(key)}`, JSON.stringify({ key }));
+    }
+    await jsonWriter.close();
+    const jsonEntries = await readAll(jsonPath);
+    for (let i = 0; i < keys.length; i++) {
+      const name = safeEntryName(jsonEntries[i].name, roots);
+      const file = name && name.slice('json-cache/'.length);
+      check(`key ${keys[i].slice(0, 20)} is exported and imported`, file !== null && isJsonCacheFile(file) &&
+        JSON.parse(jsonEntries[i].data).key === keys[i], jsonEntries[i].name);
+    }
+    check('long keys are shortened', jsonCacheFileName(keys[4]).length <= 125, jsonCacheFileName(keys[4]));
+    check('other files are not JSON cache entries', !isJsonCacheFile('default/../x.json') &&
+      !isJsonCacheFile('default/a%2e.json') && !isJsonCacheFile('Default/a.json') && !isJsonCacheFile('a.json'));
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run('Tar Archive Test', test);
@@ -0,0 +1,111 @@
+/**
+ * Test script for user-data mounts of the static server
+ * Checks path resolution inside mounted folders, traversal rejection and mount ownership
+ *
+ * Usage: node test/test-user-data-mounts.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserDataMounts } = require('../src/plugins/static-server-plugin/user-data-mounts.js');
+const { check, run } = require('./helpers.js');
+
+// Status code resolve() fails with, or null when it succeeds
+function statusOf(mounts, token, relativePath) {
+  try {
+    mounts.resolve(token, relativePath);
+    return null;
+  } catch (err) {
+    return err.statusCode || err.message;
+  }
+}
+
+async function test() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rave-mounts-'));
+  const root = path.join(tmpDir, 'subject');
+  const sibling = path.join(tmpDir, 'subject-private');
+  fs.mkdirSync(path.join(root, 'mri'), { recursive: true });
+  fs.mkdirSync(sibling);
+  fs.writeFileSync(path.join(root, 'mri', 'brain.mgz'), 'brain');
+  fs.writeFileSync(path.join(root, '.hidden'), 'hidden');
+  fs.writeFileSync(path.join(sibling, 'secret.txt'), 'secret');
+
+  const mounts = new UserDataMounts();
+  const originalLog = console.log;
+  console.log = () => {};
+  const info = mounts.mount(root, 1);
+  console.log = originalLog;
+
+  try {
+    // 1. Mounting
+    console.log('\n1. Mounting a folder...');
+    check('random token', /^[0-9a-f]{32}$/.test(info.token), info.token);
+    check('URL path of the folder', info.path === `/user-data/${info.token}/` && info.name === 'subject', info.path);
+    check('location on disk is not exposed', !JSON.stringify(info).includes(tmpDir));
+    let error = null;
+    try {
+      mounts.mount(path.join(root, 'mri', 'brain.mgz'), 1);
+    } catch (err) {
+      error = err;
+    }
+    check('files cannot be mounted', error && /Not a directory/.test(error.message), error && error.message);
+
+    // 2. Resolving paths
+    console.log('\n2. Resolving paths...');
+    let resolved = mounts.resolve(info.token, 'mri/brain.mgz');
+    check('file inside the mount', resolved.fullPath === path.join(root, 'mri', 'brain.mgz'), resolved.fullPath);
+    resolved = mounts.resolve(info.token, '');
+    check('empty path is the mount itself', resolved.fullPath === root, resolved.fullPath);
+    resolved = mounts.resolve(info.token, 'mri//./brain.mgz');
+    check('empty and "." segments are ignored', resolved.fullPath === path.join(root, 'mri', 'brain.mgz'), resolved.fullPath);
+    resolved = mounts.resolve(info.token, 'mri/../mri/brain.mgz');
+    check('".." that stays inside is allowed', resolved.fullPath === path.join(root, 'mri', 'brain.mgz'), resolved.fullPath);
+    check('unknown token is 404', statusOf(mounts, 'f'.repeat(32), 'mri/brain.mgz') === 404);
+    check('NUL byte is 400', statusOf(mounts, info.token, 'mri/brain.mgz\0.txt') === 400);
+
+    // 3. Traversal
+    console.log('\n3. Rejecting traversal...');
+    const traversals = [
+      '..',
+      '../subject-private/secret.txt',
+      'mri/../../subject-private/secret.txt',
+      '../../../../../../etc/passwd',
+      '/../subject-private/secret.txt'
+    ];
+    for (const relativePath of traversals) {
+      check(`rejects ${relativePath}`, statusOf(mounts, info.token, relativePath) === 403,
+        statusOf(mounts, info.token, relativePath));
+    }
+
+    // 4. Filesystem roots
+    console.log('\n4. Mounting a filesystem root...');
+    const fsRoot = path.parse(tmpDir).root;
+    console.log = () => {};
+    const rootInfo = mounts.mount(fsRoot, 2);
+    console.log = originalLog;
+    const relativeTmp = path.relative(fsRoot, path.join(root, 'mri', 'brain.mgz')).split(path.sep).join('/');
+    resolved = mounts.resolve(rootInfo.token, relativeTmp);
+    check('paths below the root resolve', resolved.fullPath === path.join(root, 'mri', 'brain.mgz'), resolved.fullPath);
+    resolved = mounts.resolve(rootInfo.token, '../../' + relativeTmp);
+    check('".." stops at the root', resolved.fullPath === path.join(root, 'mri', 'brain.mgz'), resolved.fullPath);
+
+    // 5. Listing and ownership
+    console.log('\n5. Listing and ownership...');
+    const listing = await mounts.listDirectory(root);
+    check('hidden files are not listed', listing.length === 1 && listing[0].name === 'mri' && listing[0].type === 'directory',
+      JSON.stringify(listing));
+    check('mounts are listed per window', mounts.list(1).length === 1 && mounts.list(2).length === 1 && mounts.list(3).length === 0);
+    console.log = () => {};
+    const foreign = mounts.unmount(info.token, 2);
+    const removed = mounts.unmountOwner(2);
+    console.log = originalLog;
+    check('other windows cannot unmount', !foreign && mounts.list(1).length === 1);
+    check('closing a window unmounts its folders', removed === 1 && statusOf(mounts, rootInfo.token, '') === 404);
+  } finally {
+    console.log = originalLog;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run('User Data Mounts Test', test);
@@ -259,7 +259,9 @@ bslib_page_template <- function(..., sidebar, fluid = TRUE, window_title = modul
       sidebar = sidebar,
       bslib::nav_item(
         shiny::a("Home", href = "../../", target = "_blank"),
-        dipsaus::use_shiny_dipsaus()
+        dipsaus::use_shiny_dipsaus(),
+        use_native_save(),
+        use_native_r()
       ),
       bslib::nav_panel(
         title = module_title,
@@ -311,6 +313,175 @@ server_common <- function(input, output, session) {
 ## to avoid duplication; use the `dipsaus` package directly instead.
 
 
+# Saving outputs to the native file system (Electron app)
+## `save_to_disk()` sends a file to the page; in the Electron app it is written through
+## `window.electron.files.save()` (native save dialog, remembered folders, overwrite
+## prompts), in a browser it falls back to a regular download.
+##
+## - `dialog = FALSE` writes into the folder last used for `folder_key` and only asks
+##   when a file would be replaced.
+## - With `callback_id`, the result arrives as `input[[callback_id]]`:
+##   `list(saved = TRUE/FALSE, path = ..., size = ..., error = ...)` (`path` is NULL in browsers).
+
+use_native_save <- function() {
+  shiny::singleton(shiny::tags$head(shiny::tags$script(shiny::HTML(r'(
+$(document).on("shiny:connected", function() {
+  // Browser downloads (e.g., stream_download) are saved by the app; show their progress
+  if (window.electron && window.electron.files) {
+    window.electron.files.onDownloadProgress(function(p) {
+      var id = "rave-download-" + p.id;
+      var filename = $("<div>").text(p.filename).html();
+      if (p.state !== "progressing") {
+        Shiny.notifications.remove(id);
+        if (p.done && p.state === "interrupted") {
+          Shiny.notifications.show({ html: "Failed to save " + filename, type: "error" });
+        }
+        return;
+      }
+      var percent = p.totalBytes > 0 ? " (" + Math.floor(p.receivedBytes / p.totalBytes * 100) + "%)" : "";
+      Shiny.notifications.show({ id: id, html: "Saving " + filename + percent, duration: null, closeButton: false });
+    });
+  }
+  Shiny.addCustomMessageHandler("rave_save_file", function(message) {
+    var reply = function(result) {
+      if (message.callback_id) {
+        Shiny.setInputValue(message.callback_id, result, { priority: "event" });
+      }
+    };
+    if (!(window.electron && window.electron.files)) {
+      var binary = atob(message.data);
+      var bytes = new Uint8Array(binary.length);
+      for (var i = 0; i < binary.length; i++) { bytes[i] = binary.charCodeAt(i); }
+      var url = URL.createObjectURL(new Blob([bytes], { type: message.mime_type }));
+      var link = document.createElement("a");
+      link.href = url;
+      link.download = message.filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(function() { URL.revokeObjectURL(url); }, 10000);
+      reply({ saved: true, path: null, size: bytes.length });
+      return;
+    }
+    window.electron.files.save({
+      data: message.data,
+      encoding: "base64",
+      filename: message.filename,
+      title: message.title,
+      filters: message.filters,
+      folderKey: message.folder_key,
+      dialog: message.dialog
+    }).then(function(result) {
+      if (!result.success) { throw new Error(result.error.message); }
+      reply(result.data ? { saved: true, path: result.data.path, size: result.data.size } : { saved: false });
+    }).catch(function(e) {
+      reply({ saved: false, error: String(e.message || e) });
+    });
+  });
+});
+)'))))
+}
+
+save_to_disk <- function(
+    filepath, filename = basename(filepath), session = shiny::getDefaultReactiveDomain(),
+    title = "Save File", extensions = NULL, folder_key = module_id, dialog = TRUE,
+    callback_id = NULL, cleanup = FALSE) {
+  if(cleanup) {
+    on.exit({ unlink(filepath) }, add = TRUE)
+  }
+  size <- file.size(filepath)
+  data <- jsonlite::base64_enc(readBin(filepath, what = "raw", n = size))
+  filters <- list()
+  if(length(extensions)) {
+    filters <- list(list(name = toupper(extensions[[1]]), extensions = as.list(extensions)))
+  }
+  message <- list(
+    data = data,
+    filename = filename,
+    mime_type = "application/octet-stream",
+    title = title,
+    filters = filters,
+    folder_key = folder_key,
+    dialog = isTRUE(dialog)
+  )
+  if(length(callback_id)) {
+    message$callback_id <- session$ns(callback_id)
+  }
+  session$sendCustomMessage("rave_save_file", message)
+  invisible(size)
+}
+
+# Running code in native R (Electron app with R installed)
+## `native_r_eval()` and `native_r_call()` run code in a helper R session of the app window
+## (`window.electron.r.bridge`), e.g., signal filtering or large coordinate transforms that
+## are slow in webR. The session belongs to the window, keeps its variables between calls
+## and ends when the window closes.
+##
+## - The result arrives as `input[[callback_id]]`:
+##   `list(success = TRUE/FALSE, value = ..., output = ..., messages = ..., warnings = ...,
+##   error = ...)`; `value` is sent as JSON, `output` is the printed text.
+## - `native_r_call()` passes `args` as JSON (vectors, lists, data frames); `fn` is a
+##   function name such as `"signal::filtfilt"`.
+## - Without native R (browser, R not installed), `success` is FALSE.
+
+use_native_r <- function() {
+  shiny::singleton(shiny::tags$head(shiny::tags$script(shiny::HTML(r'(
+$(document).on("shiny:connected", function() {
+  // Shinylive apps run in a frame of the app window; the bridge is exposed on the window
+  var nativeBridge = function() {
+    try {
+      var electron = window.electron || window.top.electron;
+      return electron && electron.r && electron.r.bridge;
+    } catch (e) {
+      return null;
+    }
+  };
+  Shiny.addCustomMessageHandler("rave_native_r", function(message) {
+    var reply = function(result) {
+      Shiny.setInputValue(message.callback_id, result, { priority: "event" });
+    };
+    var bridge = nativeBridge();
+    if (!bridge) {
+      reply({ success: false, value: null, output: "", error: "Native R is not available" });
+      return;
+    }
+    var options = { timeout: message.timeout };
+    var request = message.type === "call" ?
+      bridge.call(message.fn, message.args, options) : bridge.eval(message.code, options);
+    request.then(reply, function(e) {
+      reply({ success: false, value: null, output: "", error: String(e.message || e) });
+    });
+  });
+});
+)'))))
+}
+
+native_r_eval <- function(
+    code, callback_id, session = shiny::getDefaultReactiveDomain(), timeout = 30) {
+  if(is.language(code)) {
+    code <- paste(deparse(code), collapse = "\n")
+  }
+  session$sendCustomMessage("rave_native_r", list(
+    type = "eval",
+    code = paste(code, collapse = "\n"),
+    callback_id = session$ns(callback_id),
+    timeout = timeout * 1000
+  ))
+  invisible()
+}
+
+native_r_call <- function(
+    fn, args = list(), callback_id, session = shiny::getDefaultReactiveDomain(), timeout = 30) {
+  session$sendCustomMessage("rave_native_r", list(
+    type = "call",
+    fn = fn,
+    args = args,
+    callback_id = session$ns(callback_id),
+    timeout = timeout * 1000
+  ))
+  invisible()
+}
+
 start_app <- function(ui, server, launch.browser = TRUE, ...) {
   shiny::shinyApp(ui = ui, server = function(input, output, session) {
     shiny::moduleServer(id = module_id, module = function(input, output, session) {